@@ -0,0 +1,168 @@
+/**
+ * Editor update benchmark - drives Editor.updatePreview the way typing does:
+ * one small edit, one update. Each timing covers everything the debounced
+ * keystroke path runs on the main thread (preview, highlight layer, word
+ * count, file status, save scheduling) plus the layout the browser does after.
+ */
+const PreviewBenchmark = {
+    DOCUMENT_SIZE: 5 * 1024 * 1024,
+    EDITS: 50,          // Per kind of edit, at evenly spread positions
+    TARGET_MS: 100,
+
+    /**
+     * One section of mixed markdown; sections repeat to fill the document
+     */
+    section(index) {
+        return `## Section ${index}
+
+Some *emphasis*, **strong** text, a [link](https://example.com/${index}) and \`inline code\`.
+A second line keeps the paragraph a realistic length: lorem ipsum dolor sit amet.
+
+- First item with **bold** text
+- Second item
+  - Nested item
+- [ ] Task item
+
+1. First step
+2. Second step
+
+> A quoted paragraph
+> over two lines
+
+\`\`\`js
+function square(value) {
+    return value * value; // ${index}
+}
+\`\`\`
+
+| Name | Value |
+| ---- | ----: |
+| a    | ${index} |
+
+`;
+    },
+
+    createDocument() {
+        const sections = [];
+        let size = 0;
+        for (let index = 0; size < this.DOCUMENT_SIZE; index++) {
+            const section = this.section(index);
+            sections.push(section);
+            size += section.length;
+        }
+        return sections.join('');
+    },
+
+    /**
+     * Point the app at this page's editor and preview, parsing on the page,
+     * with the document linked to a file so the modified check runs too
+     */
+    setup(text) {
+        AppState.editor = document.getElementById('bench-editor');
+        AppState.preview = document.getElementById('preview');
+        AppState.highlightDiv = document.getElementById('bench-highlight');
+        ParserWorker.state = 'failed';
+        PreviewRenderer.reset();
+
+        AppState.currentDocumentId = 'benchmark';
+        FileHandles.status = document.getElementById('status-file');
+        FileHandles.records.set('benchmark', { documentId: 'benchmark', name: 'benchmark.md', diskHash: FileHandles.hash(text) });
+    },
+
+    time(text, container) {
+        AppState.editor.value = text;
+        const start = performance.now();
+        Editor.updatePreview();
+        void container.offsetHeight;
+        const elapsed = performance.now() - start;
+        // The benchmark document never goes to storage
+        clearTimeout(AppState.saveTimeout);
+        return elapsed;
+    },
+
+    /**
+     * Insert text at spread positions, rendering after each insertion
+     *
+     * @returns {{text: string, times: number[]}} - Edited document and render times in ms
+     */
+    runEdits(text, container, insert) {
+        const times = [];
+        for (let i = 0; i < this.EDITS; i++) {
+            const at = Math.floor(text.length * (i + 0.5) / this.EDITS);
+            text = text.slice(0, at) + insert + text.slice(at);
+            times.push(this.time(text, container));
+        }
+        return { text, times };
+    },
+
+    /**
+     * Let the page paint between phases
+     */
+    pause() {
+        return new Promise(resolve => setTimeout(resolve, 0));
+    },
+
+    async run() {
+        const button = document.getElementById('run');
+        const summary = document.getElementById('summary');
+        const container = document.getElementById('preview');
+        button.disabled = true;
+        summary.className = 'summary';
+        summary.textContent = 'Generating document...';
+        await this.pause();
+
+        let text = this.createDocument();
+        this.setup(text);
+        summary.textContent = `Rendering ${(text.length / 1024 / 1024).toFixed(1)} MB...`;
+        await this.pause();
+
+        const rows = [['Initial render', [this.time(text, container)]]];
+        summary.textContent = 'Typing...';
+        await this.pause();
+
+        let result = this.runEdits(text, container, 'x');
+        rows.push(['Typing a character', result.times]);
+        text = result.text;
+        await this.pause();
+
+        result = this.runEdits(text, container, '\n');
+        rows.push(['Inserting a line', result.times]);
+
+        this.report(rows);
+        button.disabled = false;
+    },
+
+    /**
+     * @param {Array<[string, number[]]>} rows - Label and render times per kind of update
+     */
+    report(rows) {
+        const table = document.getElementById('results');
+        const body = table.querySelector('tbody');
+        body.textContent = '';
+
+        rows.forEach(([label, times]) => {
+            const sorted = [...times].sort((a, b) => a - b);
+            const at = fraction => sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * fraction))];
+            const row = document.createElement('tr');
+            [label, String(times.length), ...[at(0.5), at(0.95), sorted[sorted.length - 1]].map(ms => `${ms.toFixed(1)} ms`)]
+                .forEach(text => {
+                    const cell = document.createElement('td');
+                    cell.textContent = text;
+                    row.appendChild(cell);
+                });
+            body.appendChild(row);
+        });
+        table.hidden = false;
+
+        // The initial render is a one-off; the target applies to updates while typing
+        const slowest = Math.max(...rows.slice(1).flatMap(([, times]) => times));
+        const summary = document.getElementById('summary');
+        const passed = slowest < this.TARGET_MS;
+        summary.className = passed ? 'summary passed' : 'summary failed';
+        summary.textContent = passed
+            ? `Every update finished within ${this.TARGET_MS} ms (slowest ${slowest.toFixed(1)} ms)`
+            : `Slowest update took ${slowest.toFixed(1)} ms - over the ${this.TARGET_MS} ms target`;
+    }
+};
+
+document.getElementById('run').addEventListener('click', () => PreviewBenchmark.run());
@@ -21,9 +21,10 @@ const SecurityUtils = {
      * Blocks dangerous protocols: javascript:, data:, vbscript:, file:
      *
      * @param {string} url - The URL to sanitize
+     * @param {boolean} [quiet] - Don't log blocked URLs (for checks that only report them)
      * @returns {string} - Sanitized URL or empty string if dangerous
      */
-    sanitizeUrl(url) {
+    sanitizeUrl(url, quiet = false) {
         if (!url || typeof url !== 'string') {
             return '';
         }
@@ -60,7 +61,7 @@ const SecurityUtils = {
             cleaned.startsWith('vbscript:') ||
             cleaned.startsWith('file:') ||
             cleaned.startsWith('about:')) {
-            Logger.warn('Blocked dangerous URL protocol:', trimmed);
+            if (!quiet) Logger.warn('Blocked dangerous URL protocol:', trimmed);
             return '';
         }
 
@@ -69,7 +70,7 @@ const SecurityUtils = {
         if (protocolMatch) {
             const protocol = protocolMatch[1];
             if (!this.SAFE_PROTOCOLS.includes(protocol)) {
-                Logger.warn('Blocked non-whitelisted protocol:', protocol, 'in URL:', trimmed);
+                if (!quiet) Logger.warn('Blocked non-whitelisted protocol:', protocol, 'in URL:', trimmed);
                 return '';
             }
         }
@@ -139,6 +140,61 @@ const PerformanceUtils = {
     }
 };
 
+// ============================================
+// IndexedDB Utilities
+// ============================================
+
+/**
+ * Minimal promise wrappers for the object stores that hold what localStorage
+ * can't: file handles and binary assets. Each store lives in its own database.
+ */
+const IndexedDbUtils = {
+    /**
+     * Open (creating on first use) a database with a single object store
+     *
+     * @param {string} name - Database name
+     * @param {string} storeName - Object store name
+     * @param {string} keyPath - Property used as each record's key
+     * @returns {Promise<IDBDatabase>}
+     */
+    open(name, storeName, keyPath) {
+        return new Promise((resolve, reject) => {
+            if (!window.indexedDB) {
+                reject(new Error('IndexedDB is unavailable'));
+                return;
+            }
+            const request = indexedDB.open(name, 1);
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore(storeName, { keyPath });
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    },
+
+    /**
+     * Run one request against a store
+     *
+     * @param {Promise<IDBDatabase|null>} database - Resolves to null when storage is unavailable
+     * @param {string} storeName - Object store name
+     * @param {string} mode - "readonly" or "readwrite"
+     * @param {Function} operation - (store) => IDBRequest
+     * @returns {Promise<*>} - The request's result once the transaction completes
+     */
+    async transaction(database, storeName, mode, operation) {
+        const db = await database;
+        if (!db) return undefined;
+
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(storeName, mode);
+            const request = operation(tx.objectStore(storeName));
+            tx.oncomplete = () => resolve(request.result);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+    }
+};
+
 // ============================================
 // Configuration Constants
 // ============================================
@@ -151,7 +207,22 @@ const CONFIG = {
     DIVIDER_MIN_PERCENT: 20,
     DIVIDER_MAX_PERCENT: 80,
     DIVIDER_KEYBOARD_STEP: 5,
-    TAB_SPACES: '    '
+    TAB_SPACES: '    ',
+    FIND_MAX_MATCHES: 10000,
+    UNDO_MAX_STEPS: 500,                       // Per document
+    UNDO_GROUP_MS: 1000,                       // Typing within this window undoes as one step
+    HISTORY_INTERVAL_MS: 5 * 60 * 1000,        // Auto-snapshot at most every 5 minutes
+    HISTORY_MAX_SNAPSHOTS: 50,                 // Per document
+    HISTORY_MAX_CHARS: 1.5 * 1024 * 1024,      // All documents together, in UTF-16 units (as localStorage counts);
+                                               // oldest dropped first, leaving most of the ~5M quota to content
+    HISTORY_DIFF_CONTEXT: 3,                   // Unchanged lines shown around each change
+    HISTORY_DIFF_MAX_EDITS: 2000,              // Beyond this, diff shows a full replacement
+    CODE_COPY_BUTTON: true,                    // Copy-to-clipboard button on preview code blocks
+    RECENT_FILES_MAX: 20,                      // File handles remembered for saving in place
+    ASSET_MAX_SIZE: 5 * 1024 * 1024,           // Per pasted or dropped image
+    PARSER_WORKER_TIMEOUT_MS: 2000,            // Parsing moves to the page if the worker hasn't started by then
+    LINT_MAX_PROBLEMS: 1000,                   // Checks stop reporting beyond this
+    LINT_PAGE_DELAY_MS: 1000                   // Without a worker, checks wait for a pause this long in editing
 };
 
 // ============================================
@@ -254,802 +325,8047 @@ const AppState = {
     highlightDiv: null,
     fileInput: null,
     currentFileName: 'untitled.md',
+    currentDocumentId: null,
     saveTimeout: null,
+    updateTimeout: null,
     isDarkMode: false,
     isResizing: false,
 };
 
 // ============================================
-// Markdown Parser (Simple, Vanilla Implementation)
+// Markdown Parser - Tokenizer & AST
 // ============================================
 
+/**
+ * MarkdownParser turns markdown into a plain-object AST, and HtmlRenderer
+ * turns that AST into HTML. Every node has a `type`; block nodes also carry
+ * `position: { start, end }` - the 0-based first and last source line.
+ *
+ * Block nodes:
+ *   document       { children, footnotes: footnoteDefinition[], frontMatter }
+ *                  footnotes: referenced notes, by number
+ *                  frontMatter: { data, position } for a leading "---" metadata block, else null
+ *   heading        { level, id, children }   id: GitHub-style slug, unique per document
+ *   paragraph      { children }
+ *   blockquote     { children }
+ *   list           { ordered, start, tight, children: listItem[] }
+ *   listItem       { checked, children }   checked: true/false for task items, else null
+ *   codeBlock      { lang, value }   fenced or indented; lang is '' for indented blocks
+ *   thematicBreak  {}
+ *   table          { align: ('left'|'center'|'right'|'')[], children: tableRow[] }
+ *   tableRow       { header, children: tableCell[] }
+ *   tableCell      { children }
+ *   definition     { label, url, title }   "[label]: url" - renders nothing
+ *   footnoteDefinition { label, index, references, children }   index: 1-based number once referenced
+ *
+ * Inline nodes:
+ *   text           { value }
+ *   emphasis       { children }
+ *   strong         { children }
+ *   delete         { children }
+ *   inlineCode     { value }
+ *   link           { url, title, children }
+ *   image          { url, title, alt }   links and images also come from <autolinks> and bare URLs
+ *   break          {}   hard line break (two trailing spaces or a backslash)
+ *   footnoteReference { index, reference }   reference: 1-based count among refs to the same note
+ *
+ * Reference links and images resolve to plain link/image nodes. Inline content
+ * is parsed after the block pass, once every definition in the document is known.
+ *
+ * Text values are raw source text - escaping and URL sanitization are the
+ * renderer's job, so every consumer of the AST sees the document as written.
+ */
 const MarkdownParser = {
+    /**
+     * Block rules, tried in order for each new block
+     * Each returns { node, next } (next = index of the first unconsumed line) or null
+     */
+    BLOCK_RULES: ['indentedCode', 'fencedCode', 'heading', 'thematicBreak', 'blockquote', 'list', 'table',
+        'footnoteDefinition', 'definition', 'paragraph'],
+
+    PATTERNS: {
+        heading: /^ {0,3}(#{1,6})(?:[ \t]+(.*))?$/,
+        // Backtick fences may not have backticks in their info string
+        fenceOpen: /^( {0,3})(`{3,}(?=[^`]*$)|~{3,})[ \t]*(.*)$/,
+        fenceClose: /^ {0,3}(`{3,}|~{3,})[ \t]*$/,
+        setextUnderline: /^ {0,3}(=+|-+)[ \t]*$/,
+        thematicBreak: /^ {0,3}([-*_])(?:[ \t]*\1){2,}[ \t]*$/,
+        blockquote: /^ {0,3}> ?/,
+        listItem: /^( {0,3})([*+-]|\d{1,9}[.)])(?:([ \t]+)(.*))?$/,
+        escapable: /^[!-\/:-@[-`{-~]$/,
+        tableDelimiter: /^\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/,
+        definition: /^ {0,3}\[((?:\\.|[^\\[\]])+)\]:[ \t]*(<[^>\n]*>|\S+)(?:[ \t]+("(?:\\.|[^"\\])*"|'(?:\\.|[^'\\])*'|\((?:\\.|[^()\\])*\)))?[ \t]*$/,
+        footnoteDefinition: /^ {0,3}\[\^([^\]\s]+)\]:[ \t]?(.*)$/
+    },
+
     /**
      * Convert markdown text to HTML
      */
     parse(markdown) {
         if (!markdown) return '';
+        return HtmlRenderer.render(this.tokenize(markdown));
+    },
 
-        // Create context object to hold temporary state (no module-level state)
-        const context = {
-            codeBlocks: []
+    /**
+     * Tokenize markdown into a document AST
+     *
+     * @param {string} markdown - Markdown source
+     * @returns {Object} - Document node (see node reference above)
+     */
+    tokenize(markdown) {
+        const lines = (markdown || '').replace(/\r\n?/g, '\n').split('\n');
+
+        // Front matter is metadata, not body - blocks start after it
+        const frontMatter = FrontMatter.match(lines);
+        const bodyStart = frontMatter ? frontMatter.end + 1 : 0;
+        const children = this.parseBlocks(bodyStart ? lines.slice(bodyStart) : lines, bodyStart);
+
+        const refs = { definitions: new Map(), footnotes: new Map(), order: [] };
+        this.collectDefinitions(children, refs);
+        this.resolveInlines(children, refs);
+
+        const ast = {
+            type: 'document',
+            children,
+            footnotes: refs.order,
+            frontMatter: frontMatter ? { data: frontMatter.data, position: { start: 0, end: frontMatter.end } } : null
         };
+        this.assignHeadingIds(ast);
+        return ast;
+    },
 
-        let html = markdown;
-
-        // Escape HTML to prevent XSS
-        html = this.escapeHtml(html);
-
-        // Parse code blocks first (to avoid processing markdown inside them)
-        html = this.parseCodeBlocks(html, context);
-
-        // Parse inline code
-        html = this.parseInlineCode(html);
-
-        // Parse headers
-        html = this.parseHeaders(html);
-
-        // Parse horizontal rules
-        html = html.replace(/^---+$/gm, '<hr>');
-
-        // Parse blockquotes
-        html = this.parseBlockquotes(html);
-
-        // Parse lists
-        html = this.parseLists(html);
-
-        // Parse images (before links)
-        html = html.replace(/!\[([^\]]*)\]\(([^)]+)\)/g, (match, alt, url) => {
-            const safeUrl = SecurityUtils.sanitizeUrl(url);
-            const safeAlt = alt; // Already escaped by escapeHtml() earlier
-            return safeUrl ? `<img src="${safeUrl}" alt="${safeAlt}">` : `<span>[Image: ${safeAlt}]</span>`;
+    /**
+     * Index link and footnote definitions by normalized label
+     * The first definition of a label wins, wherever it appears
+     */
+    collectDefinitions(nodes, refs) {
+        nodes.forEach(node => {
+            if (node.type === 'definition') {
+                const key = this.normalizeLabel(node.label);
+                if (!refs.definitions.has(key)) refs.definitions.set(key, node);
+            } else if (node.type === 'footnoteDefinition') {
+                const key = this.normalizeLabel(node.label);
+                if (!refs.footnotes.has(key)) refs.footnotes.set(key, node);
+            }
+            if (node.children && node.position) this.collectDefinitions(node.children, refs);
         });
+    },
 
-        // Parse links
-        html = html.replace(/\[([^\]]+)\]\(([^)]+)\)/g, (match, text, url) => {
-            const safeUrl = SecurityUtils.sanitizeUrl(url);
-            const safeText = text; // Already escaped by escapeHtml() earlier
-            return safeUrl ? `<a href="${safeUrl}">${safeText}</a>` : `<span>[${safeText}]</span>`;
+    /**
+     * Parse the inline text held by leaf blocks, in document order
+     * (so footnotes are numbered in the order they are first referenced)
+     */
+    resolveInlines(nodes, refs) {
+        nodes.forEach(node => {
+            if (typeof node.inline === 'string') {
+                node.children = this.parseInline(node.inline, refs);
+                delete node.inline;
+            } else if (node.children) {
+                this.resolveInlines(node.children, refs);
+            }
         });
+    },
 
-        // Parse bold and italic
-        html = html.replace(/\*\*\*([^*]+)\*\*\*/g, '<strong><em>$1</em></strong>');
-        html = html.replace(/\*\*([^*]+)\*\*/g, '<strong>$1</strong>');
-        html = html.replace(/\*([^*]+)\*/g, '<em>$1</em>');
-        html = html.replace(/___([^_]+)___/g, '<strong><em>$1</em></strong>');
-        html = html.replace(/__([^_]+)__/g, '<strong>$1</strong>');
-        html = html.replace(/_([^_]+)_/g, '<em>$1</em>');
-
-        // Parse strikethrough
-        html = html.replace(/~~([^~]+)~~/g, '<del>$1</del>');
+    /**
+     * Labels match case-insensitively with runs of whitespace collapsed
+     */
+    normalizeLabel(label) {
+        return label.trim().replace(/\s+/g, ' ').toLowerCase();
+    },
 
-        // Parse paragraphs
-        html = this.parseParagraphs(html);
+    /**
+     * Give every heading a slug id, numbering repeats the way GitHub does:
+     * "Setup", "Setup" -> "setup", "setup-1"
+     */
+    assignHeadingIds(ast) {
+        const headings = this.headings(ast);
+        this.numberHeadingIds(headings, headings.map(heading => this.slugify(this.textContent(heading.children))));
+    },
 
-        // Restore code blocks
-        html = this.restoreCodeBlocks(html, context);
+    /**
+     * @param {Object[]} headings - Heading nodes in document order
+     * @param {string[]} slugs - Slug of each heading's text
+     */
+    numberHeadingIds(headings, slugs) {
+        const seen = new Map();
+        headings.forEach((heading, index) => {
+            const base = slugs[index];
+            let id = base;
+            while (seen.has(id)) {
+                const count = seen.get(base) + 1;
+                seen.set(base, count);
+                id = `${base}-${count}`;
+            }
+            seen.set(id, 0);
+            heading.id = id;
+        });
+    },
 
-        return html;
+    /**
+     * GitHub-compatible slug: lowercase, punctuation dropped, spaces to hyphens
+     */
+    slugify(text) {
+        return text.trim().toLowerCase()
+            .replace(/[^\p{L}\p{M}\p{N}\p{Pc}\- ]/gu, '')
+            .replace(/ /g, '-');
     },
 
-    escapeHtml(text) {
-        const map = {
-            '&': '&amp;',
-            '<': '&lt;',
-            '>': '&gt;',
-            '"': '&quot;',
-            "'": '&#039'
-        };
-        return text.replace(/[&<>"']/g, m => map[m]);
+    /**
+     * All heading nodes in document order, including those nested in lists and quotes
+     */
+    headings(node, result = []) {
+        (node.children || []).forEach(child => {
+            if (child.type === 'heading') result.push(child);
+            else if (child.position) this.headings(child, result);
+        });
+        return result;
     },
 
+    // ----------------------------------------
+    // Block level
+    // ----------------------------------------
+
     /**
-     * Generate collision-resistant placeholder
-     * Uses crypto.randomUUID if available, falls back to timestamp + random
-     *
-     * Format: __BLOCK_[BASE64_UUID]__
-     * Collision probability: < 1 in 10^36
+     * Split lines into block nodes
      *
-     * @param {string} prefix - Placeholder type prefix
-     * @returns {string} - Unique placeholder string
+     * @param {string[]} lines - Source lines
+     * @param {number} offset - Line number of lines[0] in the full document
+     * @returns {Object[]} - Block nodes
      */
-    generatePlaceholder(prefix) {
-        let uuid;
+    parseBlocks(lines, offset) {
+        const blocks = [];
+        let result = this.nextBlock(lines, 0, offset);
 
-        // Try modern crypto API (available in Chrome 92+, Firefox 95+, Safari 15.4+)
-        if (typeof crypto !== 'undefined' && crypto.randomUUID) {
-            uuid = crypto.randomUUID();
-        } else {
-            // Fallback: timestamp + random (less secure but still very unlikely to collide)
-            uuid = `${Date.now()}-${Math.random().toString(36).substring(2)}-${Math.random().toString(36).substring(2)}`;
+        while (result) {
+            blocks.push(result.node);
+            result = this.nextBlock(lines, result.next, offset);
         }
 
-        // Base64 encode to make it even more obscure
-        // Use btoa if available (browser), otherwise keep as-is
-        const encoded = typeof btoa !== 'undefined' ? btoa(uuid).replace(/=/g, '') : uuid;
+        return blocks;
+    },
 
-        return `__${prefix}_${encoded}__`;
+    /**
+     * Parse the first block at or after lines[i], skipping blank lines
+     * Rules only read forward, so a block depends on no line before its start
+     *
+     * @returns {{node: Object, next: number}|null} - null once only blank lines remain
+     */
+    nextBlock(lines, i, offset) {
+        while (i < lines.length && !lines[i].trim()) i++;
+        if (i === lines.length) return null;
+
+        for (const rule of this.BLOCK_RULES) {
+            const result = this[rule](lines, i, offset);
+            if (result) {
+                result.node.position = { start: offset + i, end: offset + result.next - 1 };
+                return result;
+            }
+        }
+        return null;
     },
 
-    parseCodeBlocks(text, context) {
-        return text.replace(/```([^\n]*)\n([\s\S]*?)```/g, (match, lang, code) => {
-            const placeholder = this.generatePlaceholder('CODE_BLOCK');
-            const content = `<pre><code>${code.trim()}</code></pre>`;
+    /**
+     * Whether a line starts a block that may interrupt a paragraph
+     */
+    interruptsParagraph(lines, i) {
+        const line = lines[i];
+        const { PATTERNS } = this;
+        if (PATTERNS.fenceOpen.test(line) || PATTERNS.heading.test(line) ||
+            PATTERNS.thematicBreak.test(line) || PATTERNS.blockquote.test(line)) {
+            return true;
+        }
+        const item = this.matchListItem(line);
+        if (item && item.content.trim()) return true;
+        return this.isTableStart(lines, i);
+    },
 
-            // Store with placeholder as key for deterministic lookup
-            context.codeBlocks.push({ placeholder, content });
+    /**
+     * Indented code - lines indented four or more columns; blank lines inside
+     * are kept, trailing ones are not. Cannot interrupt a paragraph.
+     */
+    indentedCode(lines, i) {
+        if (this.indentWidth(lines[i]) < 4) return null;
+
+        let end = i;
+        let j = i;
+        while (j < lines.length && (!lines[j].trim() || this.indentWidth(lines[j]) >= 4)) {
+            if (lines[j].trim()) end = j + 1;
+            j++;
+        }
 
-            return placeholder;
-        });
+        const value = lines.slice(i, end).map(line => this.removeIndent(line, 4)).join('\n');
+        return { node: { type: 'codeBlock', lang: '', value }, next: end };
     },
 
-    restoreCodeBlocks(text, context) {
-        context.codeBlocks.forEach(({ placeholder, content }) => {
-            // Use exact placeholder match, not index-based
-            text = text.replace(placeholder, content);
-        });
-        return text;
+    fencedCode(lines, i) {
+        const open = lines[i].match(this.PATTERNS.fenceOpen);
+        if (!open) return null;
+
+        const indent = open[1].length;
+        const fence = open[2];
+        const body = [];
+        let j = i + 1;
+
+        while (j < lines.length) {
+            const close = lines[j].match(this.PATTERNS.fenceClose);
+            if (close && close[1][0] === fence[0] && close[1].length >= fence.length) break;
+            // Strip up to the opening fence's indentation from content lines
+            body.push(lines[j].replace(new RegExp(`^ {0,${indent}}`), ''));
+            j++;
+        }
+
+        // An unclosed fence runs to the end of the document
+        const next = j < lines.length ? j + 1 : j;
+        const lang = this.unescape(open[3].trim().split(/\s+/)[0]);
+        return { node: { type: 'codeBlock', lang, value: body.join('\n') }, next };
     },
 
-    parseInlineCode(text) {
-        return text.replace(/`([^`]+)`/g, '<code>$1</code>');
+    heading(lines, i) {
+        const match = lines[i].match(this.PATTERNS.heading);
+        if (!match) return null;
+        return {
+            // An optional closing run of "#" must be preceded by a space (or be all there is)
+            node: { type: 'heading', level: match[1].length, inline: (match[2] || '').replace(/(?:^|[ \t]+)#+[ \t]*$/, '').trim() },
+            next: i + 1
+        };
     },
 
-    parseHeaders(text) {
-        // Single pass for all header levels (optimization: 6 passes → 1 pass)
-        return text.replace(/^(#{1,6})\s+(.+)$/gm, (match, hashes, content) => {
-            const level = hashes.length;  // Count # symbols (1-6)
-            return `<h${level}>${content.trim()}</h${level}>`;
-        });
+    thematicBreak(lines, i) {
+        if (!this.PATTERNS.thematicBreak.test(lines[i])) return null;
+        return { node: { type: 'thematicBreak' }, next: i + 1 };
     },
 
-    parseBlockquotes(text) {
-        const lines = text.split('\n');
-        const result = [];
-        let inBlockquote = false;
-        let blockquoteContent = [];
-
-        lines.forEach(line => {
-            if (line.startsWith('> ')) {
-                if (!inBlockquote) {
-                    inBlockquote = true;
-                    blockquoteContent = [];
-                }
-                blockquoteContent.push(line.substring(2));
-            } else {
-                if (inBlockquote) {
-                    result.push(`<blockquote>${blockquoteContent.join('\n')}</blockquote>`);
-                    inBlockquote = false;
-                    blockquoteContent = [];
-                }
-                result.push(line);
-            }
-        });
+    blockquote(lines, i, offset) {
+        if (!this.PATTERNS.blockquote.test(lines[i])) return null;
 
-        if (inBlockquote) {
-            result.push(`<blockquote>${blockquoteContent.join('\n')}</blockquote>`);
+        const inner = [];
+        let j = i;
+        while (j < lines.length && this.PATTERNS.blockquote.test(lines[j])) {
+            inner.push(lines[j].replace(this.PATTERNS.blockquote, ''));
+            j++;
         }
 
-        return result.join('\n');
+        return { node: { type: 'blockquote', children: this.parseBlocks(inner, offset + i) }, next: j };
     },
 
-    parseLists(text) {
-        const lines = text.split('\n');
-        const result = [];
-        let inUl = false;
-        let inOl = false;
-
-        lines.forEach(line => {
-            const ulMatch = line.match(/^[\*\-]\s+(.+)$/);
-            const olMatch = line.match(/^\d+\.\s+(.+)$/);
-
-            if (ulMatch) {
-                if (!inUl) {
-                    if (inOl) {
-                        result.push('</ol>');
-                        inOl = false;
-                    }
-                    result.push('<ul>');
-                    inUl = true;
-                }
-                result.push(`<li>${ulMatch[1]}</li>`);
-            } else if (olMatch) {
-                if (!inOl) {
-                    if (inUl) {
-                        result.push('</ul>');
-                        inUl = false;
-                    }
-                    result.push('<ol>');
-                    inOl = true;
-                }
-                result.push(`<li>${olMatch[1]}</li>`);
-            } else {
-                if (inUl) {
-                    result.push('</ul>');
-                    inUl = false;
-                }
-                if (inOl) {
-                    result.push('</ol>');
-                    inOl = false;
-                }
-                result.push(line);
-            }
-        });
+    /**
+     * Match a list item marker line
+     *
+     * @returns {Object|null} - { ordered, bullet, start, contentOffset, content }
+     */
+    matchListItem(line) {
+        const match = line.match(this.PATTERNS.listItem);
+        if (!match) return null;
+
+        const [, indent, marker, spacing = '', content = ''] = match;
+        const ordered = /\d/.test(marker);
+        // Content more than 4 spaces past the marker is indented code, so it starts after one space
+        const padding = !content || spacing.length > 4 ? 1 : spacing.length;
+
+        return {
+            ordered,
+            // Items only continue a list with the same bullet or delimiter character
+            bullet: marker[marker.length - 1],
+            start: ordered ? parseInt(marker, 10) : 1,
+            contentOffset: indent.length + marker.length + padding,
+            content: spacing.length > 4 ? spacing.substring(1) + content : content
+        };
+    },
 
-        if (inUl) result.push('</ul>');
-        if (inOl) result.push('</ol>');
+    /**
+     * Remove up to `columns` columns of leading whitespace (tabs stop every 4 columns)
+     */
+    removeIndent(line, columns) {
+        let column = 0;
+        let i = 0;
+        while (i < line.length && column < columns && (line[i] === ' ' || line[i] === '\t')) {
+            column = line[i] === '\t' ? column + 4 - (column % 4) : column + 1;
+            i++;
+        }
+        return line.substring(i);
+    },
 
-        return result.join('\n');
+    /**
+     * Width of a line's leading whitespace in columns
+     */
+    indentWidth(line) {
+        let column = 0;
+        for (const char of line) {
+            if (char === ' ') column++;
+            else if (char === '\t') column += 4 - (column % 4);
+            else break;
+        }
+        return column;
     },
 
-    parseParagraphs(text) {
-        const blocks = text.split('\n\n');
-        return blocks.map(block => {
-            const trimmed = block.trim();
-            if (!trimmed) return '';
+    /**
+     * List - items nest by indentation: lines indented to an item's content
+     * column belong to that item and are parsed as blocks of their own
+     */
+    list(lines, i, offset) {
+        const first = this.matchListItem(lines[i]);
+        if (!first) return null;
+
+        const items = [];
+        let tight = true;
+        let j = i;
+
+        while (j < lines.length) {
+            const marker = this.matchListItem(lines[j]);
+            if (!marker || marker.ordered !== first.ordered || marker.bullet !== first.bullet ||
+                this.PATTERNS.thematicBreak.test(lines[j])) {
+                break;
+            }
+
+            // Collect the item's lines, one entry per source line so positions stay exact
+            const itemLines = [marker.content];
+            let k = j + 1;
+            while (k < lines.length) {
+                const line = lines[k];
+                if (!line.trim()) {
+                    itemLines.push('');
+                } else if (this.indentWidth(line) >= marker.contentOffset) {
+                    itemLines.push(this.removeIndent(line, marker.contentOffset));
+                } else if (itemLines[itemLines.length - 1].trim() && !this.interruptsParagraph(lines, k) &&
+                    !this.matchListItem(line)) {
+                    // Lazy continuation of the item's last paragraph
+                    itemLines.push(line.trim());
+                } else {
+                    break;
+                }
+                k++;
+            }
+
+            // Trailing blank lines separate items; they don't belong to this one
+            while (itemLines.length > 1 && !itemLines[itemLines.length - 1].trim()) {
+                itemLines.pop();
+            }
+            const end = j + itemLines.length - 1;
+
+            // Task list item: "[ ]" or "[x]" right after the marker
+            let checked = null;
+            const task = itemLines[0].match(/^\[([ xX])\](?:[ \t]+|$)/);
+            if (task) {
+                checked = task[1] !== ' ';
+                itemLines[0] = itemLines[0].substring(task[0].length);
+            }
 
-            // Validate that < is actually an HTML tag, not user content like "< 5"
-            // Regex: ^<\/?[a-zA-Z][a-zA-Z0-9]*
-            // Matches: <tagname or </tagname (where tagname starts with letter)
-            // Doesn't match: < 5, <= value, <3 hearts, <- arrow, etc.
-            if (/^<\/?[a-zA-Z][a-zA-Z0-9]*/.test(trimmed)) {
-                return trimmed; // This is HTML, don't wrap in <p>
+            const children = this.parseBlocks(itemLines, offset + j);
+            for (let c = 1; c < children.length; c++) {
+                if (children[c].position.start > children[c - 1].position.end + 1) tight = false;
             }
 
-            // Multi-line content that's not HTML (likely list or blockquote)
-            if (trimmed.includes('\n') && !/^<\/?[a-zA-Z][a-zA-Z0-9]*/.test(trimmed)) {
-                return trimmed;
+            items.push({ type: 'listItem', checked, children, position: { start: offset + j, end: offset + end } });
+
+            // A blank line before the next item makes the whole list loose
+            const nextMarker = k < lines.length ? this.matchListItem(lines[k]) : null;
+            if (k > end + 1 && nextMarker && nextMarker.ordered === first.ordered && nextMarker.bullet === first.bullet) {
+                tight = false;
             }
+            j = k;
+        }
 
-            return `<p>${trimmed}</p>`;
-        }).join('\n\n');
-    }
-};
+        return {
+            node: { type: 'list', ordered: first.ordered, start: first.start, tight, children: items },
+            next: items[items.length - 1].position.end - offset + 1
+        };
+    },
 
-// ============================================
-// Syntax Highlighter
-// ============================================
+    /**
+     * A table starts with a header row followed by a delimiter row (---, :---, ---:, :---:)
+     * with the same number of cells
+     */
+    isTableStart(lines, i) {
+        const line = lines[i];
+        const next = lines[i + 1];
+        if (!line.includes('|') || next === undefined || !next.includes('|') ||
+            !this.PATTERNS.tableDelimiter.test(next)) {
+            return false;
+        }
+        return this.splitTableRow(line).length === this.splitTableRow(next).length;
+    },
 
-const SyntaxHighlighter = {
     /**
-     * Extract bold/italic patterns and replace with placeholders
-     * Prevents regex conflicts by processing patterns in isolation
+     * Split a table row into cells on unescaped pipes
+     * Leading/trailing pipes are optional; "\|" yields a literal pipe
+     *
+     * @param {string} row - A single table row
+     * @returns {string[]} - Trimmed cell contents
      */
-    extractInlineFormats(text, context) {
-        let index = 0;
+    splitTableRow(row) {
+        let trimmed = row.trim();
+        if (trimmed.startsWith('|')) trimmed = trimmed.substring(1);
+        if (trimmed.endsWith('|') && !trimmed.endsWith('\\|')) trimmed = trimmed.slice(0, -1);
+
+        const cells = [];
+        let current = '';
+        for (let i = 0; i < trimmed.length; i++) {
+            const char = trimmed[i];
+            if (char === '\\' && trimmed[i + 1] === '|') {
+                current += '|';
+                i++;
+            } else if (char === '|') {
+                cells.push(current.trim());
+                current = '';
+            } else {
+                current += char;
+            }
+        }
+        cells.push(current.trim());
+        return cells;
+    },
 
-        // Process triple first (bold+italic combined)
-        text = text.replace(/\*\*\*([^*]+)\*\*\*/g, (match, content) => {
-            const placeholder = `__INLINE_FORMAT_${index}__`;
-            context.inlineFormats.push(`<span class="syntax-bold">***${content}***</span>`);
-            index++;
-            return placeholder;
+    /**
+     * GFM pipe table - body rows continue until a blank line, a pipe-less line
+     * or the start of another block
+     */
+    table(lines, i, offset) {
+        if (!this.isTableStart(lines, i)) return null;
+
+        const headers = this.splitTableRow(lines[i]);
+        const align = this.splitTableRow(lines[i + 1]).map(cell => {
+            const left = cell.startsWith(':');
+            const right = cell.endsWith(':');
+            if (left && right) return 'center';
+            if (right) return 'right';
+            if (left) return 'left';
+            return '';
         });
 
-        // Process double asterisk (bold)
-        text = text.replace(/\*\*([^*]+)\*\*/g, (match, content) => {
-            const placeholder = `__INLINE_FORMAT_${index}__`;
-            context.inlineFormats.push(`<span class="syntax-bold">**${content}**</span>`);
-            index++;
-            return placeholder;
+        const toRow = (cells, header, line) => ({
+            type: 'tableRow',
+            header,
+            // Pad short rows and drop excess cells, as GFM does
+            children: headers.map((h, index) => ({
+                type: 'tableCell',
+                inline: cells[index] || ''
+            })),
+            position: { start: offset + line, end: offset + line }
         });
 
-        // Process double underscore (bold)
-        text = text.replace(/__([^_]+)__/g, (match, content) => {
-            const placeholder = `__INLINE_FORMAT_${index}__`;
-            context.inlineFormats.push(`<span class="syntax-bold">__${content}__</span>`);
-            index++;
-            return placeholder;
-        });
+        const rows = [toRow(headers, true, i)];
+        let j = i + 2;
+        while (j < lines.length && lines[j].trim() && lines[j].includes('|') && !this.interruptsParagraph(lines, j)) {
+            rows.push(toRow(this.splitTableRow(lines[j]), false, j));
+            j++;
+        }
 
-        // Process single asterisk (italic)
-        text = text.replace(/\*([^*]+)\*/g, (match, content) => {
-            const placeholder = `__INLINE_FORMAT_${index}__`;
-            context.inlineFormats.push(`<span class="syntax-italic">*${content}*</span>`);
-            index++;
-            return placeholder;
-        });
+        return { node: { type: 'table', align, children: rows }, next: j };
+    },
 
-        // Process single underscore (italic)
-        text = text.replace(/_([^_]+)_/g, (match, content) => {
-            const placeholder = `__INLINE_FORMAT_${index}__`;
-            context.inlineFormats.push(`<span class="syntax-italic">_${content}_</span>`);
-            index++;
-            return placeholder;
-        });
+    /**
+     * Paragraph - runs until a blank line or a block that can interrupt it.
+     * A "===" or "---" underline turns it into a setext heading instead.
+     * Trailing spaces are kept on inner lines, where two or more make a hard break.
+     */
+    paragraph(lines, i) {
+        const content = [];
+        let j = i;
+        do {
+            content.push(lines[j].replace(/^[ \t]+/, ''));
+            j++;
+
+            const underline = j < lines.length && lines[j].match(this.PATTERNS.setextUnderline);
+            if (underline) {
+                return {
+                    node: { type: 'heading', level: underline[1][0] === '=' ? 1 : 2, inline: content.join('\n').trim() },
+                    next: j + 1
+                };
+            }
+        } while (j < lines.length && lines[j].trim() && !this.interruptsParagraph(lines, j));
 
-        return text;
+        return { node: { type: 'paragraph', inline: content.join('\n').trim() }, next: j };
     },
 
     /**
-     * Restore inline format spans from placeholders
+     * Link reference definition - "[label]: url "title"" on a line of its own
+     * Like in CommonMark, a definition cannot interrupt a paragraph
      */
-    restoreInlineFormats(text, context) {
-        context.inlineFormats.forEach((format, index) => {
-            text = text.replace(`__INLINE_FORMAT_${index}__`, format);
-        });
-        return text;
+    definition(lines, i) {
+        const match = lines[i].match(this.PATTERNS.definition);
+        if (!match || match[1].startsWith('^') || !match[1].trim()) return null;
+
+        const url = this.unescape(match[2].replace(/^<(.*)>$/, '$1'));
+        const title = match[3] ? this.unescape(match[3].slice(1, -1)) : '';
+        return { node: { type: 'definition', label: match[1], url, title }, next: i + 1 };
     },
 
-    highlight(text) {
-        if (!text) return '';
+    /**
+     * Footnote definition - "[^label]: text", continued by lines indented
+     * four columns (which may be separated by blank lines) or by lazy
+     * paragraph continuation lines
+     */
+    footnoteDefinition(lines, i, offset) {
+        const match = lines[i].match(this.PATTERNS.footnoteDefinition);
+        if (!match) return null;
+
+        const content = [match[2]];
+        let j = i + 1;
+        while (j < lines.length) {
+            const line = lines[j];
+            if (!line.trim()) {
+                let next = j;
+                while (next < lines.length && !lines[next].trim()) next++;
+                if (next === lines.length || this.indentWidth(lines[next]) < 4) break;
+                while (j < next) {
+                    content.push('');
+                    j++;
+                }
+                continue;
+            }
+
+            if (this.indentWidth(line) >= 4) {
+                content.push(this.removeIndent(line, 4));
+            } else if (content[content.length - 1].trim() && !this.interruptsParagraph(lines, j) &&
+                !this.PATTERNS.footnoteDefinition.test(line)) {
+                content.push(line);
+            } else {
+                break;
+            }
+            j++;
+        }
 
-        // Create context object to hold temporary state (no module-level state)
-        const context = {
-            inlineFormats: []
+        return {
+            node: { type: 'footnoteDefinition', label: match[1], children: this.parseBlocks(content, offset + i) },
+            next: j
         };
+    },
 
-        // Escape HTML
-        text = this.escapeHtml(text);
+    // ----------------------------------------
+    // Inline level
+    // ----------------------------------------
 
-        // Extract inline formats FIRST to prevent conflicts
-        text = this.extractInlineFormats(text, context);
+    /**
+     * Tokenize inline content
+     * Code spans and link destinations are taken literally; emphasis is resolved
+     * with CommonMark's delimiter-run rules, so "snake_case_name" stays plain text
+     *
+     * @param {string} text - Inline source text
+     * @param {Object} [refs] - Definitions from MarkdownParser.collectDefinitions
+     * @returns {Object[]} - Inline nodes
+     */
+    parseInline(text, refs = null) {
+        const nodes = [];
+        const delimiters = [];
+        const brackets = [];
+        const special = /[`[\]!*_~\\<\n]/g;
+        let buffer = '';
+        let i = 0;
+
+        const flush = () => {
+            if (buffer) {
+                nodes.push({ type: 'text', value: buffer });
+                buffer = '';
+            }
+        };
 
-        // Apply syntax highlighting in order
+        while (i < text.length) {
+            const char = text[i];
+
+            if (char === '\\') {
+                // Backslash-newline is a hard break; before ASCII punctuation, a literal
+                if (text[i + 1] === '\n') {
+                    flush();
+                    nodes.push({ type: 'break' });
+                    i += 2;
+                } else if (this.PATTERNS.escapable.test(text[i + 1] || '')) {
+                    buffer += text[i + 1];
+                    i += 2;
+                } else {
+                    buffer += char;
+                    i++;
+                }
+                continue;
+            }
 
-        // Code blocks (```)
-        text = text.replace(/```([\s\S]*?)```/g, '<span class="syntax-code-block">```$1```</span>');
+            if (char === '\n') {
+                // Two or more trailing spaces make a hard break; otherwise they are dropped
+                const trimmed = buffer.replace(/ +$/, '');
+                const hard = buffer.length - trimmed.length >= 2;
+                buffer = trimmed;
+                if (hard) {
+                    flush();
+                    nodes.push({ type: 'break' });
+                } else {
+                    buffer += '\n';
+                }
+                i++;
+                continue;
+            }
 
-        // Inline code (`)
-        text = text.replace(/`([^`]+)`/g, '<span class="syntax-code">`$1`</span>');
+            if (char === '<') {
+                const autolink = this.matchAutolink(text, i);
+                if (autolink) {
+                    flush();
+                    nodes.push(autolink.node);
+                    i = autolink.end;
+                } else {
+                    buffer += char;
+                    i++;
+                }
+                continue;
+            }
 
-        // Headers
-        text = text.replace(/^(#{1,6})\s+(.+)$/gm, '<span class="syntax-header">$1 $2</span>');
+            if (char === '`') {
+                const span = this.matchCodeSpan(text, i);
+                if (span) {
+                    flush();
+                    nodes.push({ type: 'inlineCode', value: span.value });
+                    i = span.end;
+                } else {
+                    // Unmatched backtick run is literal text
+                    const run = this.runLength(text, i);
+                    buffer += text.substr(i, run);
+                    i += run;
+                }
+                continue;
+            }
 
-        // Bold and italic patterns are now handled by extractInlineFormats/restoreInlineFormats
+            if (char === '[' || (char === '!' && text[i + 1] === '[')) {
+                flush();
+                const node = { type: 'text', value: char === '!' ? '![' : '[' };
+                nodes.push(node);
+                brackets.push({
+                    node, image: char === '!', active: true, delimiterBottom: delimiters.length,
+                    labelStart: i + node.value.length
+                });
+                i += node.value.length;
+                continue;
+            }
 
-        // Links and images
-        text = text.replace(/!?\[([^\]]*)\]\(([^)]+)\)/g, '<span class="syntax-link">$&</span>');
+            if (char === ']') {
+                flush();
+                const end = this.closeBracket(text, i, nodes, delimiters, brackets, refs);
+                if (end) {
+                    i = end;
+                    continue;
+                }
+                buffer += ']';
+                i++;
+                continue;
+            }
 
-        // Lists
-        text = text.replace(/^([\*\-]|\d+\.)\s+/gm, '<span class="syntax-list">$1 </span>');
+            if (char === '*' || char === '_' || char === '~') {
+                const run = this.runLength(text, i);
+                // GFM strikethrough uses exactly two tildes
+                if (char === '~' && run !== 2) {
+                    buffer += text.substr(i, run);
+                    i += run;
+                    continue;
+                }
 
-        // Blockquotes
-        text = text.replace(/^(&gt;)\s+/gm, '<span class="syntax-quote">&gt; </span>');
+                flush();
+                const before = i > 0 ? text[i - 1] : ' ';
+                const after = i + run < text.length ? text[i + run] : ' ';
+                const { canOpen, canClose } = this.classifyDelimiter(char, before, after);
+                const node = { type: 'text', value: text.substr(i, run) };
+                nodes.push(node);
+                delimiters.push({ node, char, count: run, originalCount: run, canOpen, canClose });
+                i += run;
+                continue;
+            }
 
-        // Restore inline formats LAST
-        text = this.restoreInlineFormats(text, context);
+            // Plain text - consume up to the next character that could start a token
+            special.lastIndex = i + 1;
+            const end = special.test(text) ? special.lastIndex - 1 : text.length;
+            buffer += text.slice(i, end);
+            i = end;
+        }
 
-        return text;
+        flush();
+        this.processEmphasis(nodes, delimiters, 0);
+        return this.linkBareUrls(this.mergeText(nodes));
     },
 
-    escapeHtml(text) {
-        const map = {
-            '&': '&amp;',
-            '<': '&lt;',
-            '>': '&gt;',
-            '"': '&quot;',
-            "'": '&#039;'
-        };
-        return text.replace(/[&<>"']/g, m => map[m]);
-    }
-};
-
-// ============================================
-// Editor Functions
-// ============================================
-
-const Editor = {
     /**
-     * Update preview with parsed markdown
+     * Remove backslash escapes (used for link destinations, titles and info strings)
      */
-    updatePreview() {
-        const markdown = AppState.editor.value;
-        const html = MarkdownParser.parse(markdown);
-        AppState.preview.innerHTML = html;
-        this.updateSyntaxHighlight(markdown);
-        this.updateWordCount(markdown);
-        this.scheduleSave();
+    unescape(text) {
+        return text.replace(/\\([!-\/:-@[-`{-~])/g, '$1');
     },
 
     /**
-     * Update syntax highlighting in editor
+     * Match "<scheme:...>" or "<user@example.com>" at position i
+     *
+     * @returns {{node: Object, end: number}|null}
      */
-    updateSyntaxHighlight(text) {
-        const highlighted = SyntaxHighlighter.highlight(text);
-        AppState.highlightDiv.innerHTML = highlighted;
+    matchAutolink(text, i) {
+        const rest = text.slice(i, i + 2048);
+        const uri = rest.match(/^<([A-Za-z][A-Za-z0-9+.-]{1,31}:[^<>\s]*)>/);
+        if (uri) {
+            return {
+                node: { type: 'link', url: uri[1], title: '', children: [{ type: 'text', value: uri[1] }] },
+                end: i + uri[0].length
+            };
+        }
+
+        const email = rest.match(/^<([a-zA-Z0-9.!#$%&'*+/=?^_`{|}~-]+@[a-zA-Z0-9](?:[a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?(?:\.[a-zA-Z0-9](?:[a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?)*)>/);
+        if (email) {
+            return {
+                node: { type: 'link', url: `mailto:${email[1]}`, title: '', children: [{ type: 'text', value: email[1] }] },
+                end: i + email[0].length
+            };
+        }
+        return null;
     },
 
     /**
-     * Update word count in status bar
+     * GFM extended autolinks - turn bare "https://..." and "www..." in text
+     * into links, leaving trailing punctuation and unbalanced ")" outside.
+     * Text already inside links is left alone.
      */
-    updateWordCount(text) {
-        const words = text.trim().split(/\s+/).filter(w => w.length > 0).length;
-        document.getElementById('status-words').textContent = `${words} word${words !== 1 ? 's' : ''}`;
+    linkBareUrls(nodes) {
+        const bareUrl = /(^|[\s*_~(])((?:https?:\/\/|www\.)[\w-]+(?:\.[\w-]+)+[^\s<]*)/g;
+
+        return nodes.flatMap(node => {
+            if (node.type === 'emphasis' || node.type === 'strong' || node.type === 'delete') {
+                node.children = this.linkBareUrls(node.children);
+                return [node];
+            }
+            if (node.type !== 'text' || !/https?:\/\/|www\./.test(node.value)) return [node];
+
+            const result = [];
+            let position = 0;
+            let match;
+            bareUrl.lastIndex = 0;
+            while ((match = bareUrl.exec(node.value)) !== null) {
+                let url = match[2];
+                for (;;) {
+                    const last = url[url.length - 1];
+                    if ('?!.,:*_~\'"'.includes(last)) {
+                        url = url.slice(0, -1);
+                    } else if (last === ')' && url.split('(').length < url.split(')').length) {
+                        url = url.slice(0, -1);
+                    } else {
+                        break;
+                    }
+                }
+
+                const start = match.index + match[1].length;
+                result.push({ type: 'text', value: node.value.slice(position, start) });
+                result.push({
+                    type: 'link',
+                    url: url.startsWith('www.') ? `http://${url}` : url,
+                    title: '',
+                    children: [{ type: 'text', value: url }]
+                });
+                position = start + url.length;
+                bareUrl.lastIndex = position;
+            }
+            result.push({ type: 'text', value: node.value.slice(position) });
+            return result.filter(child => child.type !== 'text' || child.value);
+        });
     },
 
     /**
-     * Schedule auto-save to localStorage
+     * Number of consecutive repeats of the character at position i
      */
-    scheduleSave() {
-        clearTimeout(AppState.saveTimeout);
-        document.getElementById('status-save').textContent = 'Unsaved';
-
-        AppState.saveTimeout = setTimeout(() => {
-            this.saveToLocalStorage();
-        }, CONFIG.SAVE_DEBOUNCE_MS);
+    runLength(text, i) {
+        let end = i;
+        while (text[end] === text[i]) end++;
+        return end - i;
     },
 
     /**
-     * Save content to localStorage
+     * Match a code span opening at position i
+     *
+     * @returns {{value: string, end: number}|null}
      */
-    saveToLocalStorage() {
-        try {
-            localStorage.setItem('nousmd-content', AppState.editor.value);
-            localStorage.setItem('nousmd-timestamp', new Date().toISOString());
-            document.getElementById('status-save').textContent = 'Saved';
-        } catch (e) {
-            Logger.error('Failed to save to localStorage:', e);
-            document.getElementById('status-save').textContent = 'Save failed';
+    matchCodeSpan(text, i) {
+        const length = this.runLength(text, i);
+        let search = i + length;
+
+        while (search < text.length) {
+            const close = text.indexOf('`', search);
+            if (close === -1) return null;
+
+            const run = this.runLength(text, close);
+            if (run === length) {
+                let value = text.slice(i + length, close).replace(/\n/g, ' ');
+                // Strip one padding space from each side, unless the span is all spaces
+                if (value.length > 1 && value.startsWith(' ') && value.endsWith(' ') && value.trim()) {
+                    value = value.slice(1, -1);
+                }
+                return { value, end: close + run };
+            }
+            search = close + run;
         }
+
+        return null;
     },
 
     /**
-     * Load content from localStorage
+     * Decide whether a delimiter run can open and/or close emphasis
+     * (CommonMark left/right-flanking rules)
      */
-    loadFromLocalStorage() {
-        try {
-            const content = localStorage.getItem('nousmd-content');
-            if (content) {
-                AppState.editor.value = content;
-                this.updatePreview();
-                document.getElementById('status-save').textContent = 'Loaded from storage';
+    classifyDelimiter(char, before, after) {
+        const isSpace = c => /\s/.test(c);
+        const isPunct = c => /[\p{P}\p{S}]/u.test(c);
+
+        const leftFlanking = !isSpace(after) && (!isPunct(after) || isSpace(before) || isPunct(before));
+        const rightFlanking = !isSpace(before) && (!isPunct(before) || isSpace(after) || isPunct(after));
+
+        if (char === '_') {
+            return {
+                canOpen: leftFlanking && (!rightFlanking || isPunct(before)),
+                canClose: rightFlanking && (!leftFlanking || isPunct(after))
+            };
+        }
+        return { canOpen: leftFlanking, canClose: rightFlanking };
+    },
+
+    /**
+     * Try to close the innermost open bracket as a footnote reference, an
+     * inline link or image, or a reference link or image
+     *
+     * @returns {number|null} - Index after the link, or null if ']' is literal
+     */
+    closeBracket(text, i, nodes, delimiters, brackets, refs) {
+        const opener = brackets.pop();
+        if (!opener || !opener.active) return null;
+
+        const label = text.slice(opener.labelStart, i);
+        const footnote = !opener.image && refs && label.startsWith('^') ? this.referenceFootnote(label.slice(1), refs) : null;
+        if (footnote) {
+            nodes.splice(nodes.indexOf(opener.node));
+            delimiters.splice(opener.delimiterBottom);
+            nodes.push(footnote);
+            return i + 1;
+        }
+
+        let destination = text[i + 1] === '(' ? this.matchLinkDestination(text, i + 2) : null;
+        if (!destination && refs) destination = this.matchReference(text, i, label, refs);
+        if (!destination) return null;
+
+        // Resolve emphasis inside the brackets before wrapping them
+        this.processEmphasis(nodes, delimiters, opener.delimiterBottom);
+
+        const start = nodes.indexOf(opener.node);
+        const children = this.mergeText(nodes.splice(start).slice(1));
+        const { url, title } = destination;
+
+        if (opener.image) {
+            nodes.push({ type: 'image', url, title, alt: this.textContent(children) });
+        } else {
+            nodes.push({ type: 'link', url, title, children });
+            // Links may not contain other links
+            brackets.forEach(bracket => {
+                if (!bracket.image) bracket.active = false;
+            });
+        }
+
+        return destination.end;
+    },
+
+    /**
+     * Resolve "[text][label]", "[text][]" or "[text]" against link definitions
+     * A full reference to an unknown label is not retried as a shortcut
+     *
+     * @param {number} i - Index of the bracket closing the link text
+     * @param {string} label - Source text between the brackets
+     * @returns {{url: string, title: string, end: number}|null}
+     */
+    matchReference(text, i, label, refs) {
+        let key = label;
+        let end = i + 1;
+
+        if (text[i + 1] === '[') {
+            const close = text.indexOf(']', i + 2);
+            const inner = close === -1 ? null : text.slice(i + 2, close);
+            if (inner !== null && !inner.includes('[')) {
+                if (inner.trim()) key = inner;
+                end = close + 1;
             }
-        } catch (e) {
-            Logger.error('Failed to load from localStorage:', e);
-            document.getElementById('status-save').textContent = 'Load failed';
         }
+
+        if (!key.trim() || /[[\]]/.test(key)) return null;
+        const definition = refs.definitions.get(this.normalizeLabel(key));
+        return definition ? { url: definition.url, title: definition.title, end } : null;
     },
 
     /**
-     * Insert text at cursor position
+     * Number a footnote on its first reference and count repeat references
+     *
+     * @returns {Object|null} - footnoteReference node, or null for unknown labels
      */
-    insertText(before, after = '', placeholder = '') {
-        const start = AppState.editor.selectionStart;
-        const end = AppState.editor.selectionEnd;
-        const selectedText = AppState.editor.value.substring(start, end);
-        const text = selectedText || placeholder;
+    referenceFootnote(label, refs) {
+        const note = refs.footnotes.get(this.normalizeLabel(label));
+        if (!note) return null;
+
+        if (!note.index) {
+            refs.order.push(note);
+            note.index = refs.order.length;
+            note.references = 0;
+        }
+        note.references++;
+        return { type: 'footnoteReference', index: note.index, reference: note.references };
+    },
 
-        const newText = before + text + after;
-        const fullText = AppState.editor.value.substring(0, start) + newText + AppState.editor.value.substring(end);
+    /**
+     * Parse "(destination "title")" starting just after the opening parenthesis
+     *
+     * @returns {{url: string, title: string, end: number}|null}
+     */
+    matchLinkDestination(text, pos) {
+        const skipSpace = (index) => {
+            while (index < text.length && /\s/.test(text[index])) index++;
+            return index;
+        };
 
-        AppState.editor.value = fullText;
+        let i = skipSpace(pos);
+        let url;
 
-        // Set cursor position
-        const newCursorPos = start + before.length + text.length;
-        AppState.editor.selectionStart = newCursorPos;
-        AppState.editor.selectionEnd = newCursorPos;
+        if (text[i] === '<') {
+            const close = text.indexOf('>', i);
+            if (close === -1 || text.slice(i + 1, close).includes('\n')) return null;
+            url = text.slice(i + 1, close);
+            i = close + 1;
+        } else {
+            const start = i;
+            let depth = 0;
+            while (i < text.length && !/\s/.test(text[i])) {
+                if (text[i] === '\\' && i + 1 < text.length) {
+                    i += 2;
+                    continue;
+                }
+                if (text[i] === '(') depth++;
+                if (text[i] === ')') {
+                    if (depth === 0) break;
+                    depth--;
+                }
+                i++;
+            }
+            url = text.slice(start, i);
+        }
 
-        AppState.editor.focus();
-        this.updatePreview();
+        let title = '';
+        const afterUrl = skipSpace(i);
+        const quote = text[afterUrl];
+        if (afterUrl > i && (quote === '"' || quote === "'" || quote === '(')) {
+            const closeChar = quote === '(' ? ')' : quote;
+            let close = afterUrl + 1;
+            while (close < text.length && text[close] !== closeChar) {
+                close += text[close] === '\\' ? 2 : 1;
+            }
+            if (close >= text.length) return null;
+            title = text.slice(afterUrl + 1, close);
+            i = close + 1;
+        }
+
+        i = skipSpace(i);
+        if (text[i] !== ')') return null;
+        return { url: this.unescape(url), title: this.unescape(title), end: i + 1 };
     },
 
     /**
-     * Insert line prefix (for lists, quotes, etc.)
+     * Pair up emphasis delimiters above stackBottom and wrap the nodes between them
+     * Unpaired delimiters stay in place as literal text
      */
-    insertLinePrefix(prefix) {
-        const start = AppState.editor.selectionStart;
-        const text = AppState.editor.value;
-        const lineStart = text.lastIndexOf('\n', start - 1) + 1;
+    processEmphasis(nodes, delimiters, stackBottom) {
+        let closerIndex = stackBottom;
+
+        while (closerIndex < delimiters.length) {
+            const closer = delimiters[closerIndex];
+            if (!closer.canClose) {
+                closerIndex++;
+                continue;
+            }
+
+            let openerIndex = closerIndex - 1;
+            for (; openerIndex >= stackBottom; openerIndex--) {
+                const opener = delimiters[openerIndex];
+                if (opener.char !== closer.char || !opener.canOpen) continue;
+                if (closer.char === '~' && opener.count !== closer.count) continue;
+
+                // "Rule of 3": a run that can both open and close can't pair with one
+                // whose combined length is a multiple of 3
+                const bothWays = opener.canClose || closer.canOpen;
+                const sum = opener.originalCount + closer.originalCount;
+                if (bothWays && sum % 3 === 0 && (opener.originalCount % 3 !== 0 || closer.originalCount % 3 !== 0)) {
+                    continue;
+                }
+                break;
+            }
+
+            if (openerIndex < stackBottom) {
+                // No opener - this run can never close; drop it unless it can still open
+                if (!closer.canOpen) {
+                    delimiters.splice(closerIndex, 1);
+                } else {
+                    closerIndex++;
+                }
+                continue;
+            }
 
-        const before = text.substring(0, lineStart);
-        const after = text.substring(lineStart);
+            const opener = delimiters[openerIndex];
+            let used;
+            let type;
+            if (closer.char === '~') {
+                used = 2;
+                type = 'delete';
+            } else {
+                used = opener.count >= 2 && closer.count >= 2 ? 2 : 1;
+                type = used === 2 ? 'strong' : 'emphasis';
+            }
 
-        AppState.editor.value = before + prefix + after;
-        AppState.editor.selectionStart = lineStart + prefix.length;
-        AppState.editor.selectionEnd = lineStart + prefix.length;
+            const openerPos = nodes.indexOf(opener.node);
+            const closerPos = nodes.indexOf(closer.node);
+            const children = this.mergeText(nodes.splice(openerPos + 1, closerPos - openerPos - 1));
+            nodes.splice(openerPos + 1, 0, { type, children });
 
-        AppState.editor.focus();
-        this.updatePreview();
+            opener.count -= used;
+            closer.count -= used;
+            opener.node.value = opener.node.value.slice(used);
+            closer.node.value = closer.node.value.slice(used);
+
+            // Delimiters between the pair are now inside the new node
+            delimiters.splice(openerIndex + 1, closerIndex - openerIndex - 1);
+            closerIndex = openerIndex + 1;
+
+            if (opener.count === 0) {
+                nodes.splice(nodes.indexOf(opener.node), 1);
+                delimiters.splice(openerIndex, 1);
+                closerIndex--;
+            }
+            if (closer.count === 0) {
+                nodes.splice(nodes.indexOf(closer.node), 1);
+                delimiters.splice(closerIndex, 1);
+            }
+        }
+
+        delimiters.length = stackBottom;
+    },
+
+    /**
+     * Merge adjacent text nodes and drop empty ones
+     */
+    mergeText(nodes) {
+        const merged = [];
+        nodes.forEach(node => {
+            if (node.type !== 'text') {
+                merged.push(node);
+                return;
+            }
+            if (!node.value) return;
+            const last = merged[merged.length - 1];
+            if (last && last.type === 'text') {
+                last.value += node.value;
+            } else {
+                merged.push({ type: 'text', value: node.value });
+            }
+        });
+        return merged;
+    },
+
+    /**
+     * Plain-text content of inline nodes (used for image alt text and heading ids)
+     */
+    textContent(nodes) {
+        return nodes.map(node => {
+            if (node.type === 'text' || node.type === 'inlineCode') return node.value;
+            if (node.type === 'image') return node.alt;
+            return node.children ? this.textContent(node.children) : '';
+        }).join('');
     }
 };
 
 // ============================================
-// File Operations
+// Front Matter
 // ============================================
 
-const FileOperations = {
+/**
+ * Leading "---" metadata block, parsed as a small, safe subset of YAML:
+ * top-level "key: value" pairs whose values are scalars (strings, numbers,
+ * booleans, null), flow lists "[a, b]", block lists of "- item" lines,
+ * "|" / ">" block text, or nested keys. Anchors, aliases, tags and flow
+ * mappings are kept as plain text; the result is a prototype-free object.
+ */
+const FrontMatter = {
+    OPEN: /^---[ \t]*$/,
+    CLOSE: /^(?:---|\.\.\.)[ \t]*$/,
+    KEY: /^("[^"]*"|'[^']*'|[^\s#'"\-[\]{}:][^:#]*?)[ \t]*:(?:[ \t]+(.*))?$/,
+    UNSAFE_KEYS: ['__proto__', 'constructor', 'prototype'],
+
     /**
-     * Open file dialog
+     * Find a front-matter block at the very start of a document
+     * A block whose content isn't valid in the subset is not front matter
+     * (so "---" rules and setext headings at the top still render)
+     *
+     * @param {string[]} lines - Document lines
+     * @returns {{data: Object, end: number}|null} - end: index of the closing delimiter line
      */
-    openFile() {
-        AppState.fileInput.click();
+    match(lines) {
+        if (!this.OPEN.test(lines[0] || '')) return null;
+
+        for (let i = 1; i < lines.length; i++) {
+            if (this.CLOSE.test(lines[i])) {
+                const data = this.parseMapping(lines.slice(1, i));
+                return data && Object.keys(data).length > 0 ? { data, end: i } : null;
+            }
+        }
+        return null;
     },
 
     /**
-     * Handle file selection
+     * Front-matter data of a raw document, or null
+     * Only the leading block is split out, so this is cheap on large documents
      */
-    handleFileSelect(event) {
-        const file = event.target.files[0];
-        if (!file) return;
+    extract(text) {
+        if (!text.startsWith('---')) return null;
+        const close = text.search(/\n(?:---|\.\.\.)[ \t]*(?:\n|$)/);
+        if (close === -1) return null;
+        const match = this.match(text.slice(0, close + 4).replace(/\r\n?/g, '\n').split('\n'));
+        return match ? match.data : null;
+    },
 
-        // Validate file size
-        if (file.size > CONFIG.MAX_FILE_SIZE) {
-            alert(`File is too large. Maximum size is ${CONFIG.MAX_FILE_SIZE / 1024 / 1024} MB.`);
-            event.target.value = '';
-            return;
+    /**
+     * Parse "key: value" lines at a common indentation
+     *
+     * @returns {Object|null} - Data, or null if a line falls outside the subset
+     */
+    parseMapping(lines) {
+        const data = Object.create(null);
+        let i = 0;
+
+        while (i < lines.length) {
+            if (this.isBlank(lines[i])) {
+                i++;
+                continue;
+            }
+
+            const match = lines[i].match(this.KEY);
+            if (!match) return null;
+
+            const key = this.unquote(match[1].trim());
+            const rest = this.stripComment(match[2] || '');
+
+            // Lines indented under the key belong to its value
+            const block = [];
+            i++;
+            while (i < lines.length && (this.isBlank(lines[i]) || /^[ \t]/.test(lines[i]) ||
+                (rest === '' && /^-(?:[ \t]|$)/.test(lines[i])))) {
+                block.push(lines[i]);
+                i++;
+            }
+            while (block.length && this.isBlank(block[block.length - 1])) block.pop();
+
+            const value = this.parseValue(rest, block);
+            if (value === undefined) return null;
+            if (!this.UNSAFE_KEYS.includes(key)) data[key] = value;
         }
 
-        // Validate file extension
-        const extension = file.name.substring(file.name.lastIndexOf('.')).toLowerCase();
-        if (!CONFIG.ALLOWED_FILE_TYPES.includes(extension)) {
-            alert(`Invalid file type. Allowed types: ${CONFIG.ALLOWED_FILE_TYPES.join(', ')}`);
-            event.target.value = '';
-            return;
+        return data;
+    },
+
+    /**
+     * @returns {*} - Parsed value, or undefined if it falls outside the subset
+     */
+    parseValue(rest, block) {
+        if (/^[|>][+-]?$/.test(rest)) {
+            const lines = this.dedent(block);
+            return rest[0] === '|' ? lines.join('\n') : lines.join(' ').replace(/ {2,}/g, ' ').trim();
         }
+        if (rest !== '') {
+            return block.length > 0 ? undefined : this.parseInlineValue(rest);
+        }
+        if (block.length === 0) return null;
 
-        const reader = new FileReader();
+        const lines = this.dedent(block);
+        if (lines.every(line => this.isBlank(line) || /^-(?:[ \t]|$)/.test(line))) {
+            return lines
+                .filter(line => !this.isBlank(line))
+                .map(line => this.parseScalar(this.stripComment(line.replace(/^-[ \t]*/, ''))));
+        }
+        return this.parseMapping(lines) || undefined;
+    },
 
-        reader.onload = (e) => {
-            AppState.editor.value = e.target.result;
-            AppState.currentFileName = file.name;
-            Editor.updatePreview();
-            document.getElementById('status-save').textContent = 'Loaded';
+    parseInlineValue(text) {
+        if (text.startsWith('[')) {
+            if (!text.endsWith(']')) return undefined;
+            const inner = text.slice(1, -1).trim();
+            if (!inner) return [];
+            // Split on commas outside quotes
+            const items = inner.match(/"(?:\\.|[^"\\])*"|'(?:''|[^'])*'|[^,\s][^,]*/g) || [];
+            return items.map(item => item.trim()).filter(Boolean).map(item => this.parseScalar(item));
+        }
+        // Flow mappings, anchors, aliases and tags are outside the subset: keep their text
+        if (/^[{&*!]/.test(text)) return text;
+        return this.parseScalar(text);
+    },
+
+    parseScalar(text) {
+        if (/^"(?:\\.|[^"\\])*"$/.test(text)) {
+            return text.slice(1, -1).replace(/\\(["\\/nt])/g, (match, char) => ({ n: '\n', t: '\t' })[char] || char);
+        }
+        if (/^'(?:''|[^'])*'$/.test(text)) return text.slice(1, -1).replace(/''/g, "'");
+        if (/^(?:true|True|TRUE)$/.test(text)) return true;
+        if (/^(?:false|False|FALSE)$/.test(text)) return false;
+        if (/^(?:null|Null|NULL|~)?$/.test(text)) return null;
+        if (/^[-+]?(?:\d+|\d*\.\d+)(?:[eE][-+]?\d+)?$/.test(text)) return Number(text);
+        return text;
+    },
+
+    unquote(text) {
+        return /^(["']).*\1$/.test(text) ? this.parseScalar(text) : text;
+    },
+
+    /**
+     * Drop a trailing " # comment" from an unquoted value
+     */
+    stripComment(text) {
+        const trimmed = text.trim();
+        if (/^["']/.test(trimmed)) {
+            const quoted = trimmed.match(/^("(?:\\.|[^"\\])*"|'(?:''|[^'])*')[ \t]*(?:#.*)?$/);
+            return quoted ? quoted[1] : trimmed;
+        }
+        return trimmed.replace(/(?:^|[ \t]+)#.*$/, '').trim();
+    },
+
+    dedent(lines) {
+        const indents = lines.filter(line => !this.isBlank(line)).map(line => line.match(/^[ \t]*/)[0].length);
+        const indent = indents.length ? Math.min(...indents) : 0;
+        return lines.map(line => line.slice(indent));
+    },
+
+    isBlank(line) {
+        return !line.trim() || /^[ \t]*#/.test(line);
+    }
+};
+
+// ============================================
+// HTML Renderer
+// ============================================
+
+const HtmlRenderer = {
+    // Heading and footnote ids are namespaced so they cannot clash with the
+    // app's own ids; in-document "#slug" links are resolved by Outline
+    ID_PREFIX: 'user-content-',
+
+    /**
+     * Render a document AST to an HTML string
+     *
+     * @param {Object} ast - Document node from MarkdownParser.tokenize
+     * @returns {string} - HTML
+     */
+    render(ast) {
+        return this.renderBlocks(ast.children) + this.renderFootnotes(ast.footnotes || []);
+    },
+
+    renderBlocks(nodes, tight = false) {
+        return nodes.map(node => this.renderBlock(node, tight)).filter(Boolean).join('\n');
+    },
+
+    /**
+     * Block elements carry the 0-based line they start on, which ScrollSync
+     * uses to map between editor lines and preview offsets
+     */
+    sourceLine(node) {
+        return ` data-source-line="${node.position.start}"`;
+    },
+
+    renderBlock(node, tight = false) {
+        const line = this.sourceLine(node);
+        switch (node.type) {
+            case 'heading':
+                return `<h${node.level} id="${SecurityUtils.escapeAttribute(this.ID_PREFIX + node.id)}"${line}>` +
+                    `${this.renderInline(node.children)}</h${node.level}>`;
+
+            case 'paragraph':
+                // Tight list items render their text without a wrapping <p>
+                return tight ? this.renderInline(node.children) : `<p${line}>${this.renderInline(node.children)}</p>`;
+
+            case 'blockquote':
+                return `<blockquote${line}>\n${this.renderBlocks(node.children)}\n</blockquote>`;
+
+            case 'list': {
+                const tag = node.ordered ? 'ol' : 'ul';
+                const start = node.ordered && node.start !== 1 ? ` start="${node.start}"` : '';
+                const items = node.children.map(item => this.renderBlock(item, node.tight)).join('\n');
+                return `<${tag}${start}${line}>\n${items}\n</${tag}>`;
+            }
+
+            case 'listItem':
+                return this.renderListItem(node, tight);
+
+            case 'codeBlock': {
+                // Keep the info string's language as a class, restricted to safe characters
+                const lang = node.lang.replace(/[^\w+#.-]/g, '');
+                const className = lang ? ` class="language-${lang}"` : '';
+                return `<pre${line}><code${className}>${CodeHighlighter.highlight(node.value, lang)}</code></pre>`;
+            }
+
+            case 'thematicBreak':
+                return `<hr${line}>`;
+
+            case 'table':
+                return this.renderTable(node);
+
+            // Definitions are resolved by the parser; footnotes render at the end
+            case 'definition':
+            case 'footnoteDefinition':
+                return '';
+
+            default:
+                Logger.warn('Unknown block node:', node.type);
+                return '';
+        }
+    },
+
+    /**
+     * Task items get a live checkbox; data-line points at the item's source line
+     * so the editor can toggle the matching "[ ]" / "[x]"
+     */
+    renderListItem(node, tight) {
+        const content = this.renderBlocks(node.children, tight);
+        const line = this.sourceLine(node);
+        if (node.checked === null) return `<li${line}>${content}</li>`;
+
+        const checked = node.checked ? ' checked' : '';
+        const checkbox = `<input type="checkbox" class="task-list-item-checkbox" data-line="${node.position.start}"${checked}>`;
+        return `<li class="task-list-item"${line}>${checkbox} ${content}</li>`;
+    },
+
+    renderTable(node) {
+        const renderRow = (row) => {
+            const tag = row.header ? 'th' : 'td';
+            const cells = row.children.map((cell, index) => {
+                const align = node.align[index] ? ` style="text-align: ${node.align[index]}"` : '';
+                return `<${tag}${align}>${this.renderInline(cell.children)}</${tag}>`;
+            });
+            return `<tr>${cells.join('')}</tr>`;
         };
 
-        reader.onerror = (e) => {
-            Logger.error('Failed to read file:', e);
-            alert(`Failed to read file: ${file.name}`);
+        const [head, ...body] = node.children;
+        const tbody = body.length ? `<tbody>${body.map(renderRow).join('')}</tbody>` : '';
+        return `<table${this.sourceLine(node)}><thead>${renderRow(head)}</thead>${tbody}</table>`;
+    },
+
+    renderInline(nodes) {
+        return nodes.map(node => {
+            switch (node.type) {
+                case 'text':
+                    return this.escapeHtml(node.value);
+                case 'strong':
+                    return `<strong>${this.renderInline(node.children)}</strong>`;
+                case 'emphasis':
+                    return `<em>${this.renderInline(node.children)}</em>`;
+                case 'delete':
+                    return `<del>${this.renderInline(node.children)}</del>`;
+                case 'inlineCode':
+                    return `<code>${this.escapeHtml(node.value)}</code>`;
+                case 'link':
+                    return this.renderLink(node);
+                case 'image':
+                    return this.renderImage(node);
+                case 'footnoteReference':
+                    return this.renderFootnoteReference(node);
+                case 'break':
+                    return '<br>\n';
+                default:
+                    Logger.warn('Unknown inline node:', node.type);
+                    return '';
+            }
+        }).join('');
+    },
+
+    renderLink(node) {
+        const content = this.renderInline(node.children);
+        const safeUrl = SecurityUtils.sanitizeUrl(node.url);
+        if (!safeUrl) return `<span>[${content}]</span>`;
+
+        const title = node.title ? ` title="${SecurityUtils.escapeAttribute(node.title)}"` : '';
+        return `<a href="${SecurityUtils.escapeAttribute(safeUrl)}"${title}>${content}</a>`;
+    },
+
+    /**
+     * Footnote ids follow GitHub: "fn-N" for the note, "fnref-N" for its
+     * first reference and "fnref-N-M" for later ones
+     */
+    footnoteRefId(index, reference) {
+        return reference > 1 ? `fnref-${index}-${reference}` : `fnref-${index}`;
+    },
+
+    renderFootnoteReference(node) {
+        const id = this.footnoteRefId(node.index, node.reference);
+        return `<sup class="footnote-ref"><a href="#fn-${node.index}" id="${this.ID_PREFIX}${id}">${node.index}</a></sup>`;
+    },
+
+    /**
+     * Numbered list of referenced footnotes, each ending in links back to
+     * every place it was referenced from
+     */
+    renderFootnotes(footnotes) {
+        if (footnotes.length === 0) return '';
+
+        const items = footnotes.map(note => {
+            const backrefs = [];
+            for (let reference = 1; reference <= note.references; reference++) {
+                const label = reference > 1 ? `${note.index}-${reference}` : `${note.index}`;
+                const marker = reference > 1 ? `↩<sup>${reference}</sup>` : '↩';
+                backrefs.push(`<a href="#${this.footnoteRefId(note.index, reference)}" class="footnote-backref" ` +
+                    `aria-label="Back to reference ${label}">${marker}</a>`);
+            }
+
+            let content = this.renderBlocks(note.children);
+            if (content.endsWith('</p>')) {
+                content = `${content.slice(0, -4)} ${backrefs.join(' ')}</p>`;
+            } else {
+                content += `\n${backrefs.join(' ')}`;
+            }
+            return `<li id="${this.ID_PREFIX}fn-${note.index}"${this.sourceLine(note)}>\n${content}\n</li>`;
+        });
+
+        return `\n<section class="footnotes">\n<ol>\n${items.join('\n')}\n</ol>\n</section>`;
+    },
+
+    renderImage(node) {
+        const alt = this.escapeHtml(node.alt);
+        const title = node.title ? ` title="${SecurityUtils.escapeAttribute(node.title)}"` : '';
+
+        // Locally stored images get their URL after rendering (see AssetStore)
+        const assetId = AssetStore.idFromUrl(node.url);
+        if (assetId) return `<img data-asset="${assetId}" alt="${alt}"${title}>`;
+
+        const safeUrl = SecurityUtils.sanitizeUrl(node.url);
+        if (!safeUrl) return `<span>[Image: ${alt}]</span>`;
+
+        return `<img src="${SecurityUtils.escapeAttribute(safeUrl)}" alt="${alt}"${title}>`;
+    },
+
+    escapeHtml(text) {
+        const map = {
+            '&': '&amp;',
+            '<': '&lt;',
+            '>': '&gt;',
+            '"': '&quot;',
+            "'": '&#039;'
         };
+        return text.replace(/[&<>"']/g, m => map[m]);
+    }
+};
 
-        reader.readAsText(file);
+// ============================================
+// Incremental Preview
+// ============================================
+
+/**
+ * Keeps the preview in step with the editor without re-rendering the whole
+ * document. Top-level blocks are cached with their AST and HTML. After an
+ * edit, parsing restarts a couple of blocks before the changed lines and
+ * stops as soon as a new block starts where an old one did past the change -
+ * block rules only read forward, so everything from there on is unchanged.
+ *
+ * Document-wide state is re-derived on every update:
+ *   - link definitions: a block is re-resolved when a label it looked up changes
+ *   - footnote numbers: blocks that reference footnotes are re-resolved, in order
+ *   - heading ids: a block re-renders when one of its ids changes
+ *
+ * PreviewDocument never touches the DOM, so it can run in ParserWorker. Each
+ * update returns only the blocks the preview is missing, for PreviewRenderer
+ * to swap in.
+ */
+const PreviewDocument = {
+    text: null,             // Source of the last update
+    lines: [],              // text, split into lines
+    bodyStart: 0,           // First line after front matter
+    entries: [],            // Top-level blocks in document order (see createEntry)
+    refs: null,             // Definition maps, as MarkdownParser.collectDefinitions builds them
+    definitions: new Map(), // Label -> definition signature, as of the last update
+    footnotesHtml: '',
+    // Entries replaced by each update, for previews that are a few versions behind
+    changes: [],            // [{ version, from, oldEnd, newEnd, shift, external, headings }]
+    // Node types whose children have positions to shift
+    CONTAINERS: new Set(['blockquote', 'list', 'listItem', 'footnoteDefinition', 'table']),
+
+    /**
+     * Update to a new version of the document
+     *
+     * @param {string} markdown - Document source
+     * @param {number} version - Increasing number identifying this update
+     * @param {number} base - Version the preview shows, 0 for none
+     * @returns {Object} - Changes from base to this version (see PreviewRenderer.apply)
+     */
+    update(markdown, version, base) {
+        let text = markdown || '';
+        if (text.includes('\r')) text = text.replace(/\r\n?/g, '\n');
+
+        let change = null;
+        if (this.text !== null) {
+            change = TextDiff.changedLines(this.text, text);
+            this.lines = TextDiff.spliceLines(this.lines, change);
+        } else {
+            this.lines = text.split('\n');
+        }
+        this.text = text;
+
+        const frontMatter = FrontMatter.match(this.lines);
+        const bodyStart = frontMatter ? frontMatter.end + 1 : 0;
+        if (bodyStart !== this.bodyStart) change = null;
+        this.bodyStart = bodyStart;
+
+        const region = change ? this.reparse(change) : this.parseAll();
+        const { footnotes, dirty } = this.resolve(region);
+        this.renderEntries(dirty, version);
+        this.footnotesHtml = HtmlRenderer.renderFootnotes(footnotes);
+
+        const hasHeadings = entry => entry.headings.length > 0;
+        this.changes.push({
+            version,
+            from: region.from,
+            oldEnd: region.from + region.removed.length,
+            newEnd: region.from + region.added,
+            shift: region.shift,
+            // Every re-parsed block is dirty; any others were re-rendered in place
+            external: dirty.length > region.added,
+            // Heading texts, ids or lines may have changed
+            headings: region.shift !== 0 || dirty.some(hasHeadings) || region.removed.some(hasHeadings)
+        });
+
+        const update = this.changesSince(base, version);
+        return {
+            ...update,
+            footnotesHtml: this.footnotesHtml,
+            // Null while the outline stays the same; listing every heading adds up in long documents
+            headings: update.headings ? this.outline() : null,
+            frontMatter: frontMatter ? { data: frontMatter.data, position: { start: 0, end: frontMatter.end } } : null
+        };
+    },
+
+    /**
+     * Headings in document order, as Outline lists them
+     */
+    outline() {
+        const headings = [];
+        this.entries.forEach(entry => {
+            entry.headings.forEach((node, index) => {
+                headings.push({ level: node.level, text: entry.headingTexts[index], id: node.id, line: node.position.start });
+            });
+        });
+        return headings;
+    },
+
+    /**
+     * Forget the cache; the next update starts from scratch
+     */
+    reset() {
+        this.text = null;
+        this.refs = null;
+        this.changes = [];
+    },
+
+    /**
+     * Combine the changes after base into a single replaced range of entries,
+     * plus any entries re-rendered outside it
+     *
+     * @returns {{version: number, base: number, from: number, removed: number, count: number,
+     *           shift: number, blocks: Object[], headings: boolean}}
+     */
+    changesSince(base, version) {
+        const index = base === 0 ? -1 : this.changes.findIndex(change => change.version === base);
+        // The preview never goes back to a version older than the one it shows
+        this.changes = this.changes.slice(index === -1 ? -1 : index);
+        const pending = index === -1 ? [] : this.changes.slice(1);
+
+        // Without a known base, everything is new
+        let from = 0;
+        let oldEnd = 0;
+        let newEnd = this.entries.length;
+        let shift = 0;
+        let external = false;
+        let headings = index === -1;
+        pending.forEach((change, i) => {
+            if (i === 0) {
+                ({ from, oldEnd, newEnd } = change);
+            } else {
+                // Entries past both ranges are untouched by either
+                const end = Math.max(newEnd, change.oldEnd);
+                oldEnd += end - newEnd;
+                newEnd = end - change.oldEnd + change.newEnd;
+                from = Math.min(from, change.from);
+            }
+            shift += change.shift;
+            external = external || change.external;
+            headings = headings || change.headings;
+        });
+
+        const blocks = [];
+        const addBlock = i => {
+            const entry = this.entries[i];
+            blocks.push({ index: i, start: entry.start, renderedStart: entry.renderedStart, html: entry.html });
+        };
+        if (external) {
+            this.entries.forEach((entry, i) => {
+                if ((i >= from && i < newEnd) || entry.renderedVersion > base) addBlock(i);
+            });
+        } else {
+            for (let i = from; i < newEnd; i++) addBlock(i);
+        }
+
+        return {
+            version,
+            base: index === -1 ? 0 : base,
+            from,
+            removed: oldEnd - from,
+            count: this.entries.length,
+            shift,
+            blocks,
+            headings
+        };
+    },
+
+    /**
+     * @returns {{from: number, added: number, removed: Object[], shift: number}} - Replaced entries
+     */
+    parseAll() {
+        const removed = this.entries;
+        this.entries = [];
+        let result = MarkdownParser.nextBlock(this.lines, this.bodyStart, 0);
+        while (result) {
+            this.entries.push(this.createEntry(result.node));
+            result = MarkdownParser.nextBlock(this.lines, result.next, 0);
+        }
+        return { from: 0, added: this.entries.length, removed, shift: 0 };
+    },
+
+    /**
+     * Re-parse from shortly before the changed lines until a block starts
+     * where an old block did, after the change
+     *
+     * @returns {{from: number, added: number, removed: Object[], shift: number}} - Replaced
+     *          entries, and the lines later entries moved
+     */
+    reparse({ first, oldLast, newLast }) {
+        const entries = this.entries;
+        const delta = newLast - oldLast;
+
+        // The block before the change can absorb it (lazy lines, setext underlines),
+        // and the one before that may have looked at the line after its end
+        let low = 0;
+        let high = entries.length;
+        while (low < high) {
+            const mid = (low + high) >> 1;
+            if (entries[mid].start < first) low = mid + 1;
+            else high = mid;
+        }
+        const from = Math.max(0, low - 2);
+        const line = low >= 2 ? entries[from].start : this.bodyStart;
+
+        const added = [];
+        let to = from;
+        let synced = false;
+        let result = MarkdownParser.nextBlock(this.lines, line, 0);
+        while (result) {
+            const start = result.node.position.start;
+            if (start > newLast) {
+                while (to < entries.length && (entries[to].start <= oldLast || entries[to].start + delta < start)) to++;
+                if (to < entries.length && entries[to].start + delta === start) {
+                    synced = true;
+                    break;
+                }
+            }
+            added.push(this.createEntry(result.node));
+            result = MarkdownParser.nextBlock(this.lines, result.next, 0);
+        }
+        if (!synced) to = entries.length;
+
+        if (delta !== 0) {
+            for (let i = to; i < entries.length; i++) this.shiftEntry(entries[i], delta);
+        }
+        this.entries = entries.slice(0, from).concat(added, entries.slice(to));
+        return { from, added: added.length, removed: entries.slice(from, to), shift: delta };
+    },
+
+    /**
+     * Cache record for a top-level block
+     * Leaf text is kept so the block can be re-resolved when definitions change
+     */
+    createEntry(node) {
+        const inlines = [];
+        const definitions = [];
+        const visit = current => {
+            if (typeof current.inline === 'string') inlines.push({ node: current, text: current.inline });
+            if (current.type === 'definition' || current.type === 'footnoteDefinition') definitions.push(current);
+            (current.children || []).forEach(visit);
+        };
+        visit(node);
+
+        return {
+            node,
+            start: node.position.start,
+            inlines,
+            definitions: definitions.length > 0 ? definitions : null,
+            headings: MarkdownParser.headings({ children: [node] }),
+            headingTexts: [],
+            slugs: [],
+            lookups: new Set(),  // Definition labels the inline pass asked for
+            footnotes: false,    // Whether it references a footnote
+            resolved: false,
+            ids: '',             // Heading ids its HTML was rendered with
+            html: '',
+            dirty: false,        // HTML needs rendering
+            renderedVersion: 0,  // Update its HTML was rendered in
+            renderedStart: 0     // Start line its HTML was rendered with
+        };
+    },
+
+    /**
+     * Move an unchanged block after lines were added or removed above it
+     */
+    shiftEntry(entry, delta) {
+        entry.start += delta;
+        const stack = [entry.node];
+        while (stack.length > 0) {
+            const node = stack.pop();
+            node.position.start += delta;
+            node.position.end += delta;
+            if (this.CONTAINERS.has(node.type)) {
+                node.children.forEach(child => stack.push(child));
+            }
+        }
+    },
+
+    /**
+     * Resolve inline content where needed and keep heading ids numbered
+     * Mirrors MarkdownParser.tokenize, block by block
+     *
+     * @param {{from: number, added: number, removed: Object[], shift: number}} region - Re-parsed entries
+     * @returns {{footnotes: Object[], dirty: Object[]}} - Referenced footnotes by number,
+     *          and the entries whose HTML needs rendering
+     */
+    resolve(region) {
+        const added = this.entries.slice(region.from, region.from + region.added);
+        const changed = this.updateDefinitions(region.removed, added);
+        const refs = this.refs;
+
+        // Footnotes are numbered afresh, in order of first reference
+        refs.order = [];
+        refs.footnotes.forEach(note => {
+            delete note.index;
+            delete note.references;
+        });
+
+        const dirty = [];
+        let renumber = false;
+        // Without footnotes or changed definitions only the re-parsed blocks can be stale
+        const candidates = refs.footnotes.size > 0 || changed.size > 0 ? this.entries : added;
+        for (const entry of candidates) {
+            const stale = !entry.resolved || entry.footnotes ||
+                (changed.size > 0 && [...entry.lookups].some(key => changed.has(key)));
+            if (!stale) continue;
+
+            const slugs = entry.slugs.join('\n');
+            const existing = entry.resolved;
+            this.resolveEntry(entry, refs);
+            if (existing && entry.slugs.join('\n') !== slugs) renumber = true;
+            dirty.push(entry);
+        }
+
+        // Ids only depend on the sequence of heading texts; an edit that keeps it keeps them
+        const oldHeadings = region.removed.flatMap(entry => entry.headings);
+        const oldSlugs = region.removed.flatMap(entry => entry.slugs);
+        const newSlugs = added.flatMap(entry => entry.slugs);
+        if (renumber || oldSlugs.length !== newSlugs.length || oldSlugs.join('\n') !== newSlugs.join('\n')) {
+            this.numberHeadings(dirty);
+        } else {
+            added.flatMap(entry => entry.headings).forEach((heading, index) => {
+                heading.id = oldHeadings[index].id;
+            });
+            added.forEach(entry => {
+                entry.ids = entry.headings.map(heading => heading.id).join('\n');
+            });
+        }
+
+        return { footnotes: refs.order, dirty };
+    },
+
+    /**
+     * Rebuild the definition maps when re-parsed blocks added or removed a definition
+     *
+     * @returns {Set<string>} - Labels whose definition changed
+     */
+    updateDefinitions(removed, added) {
+        const hasDefinitions = entry => entry.definitions !== null;
+        if (this.refs && !removed.some(hasDefinitions) && !added.some(hasDefinitions)) return new Set();
+
+        // First definition of a label wins; later ones may have been numbered while they were first
+        const refs = { definitions: new Map(), footnotes: new Map(), order: [] };
+        this.entries.forEach(entry => {
+            if (!entry.definitions) return;
+            entry.definitions.forEach(node => {
+                delete node.index;
+                delete node.references;
+                const map = node.type === 'definition' ? refs.definitions : refs.footnotes;
+                const key = MarkdownParser.normalizeLabel(node.label);
+                if (!map.has(key)) map.set(key, node);
+            });
+        });
+
+        const signatures = new Map();
+        refs.definitions.forEach((node, key) => signatures.set(key, `${node.url}\n${node.title}`));
+        refs.footnotes.forEach((node, key) => signatures.set(`^${key}`, ''));
+        const changed = new Set();
+        signatures.forEach((signature, key) => {
+            if (this.definitions.get(key) !== signature) changed.add(key);
+        });
+        this.definitions.forEach((signature, key) => {
+            if (!signatures.has(key)) changed.add(key);
+        });
+
+        this.definitions = signatures;
+        this.refs = refs;
+        return changed;
+    },
+
+    /**
+     * Number every heading id; blocks whose ids changed join the dirty list
+     */
+    numberHeadings(dirty) {
+        const headings = [];
+        const slugs = [];
+        this.entries.forEach(entry => {
+            entry.headings.forEach((heading, index) => {
+                headings.push(heading);
+                slugs.push(entry.slugs[index]);
+            });
+        });
+        MarkdownParser.numberHeadingIds(headings, slugs);
+
+        this.entries.forEach(entry => {
+            if (entry.headings.length === 0) return;
+            const ids = entry.headings.map(heading => heading.id).join('\n');
+            if (ids === entry.ids) return;
+            entry.ids = ids;
+            if (!entry.dirty) {
+                entry.dirty = true;
+                dirty.push(entry);
+            }
+        });
+    },
+
+    /**
+     * Parse a block's inline content, recording the labels it looks up
+     */
+    resolveEntry(entry, refs) {
+        const lookups = new Set();
+        let footnotes = false;
+        const tracked = {
+            definitions: {
+                get: key => {
+                    lookups.add(key);
+                    return refs.definitions.get(key);
+                }
+            },
+            footnotes: {
+                get: key => {
+                    lookups.add(`^${key}`);
+                    const note = refs.footnotes.get(key);
+                    if (note) footnotes = true;
+                    return note;
+                }
+            },
+            order: refs.order
+        };
+
+        entry.inlines.forEach(({ node, text }) => {
+            node.children = MarkdownParser.parseInline(text, tracked);
+            delete node.inline;
+        });
+        entry.lookups = lookups;
+        entry.footnotes = footnotes;
+        entry.resolved = true;
+        entry.headingTexts = entry.headings.map(heading => MarkdownParser.textContent(heading.children));
+        entry.slugs = entry.headingTexts.map(text => MarkdownParser.slugify(text));
+        entry.dirty = true;
+    },
+
+    renderEntries(entries, version) {
+        entries.forEach(entry => {
+            entry.html = HtmlRenderer.renderBlock(entry.node);
+            entry.renderedVersion = version;
+            entry.renderedStart = entry.start;
+            entry.dirty = false;
+        });
+    }
+};
+
+
+// ============================================
+// Preview Renderer
+// ============================================
+
+/**
+ * Applies PreviewDocument updates to the preview. Only the elements of
+ * changed blocks are swapped in, so images, selection and scroll position
+ * elsewhere survive typing.
+ *
+ * Cached elements keep the line numbers they were rendered with; read them
+ * with PreviewRenderer.sourceLine().
+ */
+const PreviewRenderer = {
+    container: null,        // Element the blocks were last rendered into
+    version: 0,             // PreviewDocument version the container shows
+    latest: 0,              // Newest version requested
+    entries: [],            // { start, renderedStart, html, element } per top-level block
+    footnotesHtml: '',
+    footnotesElement: null,
+    elementEntries: new WeakMap(),
+
+    /**
+     * Render markdown into a container on this thread
+     *
+     * @param {string} markdown - Document source
+     * @param {HTMLElement} container - Preview element
+     * @returns {Object} - The applied update (see PreviewDocument.update)
+     */
+    render(markdown, container) {
+        const base = container === this.container ? this.version : 0;
+        const update = PreviewDocument.update(markdown, ++this.latest, base);
+        this.apply(update, container);
+        return update;
+    },
+
+    /**
+     * Forget the cache; the next render starts from scratch
+     */
+    reset() {
+        PreviewDocument.reset();
+        this.container = null;
+        this.version = 0;
+    },
+
+    /**
+     * Bring the container to the update's version
+     * Entries from..from+removed of the shown version make way for the
+     * blocks in that range, and later entries move by `shift` lines; blocks
+     * outside the range were re-rendered in place. An update with base 0
+     * carries every block.
+     *
+     * @param {Object} update - From PreviewDocument.update, based on this.version (or 0)
+     * @param {HTMLElement} container - Preview element
+     */
+    apply(update, container) {
+        const full = update.base === 0 || container !== this.container;
+        let removed = [];
+        let added = update.count;
+        if (full) {
+            this.entries = new Array(update.count);
+        } else {
+            removed = this.entries.slice(update.from, update.from + update.removed);
+            added = update.count - (this.entries.length - removed.length);
+            const tail = this.entries.slice(update.from + update.removed);
+            if (update.shift !== 0) {
+                tail.forEach(entry => {
+                    entry.start += update.shift;
+                });
+            }
+            this.entries = this.entries.slice(0, update.from).concat(new Array(added), tail);
+        }
+
+        const dirty = update.blocks.map(block => {
+            const entry = this.entries[block.index] || (this.entries[block.index] = { element: null });
+            entry.start = block.start;
+            entry.renderedStart = block.renderedStart;
+            entry.html = block.html;
+            return entry;
+        });
+
+        // Patching only pays off while most of the preview stays
+        if (full || dirty.length * 2 > this.entries.length) {
+            this.replaceAll(container, update.footnotesHtml);
+        } else {
+            this.patch(update.from, added, removed, dirty, update.footnotesHtml);
+        }
+        this.version = update.version;
+    },
+
+    /**
+     * Render the whole preview in one go (first render, or most blocks changed)
+     */
+    replaceAll(container, footnotesHtml) {
+        container.innerHTML = this.entries.map(entry => entry.html).filter(Boolean).join('\n') + footnotesHtml;
+        this.container = container;
+        this.elementEntries = new WeakMap();
+
+        // Every non-empty block renders exactly one top-level element
+        const elements = container.children;
+        let next = 0;
+        this.entries.forEach(entry => {
+            entry.element = entry.html ? elements[next++] : null;
+            if (entry.element) this.elementEntries.set(entry.element, entry);
+        });
+        this.footnotesHtml = footnotesHtml;
+        this.footnotesElement = footnotesHtml ? elements[next] : null;
+
+        AssetStore.resolveImages(container);
+        CodeHighlighter.addCopyButtons(container);
+    },
+
+    /**
+     * Swap in the elements of changed blocks
+     *
+     * @param {number} from - Index of the first new entry
+     * @param {number} added - Number of new entries
+     * @param {Object[]} removed - Entries they replaced
+     * @param {Object[]} dirty - Entries with freshly rendered HTML
+     */
+    patch(from, added, removed, dirty, footnotesHtml) {
+        removed.forEach(entry => {
+            if (entry.element) entry.element.remove();
+        });
+
+        const elements = this.createElements(dirty.map(entry => entry.html).join(''));
+        const fragment = document.createDocumentFragment();
+        let next = 0;
+        dirty.forEach(entry => {
+            const element = entry.html ? elements[next++] : null;
+            if (entry.element && element) {
+                entry.element.replaceWith(element);
+            } else if (entry.element) {
+                entry.element.remove();
+            } else if (element) {
+                // Only new entries lack an element, and they are contiguous
+                fragment.appendChild(element);
+            }
+            entry.element = element;
+            if (element) this.elementEntries.set(element, entry);
+        });
+
+        if (fragment.childNodes.length > 0) {
+            let anchor = this.footnotesElement;
+            for (let i = from + added; i < this.entries.length; i++) {
+                if (this.entries[i].element) {
+                    anchor = this.entries[i].element;
+                    break;
+                }
+            }
+            this.container.insertBefore(fragment, anchor);
+        }
+
+        if (footnotesHtml !== this.footnotesHtml) {
+            if (this.footnotesElement) this.footnotesElement.remove();
+            this.footnotesElement = footnotesHtml ? this.createElements(footnotesHtml)[0] : null;
+            if (this.footnotesElement) this.container.appendChild(this.footnotesElement);
+            this.footnotesHtml = footnotesHtml;
+        }
+    },
+
+    /**
+     * Parse rendered HTML into detached elements, with images and copy buttons ready
+     */
+    createElements(html) {
+        const template = document.createElement('template');
+        template.innerHTML = html;
+        AssetStore.resolveImages(template.content);
+        CodeHighlighter.addCopyButtons(template.content);
+        return [...template.content.children];
+    },
+
+    /**
+     * Current source line of a preview element
+     * Elements of blocks that moved keep the numbers they were rendered with
+     *
+     * @param {HTMLElement} element - Element with a line attribute
+     * @param {string} [attribute] - "data-source-line", or "data-line" for task checkboxes
+     * @returns {number} - 0-based line
+     */
+    sourceLine(element, attribute = 'data-source-line') {
+        const line = parseInt(element.getAttribute(attribute), 10);
+        let top = element;
+        while (top.parentElement && top.parentElement !== this.container) top = top.parentElement;
+        const entry = this.elementEntries.get(top);
+        return entry ? line + entry.start - entry.renderedStart : line;
+    }
+};
+
+// ============================================
+// Parser Worker
+// ============================================
+
+/**
+ * Runs PreviewDocument in a dedicated worker so a slow document never blocks
+ * typing. The worker is this same file (see the bottom of it), which keeps
+ * it within the page's Content-Security-Policy: script-src 'self' covers it,
+ * while blob: or inline workers would be refused.
+ *
+ * Requests carry increasing versions. The worker parses only the newest
+ * request it has, and the page applies only the result of the newest request
+ * it sent, so stale results are dropped. Once an update is posted, the worker
+ * also runs MarkdownLint on the same text, unless a newer request is waiting.
+ * Where workers can't start (pages opened from file://, or nothing heard back
+ * within PARSER_WORKER_TIMEOUT_MS), parsing and checks fall back to the page.
+ */
+const ParserWorker = {
+    worker: null,
+    state: 'idle',      // idle -> starting -> ready, or failed
+    pending: null,      // Newest request waiting for the worker to start
+    latestText: '',     // Text of the newest request, which lint results refer to
+    startTimeout: null,
+    lintTimeout: null,  // Pending check on the page, when there is no worker
+
+    /**
+     * Render markdown into the preview
+     * Editor.showPreview is called with the update once it is applied
+     */
+    render(markdown) {
+        if (this.state === 'idle') this.start();
+        if (this.state === 'failed') {
+            this.renderHere(markdown);
+            return;
+        }
+
+        const request = { version: ++PreviewRenderer.latest, text: markdown, rules: MarkdownLint.enabledRules() };
+        this.latestText = markdown;
+        if (this.state === 'ready') {
+            this.send(request);
+        } else {
+            this.pending = request;
+        }
+    },
+
+    start() {
+        try {
+            this.worker = new Worker('script.js');
+        } catch (e) {
+            this.fail(e);
+            return;
+        }
+        this.state = 'starting';
+        this.worker.addEventListener('message', (e) => this.onMessage(e.data));
+        this.worker.addEventListener('error', (e) => {
+            e.preventDefault();
+            this.fail(e.message || 'Could not load the worker');
+        });
+        this.startTimeout = setTimeout(() => this.fail('No response within the time budget'), CONFIG.PARSER_WORKER_TIMEOUT_MS);
+    },
+
+    /**
+     * The preview is patched from the version it shows, so that goes with the request
+     */
+    send(request) {
+        this.worker.postMessage({ ...request, base: PreviewRenderer.version });
+    },
+
+    onMessage(message) {
+        if (message.type === 'ready') {
+            clearTimeout(this.startTimeout);
+            this.state = 'ready';
+            if (this.pending) this.send(this.pending);
+            this.pending = null;
+        } else if (message.type === 'update') {
+            // A newer request is on its way; its update includes this one's changes
+            if (message.update.version !== PreviewRenderer.latest) return;
+            PreviewRenderer.apply(message.update, AppState.preview);
+            Editor.showPreview(message.update);
+        } else if (message.type === 'problems') {
+            if (message.version !== PreviewRenderer.latest) return;
+            MarkdownLint.show(message.problems, this.latestText);
+        } else if (message.type === 'error') {
+            // After a failed render the worker starts over, so its next update carries every block
+            Logger.error('Parser worker:', message.message);
+        }
+    },
+
+    /**
+     * Give up on the worker; this and later renders happen on the page
+     */
+    fail(error) {
+        Logger.warn('Parser worker unavailable, parsing on the page:', error);
+        clearTimeout(this.startTimeout);
+        if (this.worker) this.worker.terminate();
+        this.worker = null;
+        this.state = 'failed';
+
+        if (this.pending) this.renderHere(this.pending.text);
+        this.pending = null;
+    },
+
+    renderHere(markdown) {
+        const update = PreviewRenderer.render(markdown, AppState.preview);
+        Editor.showPreview(update);
+        this.scheduleLint(markdown);
+    },
+
+    /**
+     * Checks take as long as a render on large documents, so on the page they
+     * wait until editing pauses and then for an idle moment
+     */
+    scheduleLint(markdown) {
+        clearTimeout(this.lintTimeout);
+        this.lintTimeout = setTimeout(() => {
+            const run = () => MarkdownLint.show(MarkdownLint.check(markdown, MarkdownLint.enabledRules()), markdown);
+            if ('requestIdleCallback' in window) {
+                requestIdleCallback(run, { timeout: CONFIG.LINT_PAGE_DELAY_MS });
+            } else {
+                run();
+            }
+        }, CONFIG.LINT_PAGE_DELAY_MS);
+    },
+
+    /**
+     * Worker side: answer render requests from the page
+     *
+     * @param {DedicatedWorkerGlobalScope} scope
+     */
+    serve(scope) {
+        let next = null;
+        scope.addEventListener('message', (e) => {
+            // Requests that queued up during a long parse are superseded by the newest one
+            if (!next) {
+                setTimeout(() => {
+                    const request = next;
+                    next = null;
+                    this.handle(scope, request);
+                    // Check once the update is on its way; a newer request makes the result stale
+                    setTimeout(() => {
+                        if (!next) this.lint(scope, request);
+                    }, 0);
+                }, 0);
+            }
+            next = e.data;
+        });
+        scope.postMessage({ type: 'ready' });
+    },
+
+    handle(scope, request) {
+        try {
+            const update = PreviewDocument.update(request.text, request.version, request.base);
+            scope.postMessage({ type: 'update', update });
+        } catch (e) {
+            PreviewDocument.reset();
+            scope.postMessage({ type: 'error', message: `Preview rendering failed: ${e.message}` });
+        }
+    },
+
+    lint(scope, request) {
+        try {
+            const problems = MarkdownLint.check(request.text, request.rules);
+            scope.postMessage({ type: 'problems', version: request.version, problems });
+        } catch (e) {
+            scope.postMessage({ type: 'error', message: `Checking the document failed: ${e.message}` });
+        }
+    }
+};
+
+// ============================================
+// Syntax Highlighter
+// ============================================
+
+const SyntaxHighlighter = {
+    /**
+     * Inline code, links, bold and italic within a line
+     * Leftmost match wins, so markers inside code spans stay plain
+     */
+    INLINE: /`[^`]+`|!?\[[^\]]*\]\([^)]+\)|\*\*\*[^*]+\*\*\*|\*\*[^*]+\*\*|__[^_]+__|\*[^*]+\*|_[^_]+_/g,
+
+    // Quote markers, then a list marker, at the start of a line
+    LINE_PREFIX: /^((?: {0,3}>[ \t]?)*)([ \t]*(?:[*+-]|\d+[.)])[ \t]+)?/,
+
+    /**
+     * Fence state carried from one line to the next
+     *
+     * @param {string} line - Source line
+     * @param {string|null} fence - Marker of the fenced code block the line is in, or null
+     * @returns {string|null} - Fence state for the following line
+     */
+    fenceAfter(line, fence) {
+        const { fenceOpen, fenceClose } = MarkdownParser.PATTERNS;
+        if (fence) {
+            const close = line.match(fenceClose);
+            return close && close[1][0] === fence[0] && close[1].length >= fence.length ? null : fence;
+        }
+        const open = line.match(fenceOpen);
+        return open ? open[2] : null;
+    },
+
+    /**
+     * Highlight a single line
+     * The markup's text content is always the line itself, so the layer
+     * wraps exactly like the textarea
+     *
+     * @param {string} line - Source line (without the newline)
+     * @param {string|null} fence - Fence state at the start of the line
+     * @param {Array<{start: number, end: number, className: string}>} [marks] - Search matches
+     *     and lint underlines within the line
+     */
+    highlightLine(line, fence, marks = []) {
+        if (fence || MarkdownParser.PATTERNS.fenceOpen.test(line)) {
+            return this.span('code-block', this.markText(line, 0, line.length, marks));
+        }
+        if (MarkdownParser.PATTERNS.heading.test(line)) {
+            return this.span('header', this.highlightInline(line, 0, marks));
+        }
+
+        const [prefix, quote, marker = ''] = line.match(this.LINE_PREFIX);
+        return this.span('quote', this.markText(line, 0, quote.length, marks)) +
+            this.span('list', this.markText(line, quote.length, quote.length + marker.length, marks)) +
+            this.highlightInline(line, prefix.length, marks);
+    },
+
+    /**
+     * Highlight bold, italic, code and links in the line from `start` on
+     */
+    highlightInline(line, start, marks) {
+        const parts = [];
+        const pattern = this.INLINE;
+        pattern.lastIndex = start;
+        let position = start;
+        let match;
+        while ((match = pattern.exec(line))) {
+            const [token] = match;
+            let type = 'italic';
+            if (token[0] === '`') type = 'code';
+            else if (token[0] === '[' || token[0] === '!') type = 'link';
+            else if (token[1] === token[0]) type = 'bold';
+
+            const end = match.index + token.length;
+            parts.push(this.markText(line, position, match.index, marks),
+                this.span(type, this.markText(line, match.index, end, marks)));
+            position = end;
+        }
+        parts.push(this.markText(line, position, line.length, marks));
+        return parts.join('');
+    },
+
+    span(type, html) {
+        return html ? `<span class="syntax-${type}">${html}</span>` : '';
+    },
+
+    /**
+     * Escape line.substring(start, end), wrapping the parts covered by marks
+     * Marks may overlap (a search match over an underline), so the text is cut
+     * wherever one starts or ends, and at token boundaries so the elements nest
+     */
+    markText(line, start, end, marks) {
+        if (marks.length === 0) return this.escapeHtml(line.substring(start, end));
+
+        const cuts = new Set([start, end]);
+        marks.forEach(mark => {
+            if (mark.start > start && mark.start < end) cuts.add(mark.start);
+            if (mark.end > start && mark.end < end) cuts.add(mark.end);
+        });
+        const points = [...cuts].sort((a, b) => a - b);
+
+        const parts = [];
+        let classes = '';
+        let text = '';
+        const flush = () => {
+            if (text) parts.push(classes ? `<mark class="${classes}">${this.escapeHtml(text)}</mark>` : this.escapeHtml(text));
+        };
+        for (let i = 0; i + 1 < points.length; i++) {
+            const covering = marks
+                .filter(mark => mark.start <= points[i] && mark.end >= points[i + 1])
+                .map(mark => mark.className)
+                .join(' ');
+            if (covering !== classes) {
+                flush();
+                classes = covering;
+                text = '';
+            }
+            text += line.substring(points[i], points[i + 1]);
+        }
+        flush();
+        return parts.join('');
+    },
+
+    escapeHtml(text) {
+        const map = {
+            '&': '&amp;',
+            '<': '&lt;',
+            '>': '&gt;',
+            '"': '&quot;',
+            "'": '&#039;'
+        };
+        return text.replace(/[&<>"']/g, m => map[m]);
+    }
+};
+
+// ============================================
+// Editor Highlight Layer
+// ============================================
+
+/**
+ * Keeps #editor-highlight in step with the textarea. The layer always holds
+ * the full text, so it wraps and scrolls exactly like the textarea, but only
+ * the lines around the visible window are highlighted:
+ *
+ *   [plain text before] <span>[highlighted lines]</span> [plain text after]
+ *
+ * Lines are re-tokenized only when they change, or when the fenced code
+ * state they start in changes.
+ */
+const EditorHighlight = {
+    BUFFER_LINES: 50,  // Highlighted above and below the visible lines
+
+    layer: null,
+    before: null,
+    windowElement: null,
+    after: null,
+
+    text: null,
+    lines: [],
+    lineStarts: [],
+    fences: [],      // Fence state at the start of each line (null outside code)
+    cache: [],       // Highlighted html per line, undefined until needed
+    marks: [],       // Search matches
+    underlines: [],  // Lint problems
+    from: 0,         // Highlighted line range
+    to: -1,
+    windowHtml: '',
+    windowStart: 0,  // Text offsets of the highlighted range
+    windowEnd: 0,
+
+    /**
+     * @param {string} text - Editor text
+     * @param {Array<{start: number, end: number, className: string}>} [marks] - Search matches
+     * @param {Array<{start: number, end: number, className: string}>} [underlines] - Lint problems
+     *     (each list sorted and non-overlapping)
+     */
+    update(text, marks = [], underlines = []) {
+        if (!this.layer) this.attach(AppState.highlightDiv);
+
+        if (this.text === null) {
+            this.lines = text.split('\n');
+            this.fences = new Array(this.lines.length).fill(null);
+            this.cache = new Array(this.lines.length).fill(undefined);
+            this.lineStarts = new Array(this.lines.length);
+            this.text = text;
+            this.updateStates(0, this.lines.length - 1);
+        } else if (text !== this.text) {
+            const change = TextDiff.changedLines(this.text, text);
+            this.text = text;
+            this.applyChange(change);
+        }
+
+        this.marks = marks;
+        this.underlines = underlines;
+        this.paint(this.from, this.to);
+        this.ensureVisible();
+    },
+
+    attach(layer) {
+        this.layer = layer;
+        this.before = document.createTextNode('');
+        this.windowElement = document.createElement('span');
+        this.after = document.createTextNode('');
+        layer.textContent = '';
+        layer.append(this.before, this.windowElement, this.after);
+    },
+
+    /**
+     * Splice the changed lines into the per-line arrays and keep the
+     * highlighted range over the same lines
+     */
+    applyChange(change) {
+        const added = change.lines.length;
+        const placeholders = { ...change, lines: new Array(added).fill(undefined) };
+
+        this.lines = TextDiff.spliceLines(this.lines, change);
+        this.fences = TextDiff.spliceLines(this.fences, placeholders);
+        this.cache = TextDiff.spliceLines(this.cache, placeholders);
+        this.lineStarts = TextDiff.spliceLines(this.lineStarts, placeholders);
+        this.updateStates(change.first, change.newLast);
+
+        const delta = change.newLast - change.oldLast;
+        if (change.oldLast < this.from) {
+            this.from += delta;
+            this.to += delta;
+        } else if (change.first <= this.to) {
+            this.to = Math.max(this.from, this.to + delta);
+        }
+    },
+
+    /**
+     * Recompute line starts and fence states after lines first..last were replaced
+     * (their entries are undefined); fence states are followed until they agree
+     * with the old ones again
+     */
+    updateStates(first, last) {
+        const { lines, fences, lineStarts } = this;
+        lineStarts[0] = 0;
+        fences[0] = null;
+
+        for (let i = Math.max(first, 1); i <= last; i++) {
+            lineStarts[i] = lineStarts[i - 1] + lines[i - 1].length + 1;
+        }
+        // Lines after the change moved by the change in length
+        if (last + 1 < lines.length) {
+            const shift = lineStarts[last] + lines[last].length + 1 - lineStarts[last + 1];
+            if (shift !== 0) {
+                for (let i = last + 1; i < lines.length; i++) lineStarts[i] += shift;
+            }
+        }
+
+        for (let i = Math.max(first, 1); i < lines.length; i++) {
+            const fence = SyntaxHighlighter.fenceAfter(lines[i - 1], fences[i - 1]);
+            if (fence === fences[i]) {
+                if (i > last) break;
+                continue;
+            }
+            fences[i] = fence;
+            this.cache[i] = undefined;
+        }
+    },
+
+    /**
+     * Lay out the text with lines from..to highlighted
+     */
+    paint(from, to) {
+        const last = this.lines.length - 1;
+        this.from = Math.max(0, Math.min(from, last));
+        this.to = Math.max(this.from, Math.min(to, last));
+
+        this.windowStart = this.lineStarts[this.from];
+        this.windowEnd = this.lineStarts[this.to] + this.lines[this.to].length;
+        this.setData(this.before, this.text.substring(0, this.windowStart));
+
+        const html = this.highlightLines(this.from, this.to);
+        if (html !== this.windowHtml) {
+            this.windowElement.innerHTML = html;
+            this.windowHtml = html;
+        }
+
+        // A trailing newline takes up a line in the textarea but not in a div
+        this.setData(this.after, this.text.substring(this.windowEnd) + '\n');
+    },
+
+    setData(node, data) {
+        if (node.data !== data) node.data = data;
+    },
+
+    highlightLines(from, to) {
+        const sets = [this.marks, this.underlines];
+        // First mark of each list that ends inside or after the range
+        const next = sets.map(marks => {
+            let low = 0;
+            let high = marks.length;
+            while (low < high) {
+                const mid = (low + high) >> 1;
+                if (marks[mid].end <= this.lineStarts[from]) low = mid + 1;
+                else high = mid;
+            }
+            return low;
+        });
+
+        const html = [];
+        for (let i = from; i <= to; i++) {
+            const start = this.lineStarts[i];
+            const end = start + this.lines[i].length;
+            const lineMarks = [];
+            sets.forEach((marks, set) => {
+                for (let m = next[set]; m < marks.length && marks[m].start < end; m++) {
+                    if (marks[m].end > start) {
+                        lineMarks.push({
+                            start: Math.max(marks[m].start, start) - start,
+                            end: Math.min(marks[m].end, end) - start,
+                            className: marks[m].className
+                        });
+                    }
+                }
+                while (next[set] < marks.length && marks[next[set]].end <= end) next[set]++;
+            });
+
+            if (lineMarks.length > 0) {
+                // Marks come and go with the search and checks, so these lines aren't cached
+                html.push(SyntaxHighlighter.highlightLine(this.lines[i], this.fences[i], lineMarks));
+            } else {
+                if (this.cache[i] === undefined) {
+                    this.cache[i] = SyntaxHighlighter.highlightLine(this.lines[i], this.fences[i]);
+                }
+                html.push(this.cache[i]);
+            }
+        }
+        return html.join('\n');
+    },
+
+    /**
+     * Re-highlight around the visible lines when they are no longer covered,
+     * e.g. after scrolling, a large edit, or the editor changing width
+     */
+    ensureVisible() {
+        const editor = AppState.editor;
+        if (!this.layer || !editor.clientHeight) return;
+
+        const first = this.lineAt(editor.scrollTop);
+        const last = this.lineAt(editor.scrollTop + editor.clientHeight);
+        const span = last - first + 4 * this.BUFFER_LINES;
+        if (first < this.from || last > this.to || this.to - this.from > span) {
+            this.paint(first - this.BUFFER_LINES, last + this.BUFFER_LINES);
+        }
+    },
+
+    /**
+     * Last line starting at or above a vertical offset of the layer
+     */
+    lineAt(top) {
+        let low = 0;
+        let high = this.lines.length - 1;
+        while (low < high) {
+            const mid = (low + high + 1) >> 1;
+            if (this.positionTop(this.lineStarts[mid]) <= top) low = mid;
+            else high = mid - 1;
+        }
+        return low;
+    },
+
+    /**
+     * Vertical offset of a text position from the top of the layer's content
+     * (the same measure as offsetTop of an element inside the layer)
+     *
+     * @param {number} offset - Offset in the editor text
+     * @returns {number}
+     */
+    positionTop(offset) {
+        const { node, local } = this.locate(offset);
+        if (!node.data) return 0;
+
+        const range = document.createRange();
+        range.setStart(node, local);
+        range.setEnd(node, local);
+        const rect = range.getBoundingClientRect();
+        return rect.top - this.layer.getBoundingClientRect().top + this.layer.scrollTop;
+    },
+
+    /**
+     * Text node and offset within it holding a text position
+     */
+    locate(offset) {
+        if (offset < this.windowStart) return { node: this.before, local: offset };
+        if (offset > this.windowEnd) return { node: this.after, local: offset - this.windowEnd };
+
+        const walker = document.createTreeWalker(this.windowElement, NodeFilter.SHOW_TEXT);
+        let remaining = offset - this.windowStart;
+        for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+            if (remaining <= node.data.length) return { node, local: remaining };
+            remaining -= node.data.length;
+        }
+        return { node: this.after, local: 0 };
+    },
+
+    /**
+     * Follow the textarea's scroll position
+     */
+    syncScroll() {
+        if (!this.layer) return;
+        this.layer.scrollTop = AppState.editor.scrollTop;
+        this.layer.scrollLeft = AppState.editor.scrollLeft;
+    }
+};
+
+// ============================================
+// Code Block Highlighter (preview)
+// ============================================
+
+/**
+ * Dependency-free tokenizer for fenced code blocks. Each grammar is an
+ * ordered list of [tokenType, pattern, insideGrammar?] rules tried at every
+ * position; the first match wins and becomes <span class="token-TYPE">.
+ * Text no rule matches is emitted as-is, whole words at a time, so rules
+ * never fire in the middle of an identifier.
+ */
+const CodeHighlighter = {
+    // Aliases accepted in the fence info string
+    ALIASES: {
+        js: 'javascript', jsx: 'javascript', mjs: 'javascript', cjs: 'javascript', javascript: 'javascript',
+        ts: 'typescript', tsx: 'typescript', typescript: 'typescript',
+        json: 'json', jsonc: 'json', json5: 'json',
+        py: 'python', python: 'python', python3: 'python',
+        sh: 'shell', bash: 'shell', zsh: 'shell', shell: 'shell', console: 'shell', shellsession: 'shell',
+        html: 'html', htm: 'html', xml: 'html', svg: 'html', xhtml: 'html',
+        css: 'css',
+        yaml: 'yaml', yml: 'yaml',
+        diff: 'diff', patch: 'diff'
+    },
+
+    GRAMMARS: (() => {
+        const jsKeywords = 'as|async|await|break|case|catch|class|const|continue|debugger|default|delete|do|else|' +
+            'export|extends|finally|for|from|function|get|if|import|in|instanceof|let|new|of|return|set|static|' +
+            'super|switch|this|throw|try|typeof|var|void|while|with|yield';
+        const javascript = [
+            ['comment', /\/\/.*|\/\*[\s\S]*?(?:\*\/|$)/],
+            ['string', /`(?:\\[\s\S]|[^\\`])*`?|"(?:\\.|[^\\"\n])*"?|'(?:\\.|[^\\'\n])*'?/],
+            ['keyword', new RegExp(`(?:${jsKeywords})\\b`)],
+            ['literal', /(?:true|false|null|undefined|NaN|Infinity)\b/],
+            ['number', /(?:0[xX][\da-fA-F_]+|0[bB][01_]+|0[oO][0-7_]+|\d[\d_]*(?:\.\d[\d_]*)?(?:[eE][+-]?\d+)?|\.\d+(?:[eE][+-]?\d+)?)n?/],
+            ['function', /[A-Za-z_$][\w$]*(?=\s*\()/]
+        ];
+        const typescript = [
+            ...javascript.slice(0, 2),
+            ['keyword', new RegExp(`(?:${jsKeywords}|abstract|declare|enum|implements|infer|interface|is|keyof|` +
+                'namespace|private|protected|public|readonly|satisfies|type)\\b')],
+            ['builtin', /(?:any|boolean|never|number|object|string|symbol|unknown|bigint)\b/],
+            ...javascript.slice(3)
+        ];
+
+        const markupTag = [
+            ['tag', /^<\/?[\w:.-]+|\/?>$/],
+            ['value', /=\s*(?:"[^"]*"|'[^']*'|[^\s>"']+)/],
+            ['attribute', /[^\s=>\/]+/]
+        ];
+
+        return {
+            javascript,
+            typescript,
+            json: [
+                ['comment', /\/\/.*|\/\*[\s\S]*?(?:\*\/|$)/],
+                ['property', /"(?:\\.|[^\\"\n])*"(?=\s*:)/],
+                ['string', /"(?:\\.|[^\\"\n])*"?/],
+                ['literal', /(?:true|false|null)\b/],
+                ['number', /-?\d+(?:\.\d+)?(?:[eE][+-]?\d+)?/]
+            ],
+            python: [
+                ['comment', /#.*/],
+                ['string', /(?:[rRbBuUfF]{1,2})?(?:"""[\s\S]*?(?:"""|$)|'''[\s\S]*?(?:'''|$)|"(?:\\.|[^\\"\n])*"?|'(?:\\.|[^\\'\n])*'?)/],
+                ['meta', /@[\w.]+/],
+                ['keyword', /(?:and|as|assert|async|await|break|case|class|continue|def|del|elif|else|except|finally|for|from|global|if|import|in|is|lambda|match|nonlocal|not|or|pass|raise|return|try|while|with|yield)\b/],
+                ['literal', /(?:True|False|None)\b/],
+                ['builtin', /(?:self|cls|print|len|range|int|float|str|bool|list|dict|set|tuple|open|isinstance|super)\b/],
+                ['number', /(?:0[xX][\da-fA-F_]+|0[bB][01_]+|0[oO][0-7_]+|\d[\d_]*(?:\.\d[\d_]*)?(?:[eE][+-]?\d+)?|\.\d+(?:[eE][+-]?\d+)?)j?/],
+                ['function', /[A-Za-z_]\w*(?=\s*\()/]
+            ],
+            shell: [
+                ['comment', /(?<!\S)#.*/],
+                ['meta', /(?<=^|\n)[$>](?= )/],
+                ['string', /"(?:\\[\s\S]|[^\\"])*"?|'[^']*'?/],
+                ['variable', /\$(?:\{[^}\n]*\}?|\w+|[@#?$!*\-])/],
+                ['keyword', /(?:if|then|else|elif|fi|for|while|until|do|done|case|esac|in|function|return|local|export|select|break|continue)\b/],
+                ['builtin', /(?:alias|cd|echo|eval|exec|exit|printf|read|set|shift|source|sudo|test|trap|unset)\b/],
+                ['attribute', /(?<!\S)--?[A-Za-z][\w-]*/],
+                ['number', /\d+(?!\w)/]
+            ],
+            html: [
+                ['comment', /<!--[\s\S]*?(?:-->|$)/],
+                ['meta', /<![A-Za-z][^>]*>?|<\?[\s\S]*?(?:\?>|$)/],
+                ['tag', /<\/?[\w:.-]+(?:\s+[^\s=>\/]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s>"']+))?)*\s*\/?>/, markupTag],
+                ['literal', /&#?\w+;/]
+            ],
+            css: [
+                ['comment', /\/\*[\s\S]*?(?:\*\/|$)/],
+                ['string', /"(?:\\.|[^\\"\n])*"?|'(?:\\.|[^\\'\n])*'?/],
+                ['keyword', /@[\w-]+|!important\b/],
+                ['selector', /[^\s{};@][^{};]*?(?=\s*\{)/],
+                ['property', /--?[A-Za-z][\w-]*(?=\s*:)|[A-Za-z][\w-]*(?=\s*:)/],
+                ['number', /#[\da-fA-F]{3,8}\b|-?(?:\d+(?:\.\d+)?|\.\d+)(?:%|[A-Za-z]+)?/],
+                ['function', /[A-Za-z][\w-]*(?=\()/]
+            ],
+            yaml: [
+                ['comment', /(?<!\S)#.*/],
+                ['meta', /(?<=^|\n)(?:---|\.\.\.)(?=\s|$)|!!?[\w/]+/],
+                ['property', /(?<=(?:^|\n)[ \t]*(?:-[ \t]+)?)(?:"(?:\\.|[^\\"\n])*"|'[^'\n]*'|[^\s#:'"\-{[][^\n:#]*?)(?=:(?:[ \t]|$))/],
+                ['string', /"(?:\\.|[^\\"\n])*"?|'(?:''|[^'\n])*'?/],
+                ['variable', /[&*][\w-]+/],
+                ['literal', /(?:true|false|yes|no|on|off|null|True|False|Yes|No|On|Off|Null|TRUE|FALSE|NULL)(?![\w-])|~(?!\S)/],
+                ['number', /[-+]?(?:\d+(?:\.\d+)?(?:[eE][+-]?\d+)?|\.inf|\.nan)(?![\w.-])/]
+            ],
+            diff: [
+                ['meta', /(?<=^|\n)(?:diff |index |\+\+\+ |--- |@@).*/],
+                ['inserted', /(?<=^|\n)[+>].*/],
+                ['deleted', /(?<=^|\n)[-<].*/]
+            ]
+        };
+    })(),
+
+    WORD: /[A-Za-z_$][\w$]*/y,
+
+    compiled: new Map(),
+
+    /**
+     * Grammar for a fence info string, with patterns compiled to sticky
+     * regexes on first use
+     *
+     * @param {string} lang - Language from the fence, e.g. "js" or "Python"
+     * @returns {Array|null} - Compiled rules, or null for unknown languages
+     */
+    grammarFor(lang) {
+        const name = this.ALIASES[(lang || '').toLowerCase()];
+        if (!name) return null;
+        if (!this.compiled.has(name)) {
+            this.compiled.set(name, this.compile(this.GRAMMARS[name]));
+        }
+        return this.compiled.get(name);
+    },
+
+    compile(rules) {
+        return rules.map(([type, pattern, inside]) => ({
+            type,
+            pattern: new RegExp(pattern.source, pattern.flags + 'y'),
+            inside: inside ? this.compile(inside) : null
+        }));
+    },
+
+    /**
+     * Highlight code as HTML; unknown languages are only escaped
+     *
+     * @param {string} code - Raw code block content
+     * @param {string} lang - Language from the fence info string
+     * @returns {string} - Escaped HTML with token spans
+     */
+    highlight(code, lang) {
+        const grammar = this.grammarFor(lang);
+        return grammar ? this.tokenize(code, grammar) : HtmlRenderer.escapeHtml(code);
+    },
+
+    tokenize(code, grammar) {
+        let html = '';
+        let plainStart = 0;
+        let position = 0;
+
+        while (position < code.length) {
+            let match = null;
+            let rule = null;
+            for (const candidate of grammar) {
+                candidate.pattern.lastIndex = position;
+                const result = candidate.pattern.exec(code);
+                if (result && result[0]) {
+                    match = result[0];
+                    rule = candidate;
+                    break;
+                }
+            }
+
+            if (!match) {
+                // Skip a whole identifier so keywords only match at word starts
+                this.WORD.lastIndex = position;
+                const word = this.WORD.exec(code);
+                position += word ? word[0].length : 1;
+                continue;
+            }
+
+            html += HtmlRenderer.escapeHtml(code.substring(plainStart, position));
+            const content = rule.inside ? this.tokenize(match, rule.inside) : HtmlRenderer.escapeHtml(match);
+            html += `<span class="token-${rule.type}">${content}</span>`;
+            position += match.length;
+            plainStart = position;
+        }
+
+        return html + HtmlRenderer.escapeHtml(code.substring(plainStart));
+    },
+
+    // ----------------------------------------
+    // Copy buttons
+    // ----------------------------------------
+
+    init() {
+        AppState.preview.addEventListener('click', (e) => {
+            const button = e.target.closest('.code-copy');
+            if (button) this.copy(button);
+        });
+    },
+
+    /**
+     * Add a copy button to each code block in the preview
+     * Buttons are added after rendering so exported HTML stays free of them
+     */
+    addCopyButtons(container) {
+        if (!CONFIG.CODE_COPY_BUTTON) return;
+        container.querySelectorAll('pre').forEach(pre => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'code-copy';
+            button.textContent = 'Copy';
+            button.setAttribute('aria-label', 'Copy code to clipboard');
+            pre.appendChild(button);
+        });
+    },
+
+    async copy(button) {
+        const code = button.parentNode.querySelector('code');
+        try {
+            await navigator.clipboard.writeText(code.textContent);
+            button.textContent = 'Copied';
+        } catch (e) {
+            Logger.error('Failed to copy code block:', e);
+            button.textContent = 'Copy failed';
+        }
+        setTimeout(() => {
+            button.textContent = 'Copy';
+        }, 1500);
+    }
+};
+
+// ============================================
+// Editor Functions
+// ============================================
+
+const Editor = {
+    /**
+     * Update preview with parsed markdown
+     * Runs straight away; a pending scheduleUpdate is folded into this one
+     */
+    updatePreview() {
+        clearTimeout(AppState.updateTimeout);
+        const markdown = AppState.editor.value;
+        ParserWorker.render(markdown);
+        this.updateSyntaxHighlight(markdown);
+        DocumentStats.update(markdown);
+        this.updateWordCount();
+        FileHandles.updateStatus();
+        this.scheduleSave();
+    },
+
+    /**
+     * Update after an edit - typed or programmatic
+     * The highlight layer only touches changed and visible lines, so it keeps up
+     * with every change; the rest waits until edits pause for EDITOR_DEBOUNCE_MS.
+     */
+    scheduleUpdate() {
+        this.updateSyntaxHighlight(AppState.editor.value);
+        clearTimeout(AppState.updateTimeout);
+        AppState.updateTimeout = setTimeout(() => this.updatePreview(), CONFIG.EDITOR_DEBOUNCE_MS);
+    },
+
+    /**
+     * Called once the preview shows a new version of the document
+     *
+     * @param {Object} update - From PreviewDocument.update
+     */
+    showPreview(update) {
+        ScrollSync.invalidate();
+        if (update.headings) Outline.update(update.headings);
+        MetadataPanel.update(update.frontMatter);
+    },
+
+    /**
+     * Update syntax highlighting in editor
+     */
+    updateSyntaxHighlight(text) {
+        EditorHighlight.update(text, FindReplace.highlightRanges(text), MarkdownLint.underlines(text));
+    },
+
+    /**
+     * Update word count in status bar
+     */
+    updateWordCount() {
+        const words = DocumentStats.wordTotal;
+        document.getElementById('status-words').textContent = `${words} word${words !== 1 ? 's' : ''}`;
+    },
+
+    /**
+     * Schedule auto-save to localStorage
+     */
+    scheduleSave() {
+        clearTimeout(AppState.saveTimeout);
+        document.getElementById('status-save').textContent = 'Unsaved';
+
+        AppState.saveTimeout = setTimeout(() => {
+            this.saveToLocalStorage();
+        }, CONFIG.SAVE_DEBOUNCE_MS);
+    },
+
+    /**
+     * Save content of the active document to localStorage
+     */
+    saveToLocalStorage() {
+        clearTimeout(AppState.saveTimeout);
+        try {
+            // The live document comes first: when storage is full, history makes room
+            let histories = null;
+            for (;;) {
+                try {
+                    DocumentLibrary.writeContent(AppState.currentDocumentId, AppState.editor.value);
+                    break;
+                } catch (e) {
+                    if (!DocumentLibrary.isStorageFull(e)) throw e;
+                    histories = histories || VersionHistory.readAll();
+                    if (!VersionHistory.freeSpace(histories)) throw e;
+                    Logger.warn('Storage full, dropped the oldest snapshot to save the document');
+                }
+            }
+            document.getElementById('status-save').textContent = 'Saved';
+            VersionHistory.snapshotIfDue();
+        } catch (e) {
+            Logger.error('Failed to save to localStorage:', e);
+            document.getElementById('status-save').textContent = 'Save failed';
+        }
+    },
+
+    /**
+     * Load the active document from localStorage
+     */
+    loadFromLocalStorage() {
+        try {
+            DocumentLibrary.load();
+            const content = DocumentLibrary.readContent(AppState.currentDocumentId);
+            AppState.editor.value = content;
+            EditHistory.attach(AppState.currentDocumentId);
+            if (content) {
+                this.updatePreview();
+                document.getElementById('status-save').textContent = 'Loaded from storage';
+            }
+        } catch (e) {
+            Logger.error('Failed to load from localStorage:', e);
+            document.getElementById('status-save').textContent = 'Load failed';
+        }
+    },
+
+    /**
+     * Toggle the task checkbox on a source line ("[ ]" <-> "[x]")
+     * Called when a checkbox is ticked in the preview
+     *
+     * @param {number} line - 0-based line number of the task item
+     */
+    toggleTaskItem(line) {
+        const text = AppState.editor.value;
+        const lines = text.split('\n');
+        if (!(line >= 0 && line < lines.length)) return;
+
+        // Optional blockquote markers, indentation, list marker, then "["
+        const match = lines[line].match(/^((?:[ \t]*>[ \t]?)*[ \t]*(?:[*+-]|\d{1,9}[.)])[ \t]+\[)([ xX])\]/);
+        if (!match) return;
+
+        const lineStart = lines.slice(0, line).reduce((sum, l) => sum + l.length + 1, 0);
+        const index = lineStart + match[1].length;
+
+        // Same-length replacement - the caret stays where it was
+        const { selectionStart, selectionEnd } = AppState.editor;
+        this.replaceRange(index, index + 1, match[2] === ' ' ? 'x' : ' ', selectionStart, selectionEnd);
+    },
+
+    /**
+     * Replace a range of the editor text as a single undoable step
+     * All programmatic edits go through here (or setValue) so EditHistory sees them
+     *
+     * @param {number} start - Range start
+     * @param {number} end - Range end
+     * @param {string} text - Replacement text
+     * @param {number} [selectionStart] - Selection after the edit (defaults to after the inserted text)
+     * @param {number} [selectionEnd]
+     */
+    replaceRange(start, end, text, selectionStart = start + text.length, selectionEnd = selectionStart) {
+        const editor = AppState.editor;
+        const selectionBefore = { start: editor.selectionStart, end: editor.selectionEnd };
+        const removed = editor.value.substring(start, end);
+
+        editor.value = editor.value.substring(0, start) + text + editor.value.substring(end);
+        editor.selectionStart = selectionStart;
+        editor.selectionEnd = selectionEnd;
+
+        EditHistory.record({
+            start,
+            removed,
+            inserted: text,
+            selectionBefore,
+            selectionAfter: { start: selectionStart, end: selectionEnd }
+        });
+        this.scheduleUpdate();
+    },
+
+    /**
+     * Replace the whole editor text as a single undoable step
+     * Only the changed region is recorded
+     */
+    setValue(value) {
+        const { start, removed, inserted } = TextDiff.changedRange(AppState.editor.value, value);
+        this.replaceRange(start, start + removed.length, inserted);
+    },
+
+    /**
+     * Insert text at cursor position
+     */
+    insertText(before, after = '', placeholder = '') {
+        const start = AppState.editor.selectionStart;
+        const end = AppState.editor.selectionEnd;
+        const selectedText = AppState.editor.value.substring(start, end);
+        const text = selectedText || placeholder;
+
+        // Cursor goes after the wrapped text
+        this.replaceRange(start, end, before + text + after, start + before.length + text.length);
+        AppState.editor.focus();
+    }
+};
+
+// ============================================
+// Document Stats
+// ============================================
+
+/**
+ * Word count and content fingerprint of the editor text, kept per line so
+ * an edit only recounts the lines it touched. Words never span lines, so the
+ * count is a sum over lines; the fingerprint combines per-line hashes.
+ */
+const DocumentStats = {
+    text: null,
+    words: [],      // Words per line
+    hashes: [],     // FNV-1a hash per line
+    wordTotal: 0,
+
+    update(text) {
+        if (this.text === null) {
+            const lines = text.split('\n');
+            this.words = lines.map(line => this.countWords(line));
+            this.hashes = lines.map(line => this.hashLine(line));
+            this.wordTotal = this.words.reduce((total, count) => total + count, 0);
+        } else if (text !== this.text) {
+            const change = TextDiff.changedLines(this.text, text);
+            const words = change.lines.map(line => this.countWords(line));
+            for (let i = change.first; i <= change.oldLast; i++) this.wordTotal -= this.words[i];
+            words.forEach(count => {
+                this.wordTotal += count;
+            });
+            this.words = TextDiff.spliceLines(this.words, { ...change, lines: words });
+            this.hashes = TextDiff.spliceLines(this.hashes, { ...change, lines: change.lines.map(line => this.hashLine(line)) });
+        }
+        this.text = text;
+    },
+
+    countWords(line) {
+        return line.trim().split(/\s+/).filter(w => w.length > 0).length;
+    },
+
+    hashLine(line) {
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < line.length; i++) {
+            hash ^= line.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return hash >>> 0;
+    },
+
+    /**
+     * Cheap content fingerprint, so a file's text needn't be kept around
+     * (FNV-1a over the line hashes, plus line count and length)
+     */
+    combine(hashes, length) {
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < hashes.length; i++) {
+            hash ^= hashes[i];
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return `${(hash >>> 0).toString(36)}:${hashes.length}:${length}`;
+    },
+
+    /**
+     * Fingerprint of the editor text, from the per-line hashes
+     */
+    fingerprint(text) {
+        this.update(text);
+        return this.combine(this.hashes, text.length);
+    },
+
+    /**
+     * Fingerprint of any other text (e.g. a file on disk)
+     */
+    fingerprintOf(text) {
+        return this.combine(text.split('\n').map(line => this.hashLine(line)), text.length);
+    }
+};
+
+// ============================================
+// List Editing
+// ============================================
+
+/**
+ * Markdown-aware Enter and Tab in the editor
+ * Enter continues bullets, numbered and task lists and blockquotes; Tab and
+ * Shift+Tab indent and outdent whole lines. Ordered lists touched by either
+ * are renumbered in the same undo step.
+ */
+const ListEditing = {
+    // Blockquote markers, indentation, then an optional list marker and task box
+    LINE_PREFIX: /^((?:[ \t]{0,3}>[ \t]?)*)([ \t]*)(?:([-*+]|(\d{1,9})([.)]))([ \t]+)(\[[ xX]\][ \t]+)?)?/,
+
+    init() {
+        CommandPalette.register({ id: 'renumber-list', label: 'Renumber ordered list', run: () => this.renumberAtCursor() });
+    },
+
+    /**
+     * Split a line into its markdown prefix parts
+     *
+     * @returns {Object} - { quote, indent, marker, number, numberText, delimiter, gap, task, prefixLength }
+     *                     number is null unless the line is an ordered item
+     */
+    parseLine(line) {
+        const match = line.match(this.LINE_PREFIX);
+        return {
+            quote: match[1],
+            indent: match[2],
+            marker: match[3] || '',
+            number: match[4] ? parseInt(match[4], 10) : null,
+            numberText: match[4] || '',
+            delimiter: match[5] || '',
+            gap: match[6] || '',
+            task: match[7] || '',
+            prefixLength: match[0].length
+        };
+    },
+
+    quoteDepth(info) {
+        return (info.quote.match(/>/g) || []).length;
+    },
+
+    indentWidth(info) {
+        return info.indent.replace(/\t/g, CONFIG.TAB_SPACES).length;
+    },
+
+    /**
+     * Whether the cursor line is inside a fenced code block (lists don't continue there)
+     */
+    inFencedCode(value, lineStart) {
+        let fence = null;
+        value.substring(0, lineStart).split('\n').forEach(line => {
+            fence = SyntaxHighlighter.fenceAfter(line, fence);
+        });
+        return fence !== null;
+    },
+
+    /**
+     * Apply a whole-text change as one undoable edit
+     */
+    apply(oldValue, newValue, selectionStart, selectionEnd = selectionStart) {
+        const { start, removed, inserted } = TextDiff.changedRange(oldValue, newValue);
+        Editor.replaceRange(start, start + removed.length, inserted, selectionStart, selectionEnd);
+        AppState.editor.focus();
+    },
+
+    /**
+     * Enter: continue the list or quote on the cursor line
+     * An empty item ends the list (or moves a nested item out one level)
+     *
+     * @returns {boolean} - false to let the browser insert a plain newline
+     */
+    handleEnter() {
+        const editor = AppState.editor;
+        const value = editor.value;
+        const start = editor.selectionStart;
+        const end = editor.selectionEnd;
+
+        const lineStart = value.lastIndexOf('\n', start - 1) + 1;
+        let lineEnd = value.indexOf('\n', start);
+        if (lineEnd === -1) lineEnd = value.length;
+        const line = value.substring(lineStart, lineEnd);
+
+        const info = this.parseLine(line);
+        if (!info.quote && !info.marker) return false;
+        // Cursor among the markers themselves, e.g. before "- "
+        if (start - lineStart < info.prefixLength) return false;
+        if (MarkdownParser.PATTERNS.thematicBreak.test(line.substring(info.quote.length))) return false;
+        if (this.inFencedCode(value, lineStart)) return false;
+
+        const index = value.substring(0, lineStart).split('\n').length - 1;
+
+        if (start === end && line.substring(info.prefixLength).trim() === '') {
+            this.endItem(value, index, lineStart, lineEnd, info);
+            return true;
+        }
+
+        let continuation = info.quote + info.indent;
+        if (info.marker) {
+            const marker = info.number !== null ? `${info.number + 1}${info.delimiter}` : info.marker;
+            continuation += marker + info.gap + (info.task ? '[ ] ' : '');
+        }
+
+        let newValue = value.substring(0, start) + '\n' + continuation + value.substring(end);
+        if (info.number !== null) {
+            const lines = newValue.split('\n');
+            if (this.renumber(lines, index + 1)) newValue = lines.join('\n');
+        }
+
+        const caret = start + 1 + continuation.length;
+        this.apply(value, newValue, caret);
+        return true;
+    },
+
+    /**
+     * Enter on an empty item: outdent a nested item, otherwise drop the marker
+     * (or, for an empty quote line, one level of ">")
+     */
+    endItem(value, index, lineStart, lineEnd, info) {
+        if (info.marker && this.indentWidth(info) > 0) {
+            this.shiftLines(lineStart, lineEnd, -1, lineEnd, lineEnd);
+            return;
+        }
+
+        const replacement = info.marker
+            ? info.quote + info.indent
+            : info.quote.replace(/[ \t]{0,3}>[ \t]?$/, '');
+        let newValue = value.substring(0, lineStart) + replacement + value.substring(lineEnd);
+
+        // Items below now follow a gap in the same list
+        const lines = newValue.split('\n');
+        if (index + 1 < lines.length && this.renumber(lines, index + 1)) newValue = lines.join('\n');
+
+        this.apply(value, newValue, lineStart + replacement.length);
+    },
+
+    /**
+     * Tab / Shift+Tab
+     * A multi-line selection or a list item shifts whole lines; otherwise Tab inserts spaces
+     */
+    handleTab(outdent) {
+        const editor = AppState.editor;
+        const value = editor.value;
+        const start = editor.selectionStart;
+        const end = editor.selectionEnd;
+        const lineStart = value.lastIndexOf('\n', start - 1) + 1;
+        let lineEnd = value.indexOf('\n', lineStart);
+        if (lineEnd === -1) lineEnd = value.length;
+
+        const multiLine = value.substring(start, end).includes('\n');
+        const listItem = this.parseLine(value.substring(lineStart, lineEnd)).marker !== '';
+
+        if (outdent || multiLine || listItem) {
+            this.shiftLines(start, end, outdent ? -1 : 1, start, end);
+        } else {
+            Editor.replaceRange(start, end, CONFIG.TAB_SPACES);
+        }
+    },
+
+    /**
+     * Indent or outdent every line from the one containing `from` to the one containing `to`
+     * Indentation goes after blockquote markers, so quoted lists nest too.
+     * Blank lines are not indented.
+     *
+     * @param {number} from - Offset in the first line
+     * @param {number} to - Offset in the last line (a selection ending at a line start excludes that line)
+     * @param {number} direction - 1 to indent, -1 to outdent
+     * @param {number} selectionStart - Selection to carry across the edit
+     * @param {number} selectionEnd
+     */
+    shiftLines(from, to, direction, selectionStart, selectionEnd) {
+        const value = AppState.editor.value;
+        const unit = CONFIG.TAB_SPACES;
+        const collapsed = selectionStart === selectionEnd;
+
+        const firstStart = value.lastIndexOf('\n', from - 1) + 1;
+        const last = to > from && value[to - 1] === '\n' ? to - 1 : to;
+        let lastEnd = value.indexOf('\n', last);
+        if (lastEnd === -1) lastEnd = value.length;
+
+        const firstIndex = value.substring(0, firstStart).split('\n').length - 1;
+        const block = value.substring(firstStart, lastEnd).split('\n');
+
+        let oldOffset = firstStart;
+        let newOffset = firstStart;
+        let newStart = selectionStart;
+        let newEnd = selectionEnd;
+        const changed = [];
+
+        const shifted = block.map((line, i) => {
+            const at = this.parseLine(line).quote.length;
+            let result = line;
+            let mapColumn = column => column;
+
+            if (direction > 0 && line.substring(at).trim() !== '') {
+                result = line.substring(0, at) + unit + line.substring(at);
+                // A caret exactly at the insertion point moves with the text; a selection edge stays put
+                mapColumn = column => (column > at || (column === at && collapsed) ? column + unit.length : column);
+            } else if (direction < 0) {
+                const leading = line.substring(at).match(new RegExp(`^(\t| {1,${unit.length}})`));
+                if (leading) {
+                    const removed = leading[0].length;
+                    result = line.substring(0, at) + line.substring(at + removed);
+                    mapColumn = column => (column >= at + removed ? column - removed : Math.min(column, at));
+                }
+            }
+
+            if (selectionStart >= oldOffset && selectionStart <= oldOffset + line.length) {
+                newStart = newOffset + mapColumn(selectionStart - oldOffset);
+            }
+            if (selectionEnd >= oldOffset && selectionEnd <= oldOffset + line.length) {
+                newEnd = newOffset + mapColumn(selectionEnd - oldOffset);
+            }
+            if (result !== line) changed.push(firstIndex + i);
+
+            oldOffset += line.length + 1;
+            newOffset += result.length + 1;
+            return result;
+        });
+
+        if (changed.length === 0) return;
+        // A selection ending at the start of the next line moves with the total shift
+        if (selectionEnd > lastEnd) newEnd = selectionEnd + (newOffset - oldOffset);
+
+        const lines = value.split('\n');
+        lines.splice(firstIndex, block.length, ...shifted);
+        const lastIndex = firstIndex + block.length - 1;
+
+        // Renumber the lists the shifted items joined, and what remains of the ones they left
+        changed.forEach(index => this.renumber(lines, index, direction > 0));
+        if (firstIndex > 0) this.renumber(lines, firstIndex - 1);
+        if (lastIndex + 1 < lines.length) this.renumber(lines, lastIndex + 1);
+
+        this.apply(value, lines.join('\n'), newStart, newEnd);
+    },
+
+    /**
+     * Renumber the ordered list containing lines[index], in place
+     * Numbering keeps the first item's start value; nested lists are left alone
+     *
+     * @param {string[]} lines - Document lines
+     * @param {number} index - Any item of the list
+     * @param {boolean} [restart] - Start from 1 if this item is the first of its list
+     * @returns {boolean} - Whether any line changed
+     */
+    renumber(lines, index, restart = false) {
+        const item = this.parseLine(lines[index]);
+        if (item.number === null) return false;
+
+        const depth = this.quoteDepth(item);
+        const width = this.indentWidth(item);
+        const sameLevel = info => info.number !== null && this.quoteDepth(info) === depth && this.indentWidth(info) === width;
+        // Blank lines and anything indented deeper belong to the current item
+        const inside = (line, info) => this.quoteDepth(info) === depth &&
+            (line.substring(info.quote.length).trim() === '' || this.indentWidth(info) > width);
+
+        let first = index;
+        for (let k = index - 1; k >= 0; k--) {
+            const info = this.parseLine(lines[k]);
+            if (sameLevel(info)) first = k;
+            else if (!inside(lines[k], info)) break;
+        }
+
+        let next = first === index && restart ? 1 : this.parseLine(lines[first]).number;
+        let changed = false;
+        for (let k = first; k < lines.length; k++) {
+            const info = this.parseLine(lines[k]);
+            if (sameLevel(info)) {
+                if (info.number !== next) {
+                    const at = info.quote.length + info.indent.length;
+                    lines[k] = lines[k].substring(0, at) + next + lines[k].substring(at + info.numberText.length);
+                    changed = true;
+                }
+                next++;
+            } else if (!inside(lines[k], info)) {
+                break;
+            }
+        }
+        return changed;
+    },
+
+    renumberAtCursor() {
+        const value = AppState.editor.value;
+        const { selectionStart, selectionEnd } = AppState.editor;
+        const lines = value.split('\n');
+        const index = value.substring(0, selectionStart).split('\n').length - 1;
+
+        if (this.renumber(lines, index)) {
+            // Numbers may change width; keep the cursor on its line
+            this.apply(value, lines.join('\n'), selectionStart, selectionEnd);
+        }
+    }
+};
+
+// ============================================
+// Formatting
+// ============================================
+
+/**
+ * Toolbar formatting that toggles: applying a format to text that already
+ * has it removes the markup instead of nesting another copy. Line formats
+ * (headings, lists, quotes, code blocks) apply to every selected line.
+ */
+const Formatting = {
+    // Marker characters accepted when removing each inline format
+    INLINE_CHARS: { '**': '*_', '*': '*_', '~~': '~' },
+    HEADING_PREFIX: /^ {0,3}#{1,6}(?=[ \t]|$)[ \t]*/,
+    LINK: /(^|[^!\\])\[((?:\\.|[^\\\]])*)\]\((?:\\.|[^\\)])*\)/g,
+
+    /**
+     * Wrap the selection in an inline marker, or unwrap it if already marked
+     * Markers are found just outside the selection, at its edges, or - with no
+     * selection - around the cursor on its line
+     *
+     * @param {string} marker - "**", "*" or "~~"
+     * @param {string} placeholder - Text inserted when nothing is selected
+     */
+    toggleInline(marker, placeholder) {
+        const editor = AppState.editor;
+        const edit = this.inlineEdit(editor.value, editor.selectionStart, editor.selectionEnd, marker, placeholder);
+        Editor.replaceRange(edit.start, edit.end, edit.text, edit.selectionStart, edit.selectionEnd);
+        editor.focus();
+    },
+
+    /**
+     * The edit toggleInline makes
+     *
+     * @returns {Object} - { start, end, text, selectionStart, selectionEnd }: replace start..end with text
+     */
+    inlineEdit(value, start, end, marker, placeholder) {
+        const span = this.findInlineSpan(value, start, end, marker);
+        if (span) {
+            const { open, close, size } = span;
+            const inner = value.substring(open + size, close);
+            return { start: open, end: close + size, text: inner, selectionStart: open, selectionEnd: open + inner.length };
+        }
+
+        // "** text**" isn't emphasis, so surrounding whitespace stays outside the markers
+        const selected = value.substring(start, end);
+        if (selected.trim()) {
+            start += selected.length - selected.trimStart().length;
+            end -= selected.length - selected.trimEnd().length;
+        }
+        const text = value.substring(start, end) || placeholder;
+        return {
+            start,
+            end,
+            text: marker + text + marker,
+            selectionStart: start + marker.length,
+            selectionEnd: start + marker.length + text.length
+        };
+    },
+
+    /**
+     * Locate the marker pair to remove for an inline toggle
+     *
+     * @returns {Object|null} - { open, close, size }: offsets of the opening and closing markers
+     */
+    findInlineSpan(value, start, end, marker) {
+        const size = marker.length;
+        // A run of "*" closes italic only if odd ("***" is bold + italic), bold only if 2 or more
+        const fits = run => (size === 1 ? run % 2 === 1 : run >= 2);
+        const runBefore = (char, at, limit) => {
+            let count = 0;
+            while (at - count > limit && value[at - count - 1] === char) count++;
+            return count;
+        };
+        const runAfter = (char, at, limit) => {
+            let count = 0;
+            while (at + count < limit && value[at + count] === char) count++;
+            return count;
+        };
+
+        for (const char of this.INLINE_CHARS[marker]) {
+            // Markers just outside the selection: **|text|**
+            if (fits(runBefore(char, start, 0)) && fits(runAfter(char, end, value.length))) {
+                return { open: start - size, close: end, size };
+            }
+            // Markers selected along with the text: |**text**|
+            const leading = runAfter(char, start, end);
+            const trailing = runBefore(char, end, start + leading);
+            if (end - start > leading + trailing && fits(leading) && fits(trailing)) {
+                return { open: start, close: end - size, size };
+            }
+        }
+
+        if (start !== end) return null;
+
+        // No selection: pair up marker runs on the cursor line, left to right,
+        // after its quote and list markers ("* item *text*" has one italic span)
+        let lineStart = value.lastIndexOf('\n', start - 1) + 1;
+        const lineEnd = value.indexOf('\n', start) === -1 ? value.length : value.indexOf('\n', start);
+        lineStart += ListEditing.parseLine(value.substring(lineStart, lineEnd)).prefixLength;
+        const line = value.substring(lineStart, lineEnd);
+        const char = marker[0];
+        const pattern = new RegExp(`\\${char}+`, 'g');
+        const runs = [...line.matchAll(pattern)].filter(match => fits(match[0].length));
+
+        for (let i = 0; i + 1 < runs.length; i += 2) {
+            const openEnd = lineStart + runs[i].index + runs[i][0].length;
+            const closeStart = lineStart + runs[i + 1].index;
+            if (openEnd <= start && start <= closeStart) {
+                return { open: openEnd - size, close: closeStart, size };
+            }
+        }
+        return null;
+    },
+
+    /**
+     * Remove the link the cursor or selection is in, keeping its text
+     *
+     * @returns {boolean} - Whether a link was removed
+     */
+    removeLink() {
+        const editor = AppState.editor;
+        const { value, selectionStart: start, selectionEnd: end } = editor;
+        const lineStart = value.lastIndexOf('\n', start - 1) + 1;
+        const lineEnd = value.indexOf('\n', start) === -1 ? value.length : value.indexOf('\n', start);
+        const line = value.substring(lineStart, lineEnd);
+
+        for (const match of line.matchAll(this.LINK)) {
+            const linkStart = lineStart + match.index + match[1].length;
+            const linkEnd = lineStart + match.index + match[0].length;
+            if (linkStart <= start && end <= linkEnd) {
+                const text = match[2];
+                Editor.replaceRange(linkStart, linkEnd, text, linkStart, linkStart + text.length);
+                editor.focus();
+                return true;
+            }
+        }
+        return false;
+    },
+
+    /**
+     * Indices of the lines the selection touches
+     * A selection ending at the start of a line doesn't include that line
+     */
+    selectedLineRange(value, start, end) {
+        const first = value.substring(0, start).split('\n').length - 1;
+        const last = end > start && value[end - 1] === '\n'
+            ? value.substring(0, end - 1).split('\n').length - 1
+            : value.substring(0, end).split('\n').length - 1;
+        return { first, last: Math.max(first, last) };
+    },
+
+    /**
+     * Rewrite the selected lines in place as one undoable edit
+     * A cursor keeps its place in the text; a selection grows to cover the whole lines
+     *
+     * @param {Function} transform - (lines, first, last) => void, edits lines in place
+     */
+    transformLines(transform) {
+        const editor = AppState.editor;
+        const value = editor.value;
+        const { selectionStart, selectionEnd } = editor;
+        const lines = value.split('\n');
+        const { first, last } = this.selectedLineRange(value, selectionStart, selectionEnd);
+        const originalLine = lines[first];
+
+        transform(lines, first, last);
+        const newValue = lines.join('\n');
+        if (newValue === value) {
+            editor.focus();
+            return;
+        }
+
+        const lineStart = lines.slice(0, first).reduce((sum, line) => sum + line.length + 1, 0);
+        if (selectionStart === selectionEnd) {
+            const column = selectionStart - (value.lastIndexOf('\n', selectionStart - 1) + 1);
+            const shifted = column + lines[first].length - originalLine.length;
+            ListEditing.apply(value, newValue, lineStart + Math.max(0, Math.min(lines[first].length, shifted)));
+        } else {
+            const selected = lines.slice(first, last + 1).join('\n');
+            ListEditing.apply(value, newValue, lineStart, lineStart + selected.length);
+        }
+    },
+
+    /**
+     * Lines to format: the non-blank selected lines, or the cursor line when all are blank
+     */
+    targetLines(lines, first, last) {
+        const targets = [];
+        for (let i = first; i <= last; i++) {
+            if (lines[i].trim() !== '') targets.push(i);
+        }
+        return targets.length > 0 ? targets : [first];
+    },
+
+    /**
+     * Make the selected lines headings of a level
+     * Other heading levels are replaced; lines already at this level become paragraphs
+     */
+    toggleHeading(level) {
+        this.transformLines((lines, first, last) => {
+            this.headingLines(lines, this.targetLines(lines, first, last), level);
+        });
+    },
+
+    /**
+     * Toggle a heading level on lines, in place
+     * The "#" marker goes after any quote and list markers, so list items stay
+     * list items ("- item" becomes "- ## item")
+     *
+     * @param {string[]} lines - All lines
+     * @param {number[]} targets - Indices of the lines to change
+     * @param {number} level - 1 to 6
+     */
+    headingLines(lines, targets, level) {
+        const prefix = '#'.repeat(level) + ' ';
+        const parts = targets.map(i => {
+            const info = ListEditing.parseLine(lines[i]);
+            const head = lines[i].substring(0, info.marker ? info.prefixLength : info.quote.length);
+            return { head, text: lines[i].substring(head.length) };
+        });
+        const remove = parts.every(({ text }) => {
+            const match = text.match(this.HEADING_PREFIX);
+            return match && match[0].trim().length === level;
+        });
+
+        targets.forEach((i, n) => {
+            const { head, text } = parts[n];
+            const content = text.replace(this.HEADING_PREFIX, '');
+            lines[i] = head + (remove ? content : prefix + content);
+        });
+    },
+
+    /**
+     * Make the selected lines list items
+     * Items of the other list type are converted; lines already in this type of list lose their markers
+     *
+     * @param {boolean} ordered - Numbered list rather than bullets
+     */
+    toggleList(ordered) {
+        this.transformLines((lines, first, last) => {
+            const targets = this.targetLines(lines, first, last);
+            const items = targets.map(i => ListEditing.parseLine(lines[i]));
+            const isType = info => (ordered ? info.number !== null : info.marker !== '' && info.number === null);
+            const remove = items.every(isType);
+
+            targets.forEach((i, n) => {
+                const info = items[n];
+                const head = info.quote + info.indent;
+                const content = lines[i].substring(info.prefixLength);
+                if (remove) {
+                    lines[i] = head + content;
+                } else {
+                    lines[i] = head + (ordered ? `${n + 1}. ` : '- ') + info.task + content;
+                }
+            });
+
+            // Items added next to an existing list continue its numbering
+            if (ordered && !remove) ListEditing.renumber(lines, targets[0]);
+        });
+    },
+
+    /**
+     * Quote the selected lines, or remove one quote level if they're all quoted
+     */
+    toggleQuote() {
+        this.transformLines((lines, first, last) => {
+            const targets = this.targetLines(lines, first, last);
+            const remove = targets.every(i => /^ {0,3}>/.test(lines[i]));
+
+            for (let i = first; i <= last; i++) {
+                if (remove) {
+                    lines[i] = lines[i].replace(/^( {0,3})> ?/, '$1');
+                } else if (lines[i].trim() === '') {
+                    // Blank lines inside the selection keep the quote in one piece
+                    lines[i] = first === last ? '> ' : '>';
+                } else {
+                    lines[i] = `> ${lines[i]}`;
+                }
+            }
+        });
+    },
+
+    /**
+     * Fence the selected lines as a code block, or unfence the block the cursor is in
+     */
+    toggleCodeBlock() {
+        const editor = AppState.editor;
+        const value = editor.value;
+        const lines = value.split('\n');
+        const { first, last } = this.selectedLineRange(value, editor.selectionStart, editor.selectionEnd);
+        const offsetOf = index => lines.slice(0, index).reduce((sum, line) => sum + line.length + 1, 0);
+        const block = this.fencedBlockAt(lines, first);
+
+        if (block) {
+            const close = block.close === -1 ? lines.length : block.close;
+            const content = lines.slice(block.open + 1, close);
+            lines.splice(block.open, close - block.open + 1, ...content);
+            const start = offsetOf(block.open);
+            ListEditing.apply(value, lines.join('\n'), start, start + content.join('\n').length);
+            return;
+        }
+
+        const content = lines.slice(first, last + 1);
+        const placeholder = content.every(line => line.trim() === '');
+        const body = placeholder ? ['code here'] : content;
+        // A fence longer than any backtick run inside keeps the content intact
+        const longest = Math.max(0, ...body.map(line => (line.match(/^ {0,3}(`+)/) || ['', ''])[1].length));
+        const fence = '`'.repeat(Math.max(3, longest + 1));
+
+        lines.splice(first, last - first + 1, fence, ...body, fence);
+        const start = offsetOf(first + 1);
+        ListEditing.apply(value, lines.join('\n'), start, start + body.join('\n').length);
+    },
+
+    /**
+     * The fenced code block containing a line, if any
+     *
+     * @returns {Object|null} - { open, close } line indices; close is -1 for an unclosed block
+     */
+    fencedBlockAt(lines, index) {
+        const { fenceOpen, fenceClose } = MarkdownParser.PATTERNS;
+        let open = -1;
+        let fence = null;
+
+        for (let i = 0; i < lines.length; i++) {
+            if (fence) {
+                const close = lines[i].match(fenceClose);
+                if (close && close[1][0] === fence[0] && close[1].length >= fence.length) {
+                    if (index <= i) return { open, close: i };
+                    fence = null;
+                }
+            } else {
+                if (i > index) return null;
+                const match = lines[i].match(fenceOpen);
+                if (match) {
+                    open = i;
+                    fence = match[2];
+                }
+            }
+        }
+        return fence ? { open, close: -1 } : null;
+    }
+};
+
+// ============================================
+// Undo / Redo History
+// ============================================
+
+/**
+ * Editor-level undo stack
+ * Programmatic assignments to a textarea's value wipe the browser's native
+ * undo, so every change - typed or programmatic - is recorded here as
+ * { start, removed, inserted, selectionBefore, selectionAfter }.
+ */
+const EditHistory = {
+    stacks: {},          // { [documentId]: { undo: [], redo: [] } }
+    current: null,       // Stacks of the active document
+    lastValue: '',       // Editor text as of the last recorded change
+    pendingSelection: null,
+
+    init() {
+        const editor = AppState.editor;
+
+        editor.addEventListener('beforeinput', (e) => {
+            // Route the browser's own undo/redo (Edit menu, context menu) through our history
+            if (e.inputType === 'historyUndo' || e.inputType === 'historyRedo') {
+                e.preventDefault();
+                if (e.inputType === 'historyUndo') this.undo(); else this.redo();
+                return;
+            }
+            this.pendingSelection = { start: editor.selectionStart, end: editor.selectionEnd };
+        });
+
+        editor.addEventListener('input', () => this.captureInput());
+
+        CommandPalette.register({ id: 'undo', label: 'Undo', run: () => this.undo(), keys: 'Mod+Z' });
+        CommandPalette.register({ id: 'redo', label: 'Redo', run: () => this.redo(), keys: 'Mod+Shift+Z' });
+    },
+
+    /**
+     * Switch to a document's stacks; call after loading its text into the editor
+     */
+    attach(documentId) {
+        if (!this.stacks[documentId]) {
+            this.stacks[documentId] = { undo: [], redo: [] };
+        }
+        this.current = this.stacks[documentId];
+        this.lastValue = AppState.editor.value;
+    },
+
+    /**
+     * Drop a deleted document's stacks
+     */
+    forget(documentId) {
+        if (this.current === this.stacks[documentId]) this.current = null;
+        delete this.stacks[documentId];
+    },
+
+    /**
+     * Record a typed change by diffing against the last known text
+     */
+    captureInput() {
+        const editor = AppState.editor;
+        const value = editor.value;
+        if (value === this.lastValue) return;
+
+        const change = TextDiff.changedRange(this.lastValue, value);
+        const caretBefore = change.start + change.removed.length;
+        this.push({
+            ...change,
+            selectionBefore: this.pendingSelection || { start: caretBefore, end: caretBefore },
+            selectionAfter: { start: editor.selectionStart, end: editor.selectionEnd }
+        }, true);
+
+        this.lastValue = value;
+        this.pendingSelection = null;
+    },
+
+    /**
+     * Record a programmatic change (already applied to the editor)
+     */
+    record(change) {
+        this.push(change, false);
+        this.lastValue = AppState.editor.value;
+    },
+
+    push(change, typing) {
+        if (!this.current) return;
+
+        const { undo, redo } = this.current;
+        const last = undo[undo.length - 1];
+        const now = Date.now();
+
+        // Consecutive typing in one place undoes as one step; a new line starts a new step
+        if (typing && last && last.typing && now - last.time < CONFIG.UNDO_GROUP_MS && !change.inserted.includes('\n')) {
+            const merged = this.compose(last, change, this.lastValue);
+            if (merged) {
+                undo[undo.length - 1] = { ...merged, typing, time: now };
+                redo.length = 0;
+                return;
+            }
+        }
+
+        undo.push({ ...change, typing, time: now });
+        if (undo.length > CONFIG.UNDO_MAX_STEPS) undo.shift();
+        redo.length = 0;
+    },
+
+    /**
+     * Combine two adjacent changes into one
+     *
+     * @param {Object} first - Earlier change
+     * @param {Object} second - Later change
+     * @param {string} between - Text after `first` and before `second`
+     * @returns {Object|null} - Combined change, or null if the ranges don't touch
+     */
+    compose(first, second, between) {
+        const firstEnd = first.start + first.inserted.length;
+        const secondEnd = second.start + second.removed.length;
+        if (second.start > firstEnd || secondEnd < first.start) return null;
+
+        const start = Math.min(first.start, second.start);
+        const end = Math.max(firstEnd, secondEnd);
+        return {
+            start,
+            removed: between.substring(start, first.start) + first.removed + between.substring(firstEnd, end),
+            inserted: between.substring(start, second.start) + second.inserted + between.substring(secondEnd, end),
+            selectionBefore: first.selectionBefore,
+            selectionAfter: second.selectionAfter
+        };
+    },
+
+    undo() {
+        const change = this.current && this.current.undo.pop();
+        if (!change) return;
+
+        this.apply(change.start, change.inserted.length, change.removed, change.selectionBefore);
+        this.current.redo.push(change);
+    },
+
+    redo() {
+        const change = this.current && this.current.redo.pop();
+        if (!change) return;
+
+        this.apply(change.start, change.removed.length, change.inserted, change.selectionAfter);
+        this.current.undo.push({ ...change, typing: false });
+    },
+
+    apply(start, length, text, selection) {
+        const editor = AppState.editor;
+        editor.value = editor.value.substring(0, start) + text + editor.value.substring(start + length);
+        editor.selectionStart = selection.start;
+        editor.selectionEnd = selection.end;
+        this.lastValue = editor.value;
+
+        editor.focus();
+        Editor.scheduleUpdate();
+    }
+};
+
+// ============================================
+// File Operations
+// ============================================
+
+const FileOperations = {
+    /**
+     * Open file dialog
+     * Uses a file handle where supported, so Save can write back in place
+     */
+    openFile() {
+        if (FileHandles.isSupported()) {
+            FileHandles.open();
+            return;
+        }
+        AppState.fileInput.click();
+    },
+
+    /**
+     * Check an opened file against the size and type limits
+     *
+     * @returns {string} - Message describing the problem, or '' if the file is acceptable
+     */
+    validateFile(file) {
+        if (file.size > CONFIG.MAX_FILE_SIZE) {
+            return `File is too large. Maximum size is ${CONFIG.MAX_FILE_SIZE / 1024 / 1024} MB.`;
+        }
+
+        const extension = file.name.substring(file.name.lastIndexOf('.')).toLowerCase();
+        if (!CONFIG.ALLOWED_FILE_TYPES.includes(extension)) {
+            return `Invalid file type. Allowed types: ${CONFIG.ALLOWED_FILE_TYPES.join(', ')}`;
+        }
+
+        return '';
+    },
+
+    /**
+     * Handle file selection
+     */
+    handleFileSelect(event) {
+        const file = event.target.files[0];
+        if (!file) return;
+
+        const error = this.validateFile(file);
+        if (error) {
+            alert(error);
+            event.target.value = '';
+            return;
+        }
+
+        const reader = new FileReader();
+
+        reader.onload = (e) => {
+            VersionHistory.snapshot('Before opening file');
+            // Opened files become new documents rather than replacing the current draft
+            DocumentLibrary.openAsDocument(file.name, e.target.result);
+            document.getElementById('status-save').textContent = 'Loaded';
+        };
+
+        reader.onerror = (e) => {
+            Logger.error('Failed to read file:', e);
+            alert(`Failed to read file: ${file.name}`);
+        };
+
+        reader.readAsText(file);
+
+        // Reset input
+        event.target.value = '';
+    },
+
+    /**
+     * Save file
+     * Writes back to the document's file when it has one, otherwise downloads
+     */
+    saveFile() {
+        if (FileHandles.isSupported()) {
+            FileHandles.save();
+            return;
+        }
+        this.download(AppState.editor.value, this.defaultFileName('.md'), 'text/markdown');
+    },
+
+    /**
+     * Save to a newly chosen file; without file handles this is a download
+     */
+    saveFileAs() {
+        if (FileHandles.isSupported()) {
+            FileHandles.saveAs();
+            return;
+        }
+        this.download(AppState.editor.value, this.defaultFileName('.md'), 'text/markdown');
+    },
+
+    /**
+     * Suggested file name: the front-matter title when there is one,
+     * otherwise the document's own name
+     *
+     * @param {string} extension - Including the dot, e.g. ".md"
+     */
+    defaultFileName(extension) {
+        const data = FrontMatter.extract(AppState.editor.value);
+        const title = data && typeof data.title === 'string' ? data.title : '';
+        // Drop characters file systems reject
+        const safeTitle = title.replace(/[\\/:*?"<>|\u0000-\u001F]/g, '').replace(/\s+/g, ' ').trim().slice(0, 100);
+        const baseName = safeTitle || AppState.currentFileName.replace(/\.[^.]+$/, '');
+        return baseName + extension;
+    },
+
+    /**
+     * Trigger a browser download of text content
+     */
+    download(content, fileName, type) {
+        const blob = new Blob([content], { type });
+        const url = URL.createObjectURL(blob);
+
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = fileName;
+        a.click();
+
+        URL.revokeObjectURL(url);
+    },
+
+    /**
+     * Theme variables copied into exported HTML, resolved from the live page
+     * so the export matches the current light/dark theme
+     */
+    EXPORT_VARIABLES: [
+        '--color-bg', '--color-text', '--color-text-secondary', '--color-border',
+        '--color-accent', '--color-surface', '--font-family', '--font-family-mono',
+        '--line-height-body', '--line-height-heading',
+        '--space-xs', '--space-sm', '--space-md', '--space-lg', '--space-xl',
+        '--color-token-comment', '--color-token-keyword', '--color-token-string', '--color-token-number',
+        '--color-token-function', '--color-token-property', '--color-token-tag',
+        '--color-token-inserted', '--color-token-deleted'
+    ],
+
+    /**
+     * Page rules for exported documents; the app styles body for its own layout
+     */
+    EXPORT_PAGE_CSS: 'body { margin: 0; background: var(--color-bg); color: var(--color-text); font-family: var(--font-family); font-size: 16px; line-height: var(--line-height-body); }',
+
+    /**
+     * Fallback preview typography, used when the loaded stylesheet can't be
+     * read back (under file://) - a snapshot of the preview rules in styles.css
+     */
+    EXPORT_CSS: `
+.preview-content { max-width: 800px; margin: 0 auto; padding: var(--space-lg); }
+.preview-content h1, .preview-content h2, .preview-content h3, .preview-content h4, .preview-content h5, .preview-content h6 { margin-top: var(--space-xl); margin-bottom: var(--space-md); line-height: var(--line-height-heading); font-weight: 600; }
+.preview-content h1 { font-size: 2em; border-bottom: 2px solid var(--color-border); padding-bottom: var(--space-sm); }
+.preview-content h2 { font-size: 1.5em; border-bottom: 1px solid var(--color-border); padding-bottom: var(--space-xs); }
+.preview-content h3 { font-size: 1.25em; }
+.preview-content h4 { font-size: 1.125em; }
+.preview-content h5, .preview-content h6 { font-size: 1em; }
+.preview-content > :first-child { margin-top: 0; }
+.preview-content p { margin: 0 0 var(--space-md); }
+.preview-content a { color: var(--color-accent); text-decoration: none; }
+.preview-content a:hover { text-decoration: underline; }
+.preview-content strong { font-weight: 600; }
+.preview-content code { font-family: var(--font-family-mono); font-size: 0.9em; padding: 2px 6px; background: var(--color-surface); border: 1px solid var(--color-border); border-radius: 3px; }
+.preview-content pre { margin: var(--space-md) 0; padding: var(--space-md); background: var(--color-surface); border: 1px solid var(--color-border); border-radius: 4px; overflow-x: auto; }
+.preview-content pre code { padding: 0; background: none; border: none; }
+.preview-content blockquote { margin: var(--space-md) 0; padding-left: var(--space-md); border-left: 4px solid var(--color-border); color: var(--color-text-secondary); }
+.preview-content ul, .preview-content ol { margin: var(--space-md) 0; padding-left: var(--space-lg); }
+.preview-content li { margin-bottom: var(--space-xs); }
+.preview-content li > ul, .preview-content li > ol { margin: var(--space-xs) 0 0; }
+.preview-content li.task-list-item { list-style: none; }
+.preview-content .task-list-item-checkbox { margin: 0 var(--space-xs) 0 calc(-1 * var(--space-md)); vertical-align: middle; }
+.preview-content hr { margin: var(--space-xl) 0; border: none; border-top: 1px solid var(--color-border); }
+.preview-content .footnote-ref { line-height: 0; }
+.preview-content .footnotes { margin-top: var(--space-xl); padding-top: var(--space-md); border-top: 1px solid var(--color-border); font-size: 0.875em; color: var(--color-text-secondary); }
+.preview-content .footnote-backref { font-family: var(--font-family-mono); }
+.preview-content img { max-width: 100%; height: auto; margin: var(--space-md) 0; }
+.preview-content table { width: 100%; border-collapse: collapse; margin: var(--space-md) 0; }
+.preview-content th, .preview-content td { padding: var(--space-sm) var(--space-md); border: 1px solid var(--color-border); text-align: left; }
+.preview-content th { background: var(--color-surface); font-weight: 600; }
+.token-comment { color: var(--color-token-comment); font-style: italic; }
+.token-keyword, .token-builtin { color: var(--color-token-keyword); }
+.token-string, .token-value { color: var(--color-token-string); }
+.token-number, .token-literal { color: var(--color-token-number); }
+.token-function { color: var(--color-token-function); }
+.token-property, .token-attribute, .token-variable { color: var(--color-token-property); }
+.token-tag, .token-selector { color: var(--color-token-tag); }
+.token-meta { color: var(--color-token-comment); }
+.token-inserted { color: var(--color-token-inserted); }
+.token-deleted { color: var(--color-token-deleted); }
+`,
+
+    /**
+     * Preview rules for exported documents, read from the loaded stylesheets
+     * so the export always matches the preview: every top-level rule whose
+     * selectors all target .preview-content or code tokens
+     *
+     * @returns {string} - CSS text
+     */
+    exportCss() {
+        const isPreviewSelector = selector => /^(?:\.preview-content\b|\.token-)/.test(selector.trim());
+        const rules = [];
+        for (const sheet of document.styleSheets) {
+            let cssRules;
+            try {
+                cssRules = sheet.cssRules;
+            } catch (e) {
+                continue;   // Unreadable under file:// and for cross-origin sheets
+            }
+            for (const rule of cssRules) {
+                if (rule instanceof CSSStyleRule && rule.selectorText.split(',').every(isPreviewSelector)) {
+                    rules.push(rule.cssText);
+                }
+            }
+        }
+
+        return [this.EXPORT_PAGE_CSS, rules.length ? rules.join('\n') : this.EXPORT_CSS.trim()].join('\n');
+    },
+
+    /**
+     * Export the rendered document as a single self-contained HTML file
+     * Uses the same parser and URL sanitization as the preview
+     */
+    async exportHtml() {
+        const markdown = AppState.editor.value;
+        const ast = MarkdownParser.tokenize(markdown);
+        const rendered = HtmlRenderer.render(ast)
+            // Source line markers only mean something next to the editor
+            .replace(/ data-source-line="\d+"/g, '')
+            // A standalone page has no app ids to clash with, so "#slug" links work natively
+            .replace(new RegExp(` id="${HtmlRenderer.ID_PREFIX}`, 'g'), ' id="')
+            // Checkboxes are read-only outside the editor
+            .replace(/<input type="checkbox" class="task-list-item-checkbox"/g, '$& disabled');
+        // Pasted images travel inside the file
+        const { html: body, missing } = await AssetStore.inlineImages(rendered);
+
+        const fileName = this.defaultFileName('.html');
+        const data = ast.frontMatter && ast.frontMatter.data;
+        const heading = ast.children.find(node => node.type === 'heading');
+        const title = (data && typeof data.title === 'string' && data.title.trim()) ||
+            (heading && MarkdownParser.textContent(heading.children).trim()) ||
+            fileName.replace(/\.html$/, '');
+
+        const computed = getComputedStyle(document.body);
+        const variables = this.EXPORT_VARIABLES
+            .map(name => `${name}: ${computed.getPropertyValue(name).trim()};`)
+            .join(' ');
+
+        const html = `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<meta http-equiv="Content-Security-Policy" content="default-src 'none'; style-src 'unsafe-inline'; img-src https: http: data:;">
+<meta name="generator" content="NousMD">
+<title>${HtmlRenderer.escapeHtml(title)}</title>
+<style>
+:root { ${variables} }
+${this.exportCss()}
+</style>
+</head>
+<body>
+<main class="preview-content">
+${body}
+</main>
+</body>
+</html>
+`;
+
+        this.download(html, fileName, 'text/html');
+        document.getElementById('status-save').textContent = 'Exported HTML';
+
+        if (missing > 0) {
+            const images = missing === 1 ? '1 image was' : `${missing} images were`;
+            alert(`${images} not found in this browser and exported as alt text only.`);
+        }
+    },
+
+    /**
+     * Clear editor
+     */
+    clearEditor() {
+        if (AppState.editor.value.trim() === '') return;
+
+        if (confirm('Clear all content? A copy will be kept in History.')) {
+            VersionHistory.snapshot('Before clear');
+            Editor.setValue('');
+            Editor.updatePreview();
+            Editor.saveToLocalStorage();
+        }
+    }
+};
+
+// ============================================
+// File Handles (File System Access API)
+// ============================================
+
+/**
+ * Links documents to files on disk where the browser supports file handles.
+ * Handles are kept per document id and remembered in IndexedDB, so Save keeps
+ * writing to the same file after a reload (the browser asks again for permission).
+ * The status bar shows the linked file and whether the editor differs from it.
+ */
+const FileHandles = {
+    DB_NAME: 'nousmd-file-handles',
+    STORE_NAME: 'handles',
+    FILE_TYPES: [{
+        description: 'Markdown',
+        accept: { 'text/markdown': CONFIG.ALLOWED_FILE_TYPES }
+    }],
+
+    db: null,             // Promise<IDBDatabase|null>
+    loaded: null,         // Promise settled once remembered handles are read
+    records: new Map(),   // documentId -> { documentId, handle, name, diskHash, lastModified, used }
+    status: null,
+
+    isSupported() {
+        return typeof window.showOpenFilePicker === 'function' &&
+            typeof window.showSaveFilePicker === 'function';
+    },
+
+    init() {
+        this.status = document.getElementById('status-file');
+        if (!this.isSupported()) return;
+
+        this.db = IndexedDbUtils.open(this.DB_NAME, this.STORE_NAME, 'documentId').catch(e => {
+            Logger.warn('File handles will not be remembered:', e);
+            return null;
+        });
+        this.loaded = this.loadRecords();
+
+        // The file may have been changed by another program while we were away
+        window.addEventListener('focus', () => this.checkDisk());
+
+        // Markdown files opened with the installed app (file_handlers in manifest.webmanifest)
+        if ('launchQueue' in window) {
+            window.launchQueue.setConsumer(async (params) => {
+                for (const handle of params.files) {
+                    await this.openHandle(handle);
+                }
+            });
+        }
+    },
+
+    transaction(mode, operation) {
+        return IndexedDbUtils.transaction(this.db, this.STORE_NAME, mode, operation);
+    },
+
+    async loadRecords() {
+        try {
+            const stored = await this.transaction('readonly', store => store.getAll()) || [];
+            stored.forEach(record => {
+                if (DocumentLibrary.find(record.documentId)) {
+                    this.records.set(record.documentId, record);
+                } else {
+                    this.forget(record.documentId);
+                }
+            });
+        } catch (e) {
+            Logger.error('Failed to load remembered files:', e);
+        }
+        this.updateStatus();
+    },
+
+    /**
+     * Link a document to a file, keeping only the most recently used handles
+     */
+    remember(documentId, handle, content, lastModified) {
+        const record = {
+            documentId,
+            handle,
+            name: handle.name,
+            diskHash: this.hash(content),
+            lastModified,
+            used: Date.now()
+        };
+        this.records.set(documentId, record);
+        this.persist(record);
+
+        if (this.records.size > CONFIG.RECENT_FILES_MAX) {
+            const oldest = [...this.records.values()].sort((a, b) => a.used - b.used)[0];
+            this.forget(oldest.documentId);
+        }
+        this.updateStatus();
+    },
+
+    persist(record) {
+        this.transaction('readwrite', store => store.put(record)).catch(e => {
+            Logger.error('Failed to remember file handle:', e);
+        });
+    },
+
+    /**
+     * Unlink a document from its file (called when the document is deleted)
+     */
+    forget(documentId) {
+        this.records.delete(documentId);
+        this.transaction('readwrite', store => store.delete(documentId)).catch(e => {
+            Logger.error('Failed to forget file handle:', e);
+        });
+    },
+
+    /**
+     * Find the document already linked to this file, if any
+     */
+    async findDocument(handle) {
+        for (const record of this.records.values()) {
+            try {
+                if (await record.handle.isSameEntry(handle)) return record.documentId;
+            } catch (e) {
+                // A handle whose file is gone can't match
+            }
+        }
+        return null;
+    },
+
+    /**
+     * Content fingerprint, so the disk text needn't be kept around
+     */
+    hash(text) {
+        return DocumentStats.fingerprintOf(text);
+    },
+
+    /**
+     * Ask for access to a file; only prompts when called from a user action
+     */
+    async hasPermission(handle, mode, prompt = true) {
+        const options = { mode };
+        if (await handle.queryPermission(options) === 'granted') return true;
+        return prompt && await handle.requestPermission(options) === 'granted';
+    },
+
+    /**
+     * Ignore a cancelled picker; report anything else
+     */
+    reportPickerError(e) {
+        if (e.name === 'AbortError') return;
+        Logger.error('File picker failed:', e);
+        alert('Could not open the file picker.');
+    },
+
+    async open() {
+        let handle;
+        try {
+            [handle] = await window.showOpenFilePicker({ types: this.FILE_TYPES });
+        } catch (e) {
+            this.reportPickerError(e);
+            return;
+        }
+        await this.openHandle(handle);
+    },
+
+    /**
+     * Open a file as a linked document
+     * Used by the picker and by files launched from the OS with the installed app
+     */
+    async openHandle(handle) {
+        await this.loaded;
+
+        let file;
+        let content;
+        try {
+            file = await handle.getFile();
+            const error = FileOperations.validateFile(file);
+            if (error) {
+                alert(error);
+                return;
+            }
+            content = await file.text();
+        } catch (e) {
+            Logger.error('Failed to read file:', e);
+            alert(`Failed to read file: ${handle.name}`);
+            return;
+        }
+
+        VersionHistory.snapshot('Before opening file');
+
+        // Reopening a linked file returns to its document instead of adding a copy
+        let documentId = await this.findDocument(handle);
+        if (documentId) {
+            DocumentLibrary.switchTo(documentId);
+            if (AppState.editor.value !== content) {
+                VersionHistory.snapshot('Before reloading from disk');
+                Editor.setValue(content);
+                Editor.updatePreview();
+                Editor.saveToLocalStorage();
+            }
+        } else {
+            documentId = DocumentLibrary.openAsDocument(handle.name, content);
+            if (!documentId) return;
+        }
+
+        this.remember(documentId, handle, content, file.lastModified);
+        document.getElementById('status-save').textContent = 'Loaded';
+    },
+
+    /**
+     * Write the active document to its file, or ask where to save it
+     */
+    async save() {
+        const record = this.records.get(AppState.currentDocumentId);
+        if (!record) {
+            await this.saveAs();
+            return;
+        }
+
+        try {
+            if (!await this.hasPermission(record.handle, 'readwrite')) {
+                Logger.warn(`Write permission denied for ${record.name}, downloading instead`);
+                FileOperations.download(AppState.editor.value, record.name, 'text/markdown');
+                return;
+            }
+            await this.write(AppState.currentDocumentId, record.handle);
+        } catch (e) {
+            Logger.error('Failed to write file:', e);
+            alert(`Could not write to ${record.name}. Choose where to save it instead.`);
+            await this.saveAs();
+        }
+    },
+
+    async saveAs() {
+        let handle;
+        try {
+            handle = await window.showSaveFilePicker({
+                suggestedName: FileOperations.defaultFileName('.md'),
+                types: this.FILE_TYPES
+            });
+        } catch (e) {
+            this.reportPickerError(e);
+            return;
+        }
+
+        try {
+            await this.write(AppState.currentDocumentId, handle);
+        } catch (e) {
+            Logger.error('Failed to write file:', e);
+            alert(`Could not write to ${handle.name}.`);
+            return;
+        }
+
+        // The document takes the name of the file it now lives in
+        DocumentLibrary.setName(AppState.currentDocumentId, handle.name);
+    },
+
+    async write(documentId, handle) {
+        const content = AppState.editor.value;
+        const writable = await handle.createWritable();
+        await writable.write(content);
+        await writable.close();
+
+        const file = await handle.getFile();
+        this.remember(documentId, handle, content, file.lastModified);
+        Editor.saveToLocalStorage();
+        document.getElementById('status-save').textContent = `Saved to ${handle.name}`;
+    },
+
+    /**
+     * Re-read the active file's fingerprint if it changed on disk
+     * Never prompts - without standing read permission the last known state is kept
+     */
+    async checkDisk() {
+        const record = this.records.get(AppState.currentDocumentId);
+        if (!record) return;
+
+        try {
+            if (!await this.hasPermission(record.handle, 'read', false)) return;
+            const file = await record.handle.getFile();
+            if (file.lastModified === record.lastModified) return;
+
+            record.diskHash = this.hash(await file.text());
+            record.lastModified = file.lastModified;
+            this.persist(record);
+            this.updateStatus();
+        } catch (e) {
+            Logger.warn(`Could not check ${record.name} on disk:`, e);
+        }
+    },
+
+    /**
+     * Show the linked file in the status bar, marked when the editor differs from disk
+     */
+    updateStatus() {
+        if (!this.status) return;
+
+        const record = this.records.get(AppState.currentDocumentId);
+        this.status.hidden = !record;
+        if (!record) return;
+
+        const dirty = DocumentStats.fingerprint(AppState.editor.value) !== record.diskHash;
+        this.status.textContent = dirty ? `${record.name} (modified)` : record.name;
+        this.status.title = dirty ? 'The editor differs from the file on disk' : 'Matches the file on disk';
+        this.status.classList.toggle('is-dirty', dirty);
+    }
+};
+
+// ============================================
+// Asset Store (pasted and dropped images)
+// ============================================
+
+/**
+ * Images pasted or dropped into the editor are kept in IndexedDB so documents
+ * work offline. Markdown refers to them as "asset:<id>", where the id is derived
+ * from the image bytes: the same image is stored once and its reference never
+ * changes. The preview shows assets through blob: URLs; exports inline them.
+ */
+const AssetStore = {
+    DB_NAME: 'nousmd-assets',
+    STORE_NAME: 'assets',
+    URL_PATTERN: /^asset:([a-z0-9]{8,64})$/,
+    // SVG is left out: it is a document format, not just pixels
+    TYPES: {
+        'image/png': 'PNG',
+        'image/jpeg': 'JPEG',
+        'image/gif': 'GIF',
+        'image/webp': 'WebP'
+    },
+
+    db: null,                // Promise<IDBDatabase|null>
+    objectUrls: new Map(),   // id -> blob: URL, created once per session
+
+    init() {
+        this.db = IndexedDbUtils.open(this.DB_NAME, this.STORE_NAME, 'id').catch(e => {
+            Logger.warn('Pasted images cannot be stored:', e);
+            return null;
+        });
+
+        AppState.editor.addEventListener('paste', (e) => {
+            const data = e.clipboardData;
+            const files = Array.from(data ? data.files : []);
+            // Copying from Office or a web page gives text alongside an image
+            // of it; the text is what the user meant, so the browser pastes it
+            if (files.length === 0 || Array.from(data.types).includes('text/plain')) return;
+            e.preventDefault();
+            this.insertFiles(files);
+        });
+
+        AppState.editor.addEventListener('dragover', (e) => {
+            if (!e.dataTransfer || !Array.from(e.dataTransfer.types).includes('Files')) return;
+            e.preventDefault();
+            e.dataTransfer.dropEffect = 'copy';
+        });
+
+        AppState.editor.addEventListener('drop', (e) => {
+            const files = Array.from(e.dataTransfer ? e.dataTransfer.files : []);
+            if (files.length === 0) return;
+            e.preventDefault();
+            this.insertFiles(files);
+        });
+    },
+
+    /**
+     * @returns {string|null} - The asset id referenced by an "asset:<id>" URL
+     */
+    idFromUrl(url) {
+        const match = typeof url === 'string' ? url.trim().match(this.URL_PATTERN) : null;
+        return match ? match[1] : null;
+    },
+
+    /**
+     * Content-derived id: the first 8 bytes of the SHA-256 digest, in hex
+     * Falls back to a random id where SubtleCrypto is unavailable
+     */
+    async createId(blob) {
+        if (window.crypto && crypto.subtle) {
+            const digest = await crypto.subtle.digest('SHA-256', await blob.arrayBuffer());
+            return Array.from(new Uint8Array(digest).slice(0, 8))
+                .map(byte => byte.toString(16).padStart(2, '0'))
+                .join('');
+        }
+        return DocumentLibrary.generateId();
+    },
+
+    /**
+     * Validate and store an image
+     *
+     * @param {File} file - Pasted or dropped file
+     * @returns {Promise<string>} - The asset id
+     * @throws {Error} - With a user-facing message when the image is rejected
+     */
+    async add(file) {
+        if (!this.TYPES[file.type]) {
+            const allowed = Object.values(this.TYPES).join(', ');
+            throw new Error(`Unsupported type (${file.type || 'unknown'}). Allowed: ${allowed}.`);
+        }
+        if (file.size > CONFIG.ASSET_MAX_SIZE) {
+            const size = (file.size / 1024 / 1024).toFixed(1);
+            throw new Error(`Too large (${size} MB). Maximum size is ${CONFIG.ASSET_MAX_SIZE / 1024 / 1024} MB.`);
+        }
+        if (!await this.db) {
+            throw new Error('Image storage is unavailable in this browser.');
+        }
+
+        const id = await this.createId(file);
+        try {
+            await IndexedDbUtils.transaction(this.db, this.STORE_NAME, 'readwrite', store => store.put({
+                id,
+                type: file.type,
+                size: file.size,
+                blob: file,
+                created: new Date().toISOString()
+            }));
+        } catch (e) {
+            Logger.error('Failed to store image:', e);
+            throw new Error('Could not be stored. Browser storage may be full.');
+        }
+        return id;
+    },
+
+    async get(id) {
+        return IndexedDbUtils.transaction(this.db, this.STORE_NAME, 'readonly', store => store.get(id));
+    },
+
+    /**
+     * Store files and insert an image reference for each at the cursor
+     */
+    async insertFiles(files) {
+        const references = [];
+        const errors = [];
+
+        for (const file of files) {
+            try {
+                const id = await this.add(file);
+                references.push(`![${this.altText(file.name)}](asset:${id})`);
+            } catch (e) {
+                errors.push(`${file.name || 'Image'}: ${e.message}`);
+            }
+        }
+
+        if (references.length > 0) {
+            const start = AppState.editor.selectionStart;
+            const end = AppState.editor.selectionEnd;
+            Editor.replaceRange(start, end, references.join('\n\n'));
+            AppState.editor.focus();
+        }
+
+        if (errors.length > 0) {
+            alert(`Could not add ${errors.length === 1 ? 'an image' : `${errors.length} images`}:\n\n${errors.join('\n')}`);
+        }
+    },
+
+    /**
+     * File name without extension, safe inside "![...]"
+     */
+    altText(fileName) {
+        const base = (fileName || '').replace(/\.[^.]+$/, '').replace(/[[\]\\]/g, '').trim();
+        return base || 'image';
+    },
+
+    /**
+     * Point every asset image in a rendered container at its blob: URL
+     * Cached URLs are set synchronously, so re-renders don't flicker
+     */
+    resolveImages(container) {
+        container.querySelectorAll('img[data-asset]').forEach(img => {
+            const id = img.getAttribute('data-asset');
+            if (this.objectUrls.has(id)) {
+                img.src = this.objectUrls.get(id);
+                return;
+            }
+
+            this.objectUrl(id).then(url => {
+                if (url) {
+                    img.src = url;
+                } else {
+                    img.classList.add('asset-missing');
+                    img.title = 'Image not found in this browser';
+                }
+            });
+        });
+    },
+
+    async objectUrl(id) {
+        try {
+            const record = await this.get(id);
+            if (!record) return null;
+            // Another render may have created it while we waited
+            if (!this.objectUrls.has(id)) {
+                this.objectUrls.set(id, URL.createObjectURL(record.blob));
+            }
+            return this.objectUrls.get(id);
+        } catch (e) {
+            Logger.error(`Failed to load image ${id}:`, e);
+            return null;
+        }
+    },
+
+    dataUrl(blob) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader.onerror = () => reject(reader.error);
+            reader.readAsDataURL(blob);
+        });
+    },
+
+    /**
+     * Replace asset references in rendered HTML with data: URLs for export
+     *
+     * @param {string} html - HtmlRenderer output
+     * @returns {Promise<{ html: string, missing: number }>} - Missing images keep only their alt text
+     */
+    async inlineImages(html) {
+        const ids = new Set();
+        html.replace(/<img data-asset="([a-z0-9]+)"/g, (match, id) => ids.add(id));
+
+        const urls = new Map();
+        for (const id of ids) {
+            try {
+                const record = await this.get(id);
+                if (record) urls.set(id, await this.dataUrl(record.blob));
+            } catch (e) {
+                Logger.error(`Failed to inline image ${id}:`, e);
+            }
+        }
+
+        return {
+            html: html.replace(/<img data-asset="([a-z0-9]+)"/g, (match, id) =>
+                urls.has(id) ? `<img src="${urls.get(id)}"` : '<img'),
+            missing: ids.size - urls.size
+        };
+    }
+};
+
+// ============================================
+// Document Library
+// ============================================
+
+const DocumentLibrary = {
+    STORAGE_KEYS: {
+        index: 'nousmd-documents',
+        active: 'nousmd-active-document',
+        contentPrefix: 'nousmd-doc-',
+        // Single-slot storage used before the library existed
+        legacyContent: 'nousmd-content',
+        legacyTimestamp: 'nousmd-timestamp'
+    },
+    // Document kept in the single slot when it could not be moved into the library
+    LEGACY_ID: 'legacy',
+
+    documents: [],   // [{ id, name, updated }] in creation order
+    sidebar: null,
+    list: null,
+
+    init() {
+        this.sidebar = document.getElementById('document-sidebar');
+        this.list = document.getElementById('document-list');
+
+        document.getElementById('document-new').addEventListener('click', () => this.createNew());
+        CommandPalette.register({ id: 'new-document', label: 'New document', run: () => this.createNew() });
+
+        // One delegated handler for every document row
+        this.list.addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-doc-action]');
+            if (!button) return;
+
+            const id = button.closest('[data-doc-id]').getAttribute('data-doc-id');
+            const action = button.getAttribute('data-doc-action');
+            if (action === 'open') this.switchTo(id);
+            if (action === 'rename') this.rename(id);
+            if (action === 'duplicate') this.duplicate(id);
+            if (action === 'delete') this.remove(id);
+        });
+
+        this.render();
+    },
+
+    /**
+     * Read the document index, migrating single-slot content on first load
+     * Sets the active document in AppState
+     */
+    load() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(this.STORAGE_KEYS.index));
+            this.documents = Array.isArray(stored) ? stored : [];
+        } catch (e) {
+            Logger.error('Document index is corrupt, starting fresh:', e);
+            this.documents = [];
+        }
+
+        if (this.documents.length === 0) this.migrateLegacy();
+
+        const activeId = localStorage.getItem(this.STORAGE_KEYS.active);
+        this.setActive(this.find(activeId) ? activeId : this.documents[0].id);
+    },
+
+    /**
+     * Move single-slot content into the library
+     * The old slot is emptied first - a large document may not fit in storage
+     * twice. If it still can't be moved, the document stays in the old slot and
+     * is edited there.
+     */
+    migrateLegacy() {
+        const legacy = localStorage.getItem(this.STORAGE_KEYS.legacyContent) || '';
+        localStorage.removeItem(this.STORAGE_KEYS.legacyContent);
+        try {
+            this.create('untitled.md', legacy);
+            localStorage.removeItem(this.STORAGE_KEYS.legacyTimestamp);
+            if (legacy) Logger.info('Migrated saved content into the document library');
+        } catch (e) {
+            Logger.error('Could not move saved content into the document library, keeping it in place:', e);
+            if (legacy) localStorage.setItem(this.STORAGE_KEYS.legacyContent, legacy);
+            this.documents = [{ id: this.LEGACY_ID, name: 'untitled.md', updated: new Date().toISOString() }];
+            try {
+                this.saveIndex();
+            } catch (indexError) {
+                // Still usable for this session; the next load tries again
+            }
+        }
+    },
+
+    find(id) {
+        return this.documents.find(doc => doc.id === id) || null;
+    },
+
+    contentKey(id) {
+        return id === this.LEGACY_ID ? this.STORAGE_KEYS.legacyContent : this.STORAGE_KEYS.contentPrefix + id;
+    },
+
+    readContent(id) {
+        return localStorage.getItem(this.contentKey(id)) || '';
+    },
+
+    /**
+     * Persist a document's content; throws if storage is full or the document is unknown
+     */
+    writeContent(id, content) {
+        const doc = this.find(id);
+        if (!doc) throw new Error(`No document with id "${id}"`);
+
+        localStorage.setItem(this.contentKey(id), content);
+        doc.updated = new Date().toISOString();
+        this.saveIndex();
+    },
+
+    saveIndex() {
+        localStorage.setItem(this.STORAGE_KEYS.index, JSON.stringify(this.documents));
+    },
+
+    /**
+     * @returns {boolean} - Whether a storage error means localStorage is full
+     */
+    isStorageFull(error) {
+        return Boolean(error) && (error.name === 'QuotaExceededError' || error.name === 'NS_ERROR_DOM_QUOTA_REACHED');
+    },
+
+    setActive(id) {
+        const doc = this.find(id);
+        AppState.currentDocumentId = id;
+        AppState.currentFileName = doc.name;
+        try {
+            localStorage.setItem(this.STORAGE_KEYS.active, id);
+        } catch (e) {
+            Logger.warn('Could not remember the active document:', e);
+        }
+    },
+
+    generateId() {
+        return `${Date.now().toString(36)}${Math.random().toString(36).substring(2, 8)}`;
+    },
+
+    /**
+     * Make a name unique within the library: "notes.md" -> "notes 2.md"
+     */
+    uniqueName(name) {
+        const names = new Set(this.documents.map(doc => doc.name));
+        if (!names.has(name)) return name;
+
+        const dot = name.lastIndexOf('.');
+        const base = dot > 0 ? name.substring(0, dot) : name;
+        const extension = dot > 0 ? name.substring(dot) : '';
+        let counter = 2;
+        while (names.has(`${base} ${counter}${extension}`)) counter++;
+        return `${base} ${counter}${extension}`;
+    },
+
+    /**
+     * Add a document to the library (does not switch to it)
+     *
+     * @returns {Object} - The new index entry
+     */
+    create(name, content = '') {
+        const doc = { id: this.generateId(), name: this.uniqueName(name), updated: new Date().toISOString() };
+        // Nothing is listed until both writes succeed
+        localStorage.setItem(this.contentKey(doc.id), content);
+        this.documents.push(doc);
+        try {
+            this.saveIndex();
+        } catch (e) {
+            this.documents.pop();
+            localStorage.removeItem(this.contentKey(doc.id));
+            throw e;
+        }
+        return doc;
+    },
+
+    /**
+     * Make a document active and load it into the editor
+     * Pending changes to the current document are saved first
+     */
+    switchTo(id) {
+        if (!this.find(id)) return;
+
+        if (AppState.currentDocumentId && this.find(AppState.currentDocumentId)) {
+            Editor.saveToLocalStorage();
+        }
+
+        this.setActive(id);
+        AppState.editor.value = this.readContent(id);
+        EditHistory.attach(id);
+        Editor.updatePreview();
+        document.getElementById('status-save').textContent = 'Saved';
+        clearTimeout(AppState.saveTimeout);
+        this.render();
+        AppState.editor.focus();
+    },
+
+    createNew() {
+        try {
+            this.switchTo(this.create('untitled.md').id);
+        } catch (e) {
+            Logger.error('Failed to create document:', e);
+            alert('Could not create a new document. Browser storage may be full.');
+        }
+    },
+
+    /**
+     * Store opened file content as a new document and switch to it
+     *
+     * @returns {string|null} - The new document's id, or null if it couldn't be stored
+     */
+    openAsDocument(name, content) {
+        try {
+            const doc = this.create(name, content);
+            this.switchTo(doc.id);
+            return doc.id;
+        } catch (e) {
+            Logger.error('Failed to store opened file:', e);
+            alert(`Could not store ${name}. Browser storage may be full.`);
+            return null;
+        }
+    },
+
+    async rename(id) {
+        const doc = this.find(id);
+        if (!doc) return;
+
+        const input = await ModalDialog.prompt(
+            'Rename Document',
+            'Enter a new name for this document:',
+            'Name',
+            doc.name
+        );
+        const name = input ? input.trim() : '';
+        if (!name) return;
+
+        const extension = name.substring(name.lastIndexOf('.')).toLowerCase();
+        this.setName(id, CONFIG.ALLOWED_FILE_TYPES.includes(extension) ? name : `${name}.md`);
+    },
+
+    setName(id, name) {
+        const doc = this.find(id);
+        if (!doc) return;
+
+        doc.name = name;
+        this.saveIndex();
+
+        if (id === AppState.currentDocumentId) {
+            AppState.currentFileName = doc.name;
+        }
+        this.render();
+    },
+
+    duplicate(id) {
+        const doc = this.find(id);
+        if (!doc) return;
+
+        // Duplicate what's on screen, including unsaved edits
+        const content = id === AppState.currentDocumentId ? AppState.editor.value : this.readContent(id);
+        const dot = doc.name.lastIndexOf('.');
+        const copyName = dot > 0 ? `${doc.name.substring(0, dot)} copy${doc.name.substring(dot)}` : `${doc.name} copy`;
+
+        try {
+            this.switchTo(this.create(copyName, content).id);
+        } catch (e) {
+            Logger.error('Failed to duplicate document:', e);
+            alert('Could not duplicate the document. Browser storage may be full.');
+        }
+    },
+
+    remove(id) {
+        const doc = this.find(id);
+        if (!doc) return;
+        if (!confirm(`Delete "${doc.name}"? This cannot be undone.`)) return;
+
+        const index = this.documents.indexOf(doc);
+        this.documents.splice(index, 1);
+        localStorage.removeItem(this.contentKey(id));
+        VersionHistory.removeAll(id);
+        FileHandles.forget(id);
+        EditHistory.forget(id);
+
+        // The library is never empty
+        if (this.documents.length === 0) {
+            this.create('untitled.md');
+        }
+        this.saveIndex();
+
+        if (id === AppState.currentDocumentId) {
+            AppState.currentDocumentId = null;
+            this.switchTo(this.documents[Math.min(index, this.documents.length - 1)].id);
+        } else {
+            this.render();
+        }
+    },
+
+    toggleSidebar() {
+        const open = this.sidebar.hidden;
+        this.sidebar.hidden = !open;
+        document.querySelector('[data-action="documents"]').setAttribute('aria-expanded', open);
+        if (open) {
+            this.render();
+            const active = this.list.querySelector('[aria-current="true"]');
+            if (active) active.focus();
+        }
+    },
+
+    /**
+     * Rebuild the sidebar list (DOM API only - names are user content)
+     */
+    render() {
+        if (!this.list) return;
+
+        const actions = [
+            { action: 'rename', label: 'Rename', icon: '<path d="M4 16h3l9-9-3-3-9 9v3z" stroke="currentColor" stroke-width="1.5" stroke-linejoin="round"/>' },
+            { action: 'duplicate', label: 'Duplicate', icon: '<rect x="7" y="7" width="9" height="9" rx="1" stroke="currentColor" stroke-width="1.5"/><path d="M13 4H5a1 1 0 0 0-1 1v8" stroke="currentColor" stroke-width="1.5"/>' },
+            { action: 'delete', label: 'Delete', icon: '<path d="M5 5l10 10M15 5L5 15" stroke="currentColor" stroke-width="1.5" stroke-linecap="round"/>' }
+        ];
+
+        this.list.textContent = '';
+        this.documents.forEach(doc => {
+            const item = document.createElement('li');
+            item.className = 'document-item';
+            item.setAttribute('data-doc-id', doc.id);
+
+            const open = document.createElement('button');
+            open.type = 'button';
+            open.className = 'document-open';
+            open.setAttribute('data-doc-action', 'open');
+            open.textContent = doc.name;
+            open.title = doc.name;
+            if (doc.id === AppState.currentDocumentId) {
+                open.setAttribute('aria-current', 'true');
+                item.classList.add('active');
+            }
+            item.appendChild(open);
+
+            actions.forEach(({ action, label, icon }) => {
+                const button = document.createElement('button');
+                button.type = 'button';
+                button.className = 'document-action';
+                button.setAttribute('data-doc-action', action);
+                button.setAttribute('aria-label', `${label} ${doc.name}`);
+                button.title = label;
+                // Static markup - no user content
+                button.innerHTML = `<svg width="16" height="16" viewBox="0 0 20 20" fill="none" xmlns="http://www.w3.org/2000/svg">${icon}</svg>`;
+                item.appendChild(button);
+            });
+
+            this.list.appendChild(item);
+        });
+    }
+};
+
+// ============================================
+// Line Diff
+// ============================================
+
+const TextDiff = {
+    /**
+     * Smallest single range that turns oldText into newText
+     * Compares in chunks first - native string equality is much faster than a char loop
+     *
+     * @returns {{start: number, removed: string, inserted: string}}
+     */
+    changedRange(oldText, newText) {
+        const CHUNK = 1024;
+        const min = Math.min(oldText.length, newText.length);
+
+        let start = 0;
+        while (start + CHUNK <= min && oldText.substring(start, start + CHUNK) === newText.substring(start, start + CHUNK)) {
+            start += CHUNK;
+        }
+        while (start < min && oldText[start] === newText[start]) start++;
+
+        let oldEnd = oldText.length;
+        let newEnd = newText.length;
+        while (oldEnd - CHUNK >= start && newEnd - CHUNK >= start &&
+            oldText.substring(oldEnd - CHUNK, oldEnd) === newText.substring(newEnd - CHUNK, newEnd)) {
+            oldEnd -= CHUNK;
+            newEnd -= CHUNK;
+        }
+        while (oldEnd > start && newEnd > start && oldText[oldEnd - 1] === newText[newEnd - 1]) {
+            oldEnd--;
+            newEnd--;
+        }
+
+        return { start, removed: oldText.substring(start, oldEnd), inserted: newText.substring(start, newEnd) };
+    },
+
+    /**
+     * changedRange in whole lines
+     * Lines first..oldLast of oldText became `lines`, which are lines first..newLast of newText
+     *
+     * @returns {{first: number, oldLast: number, newLast: number, lines: string[]}}
+     */
+    changedLines(oldText, newText) {
+        const { start, removed, inserted } = this.changedRange(oldText, newText);
+        const first = this.countNewlines(newText, 0, start);
+        const lineStart = start === 0 ? 0 : newText.lastIndexOf('\n', start - 1) + 1;
+        const lineEnd = newText.indexOf('\n', start + inserted.length);
+
+        return {
+            first,
+            oldLast: first + this.countNewlines(removed, 0, removed.length),
+            newLast: first + this.countNewlines(inserted, 0, inserted.length),
+            lines: newText.substring(lineStart, lineEnd === -1 ? newText.length : lineEnd).split('\n')
+        };
+    },
+
+    /**
+     * Apply changedLines to an array of the old text's lines
+     *
+     * @returns {string[]} - Lines of the new text (the same array, unless the change was large)
+     */
+    spliceLines(lines, change) {
+        const count = change.oldLast - change.first + 1;
+        // Spreading a pasted document into splice() would overflow the argument limit
+        if (change.lines.length > 10000) {
+            return lines.slice(0, change.first).concat(change.lines, lines.slice(change.first + count));
+        }
+        lines.splice(change.first, count, ...change.lines);
+        return lines;
+    },
+
+    countNewlines(text, from, to) {
+        let count = 0;
+        for (let i = text.indexOf('\n', from); i !== -1 && i < to; i = text.indexOf('\n', i + 1)) count++;
+        return count;
+    },
+
+    /**
+     * Line-level diff (Myers' O(ND) algorithm)
+     *
+     * @param {string} oldText - Original text
+     * @param {string} newText - Changed text
+     * @returns {Array<{type: 'equal'|'insert'|'delete', line: string}>} - Edit script
+     */
+    diffLines(oldText, newText) {
+        const a = oldText.split('\n');
+        const b = newText.split('\n');
+
+        // Trim the common prefix and suffix - most edits are local
+        let start = 0;
+        while (start < a.length && start < b.length && a[start] === b[start]) start++;
+        let endA = a.length;
+        let endB = b.length;
+        while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+            endA--;
+            endB--;
+        }
+
+        const equal = line => ({ type: 'equal', line });
+        const middleA = a.slice(start, endA);
+        const middleB = b.slice(start, endB);
+        const middle = this.myers(middleA, middleB) || [
+            // Too many edits to diff cheaply - show a full replacement
+            ...middleA.map(line => ({ type: 'delete', line })),
+            ...middleB.map(line => ({ type: 'insert', line }))
+        ];
+
+        return [...a.slice(0, start).map(equal), ...middle, ...a.slice(endA).map(equal)];
+    },
+
+    /**
+     * @returns {Array|null} - Edit script, or null if it needs more than HISTORY_DIFF_MAX_EDITS edits
+     */
+    myers(a, b) {
+        const n = a.length;
+        const m = b.length;
+        if (n === 0) return b.map(line => ({ type: 'insert', line }));
+        if (m === 0) return a.map(line => ({ type: 'delete', line }));
+
+        const offset = n + m + 1;
+        const v = new Int32Array(2 * offset + 1);
+        const trace = [];
+        const limit = Math.min(n + m, CONFIG.HISTORY_DIFF_MAX_EDITS);
+
+        for (let d = 0; d <= limit; d++) {
+            // Keep only diagonals -d-1..d+1 of the previous step for backtracking
+            trace.push(v.slice(offset - d - 1, offset + d + 2));
+
+            for (let k = -d; k <= d; k += 2) {
+                let x = (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1]))
+                    ? v[offset + k + 1]
+                    : v[offset + k - 1] + 1;
+                let y = x - k;
+                while (x < n && y < m && a[x] === b[y]) {
+                    x++;
+                    y++;
+                }
+                v[offset + k] = x;
+
+                if (x >= n && y >= m) {
+                    return this.backtrack(trace, a, b);
+                }
+            }
+        }
+
+        return null;
+    },
+
+    backtrack(trace, a, b) {
+        const edits = [];
+        let x = a.length;
+        let y = b.length;
+
+        for (let d = trace.length - 1; d >= 0; d--) {
+            const previous = trace[d];
+            const at = k => previous[k + d + 1];
+            const k = x - y;
+            const prevK = (k === -d || (k !== d && at(k - 1) < at(k + 1))) ? k + 1 : k - 1;
+            const prevX = at(prevK);
+            const prevY = prevX - prevK;
+
+            while (x > prevX && y > prevY) {
+                edits.push({ type: 'equal', line: a[x - 1] });
+                x--;
+                y--;
+            }
+            if (d > 0) {
+                if (x === prevX) {
+                    edits.push({ type: 'insert', line: b[y - 1] });
+                    y--;
+                } else {
+                    edits.push({ type: 'delete', line: a[x - 1] });
+                    x--;
+                }
+            }
+        }
+
+        return edits.reverse();
+    }
+};
+
+// ============================================
+// Version History
+// ============================================
+
+const VersionHistory = {
+    STORAGE_PREFIX: 'nousmd-history-',
+
+    panel: null,
+    list: null,
+    diffView: null,
+    restoreButton: null,
+    selectedId: null,
+    lastSnapshotAt: {},     // { [docId]: ms } - time of each document's newest snapshot this session
+
+    init() {
+        this.panel = document.getElementById('history-panel');
+        this.list = document.getElementById('history-list');
+        this.diffView = document.getElementById('history-diff');
+        this.restoreButton = document.getElementById('history-restore');
+
+        this.panel.querySelector('.panel-close').addEventListener('click', () => this.togglePanel());
+
+        this.list.addEventListener('click', (e) => {
+            const item = e.target.closest('[data-snapshot-id]');
+            if (item) this.select(item.getAttribute('data-snapshot-id'));
+        });
+
+        this.restoreButton.addEventListener('click', () => this.restore(this.selectedId));
+    },
+
+    /**
+     * Snapshots for a document, oldest first: [{ id, timestamp, reason, content }]
+     */
+    read(docId) {
+        try {
+            const stored = JSON.parse(localStorage.getItem(this.STORAGE_PREFIX + docId));
+            return Array.isArray(stored) ? stored : [];
+        } catch (e) {
+            Logger.error('History is corrupt, discarding:', e);
+            return [];
+        }
+    },
+
+    /**
+     * Every stored history, by document id
+     *
+     * @returns {Map<string, Array>}
+     */
+    readAll() {
+        const histories = new Map();
+        for (let i = 0; i < localStorage.length; i++) {
+            const key = localStorage.key(i);
+            if (key && key.startsWith(this.STORAGE_PREFIX)) {
+                const docId = key.substring(this.STORAGE_PREFIX.length);
+                histories.set(docId, this.read(docId));
+            }
+        }
+        return histories;
+    },
+
+    /**
+     * Remove the oldest snapshot of any document from `histories` (not from storage)
+     *
+     * @returns {{docId: string, snapshot: Object}|null} - What was removed, or null if nothing is left
+     */
+    dropOldest(histories) {
+        let oldestId = null;
+        histories.forEach((snapshots, docId) => {
+            if (snapshots.length > 0 &&
+                (oldestId === null || snapshots[0].timestamp < histories.get(oldestId)[0].timestamp)) {
+                oldestId = docId;
+            }
+        });
+        return oldestId === null ? null : { docId: oldestId, snapshot: histories.get(oldestId).shift() };
+    },
+
+    store(docId, snapshots) {
+        if (snapshots.length > 0) {
+            localStorage.setItem(this.STORAGE_PREFIX + docId, JSON.stringify(snapshots));
+        } else {
+            localStorage.removeItem(this.STORAGE_PREFIX + docId);
+        }
+    },
+
+    /**
+     * Persist a document's snapshots within the retention limits
+     * HISTORY_MAX_CHARS is shared by all documents, so the oldest snapshots of
+     * any document make room; when storage is full, more are dropped until it fits
+     */
+    write(docId, snapshots) {
+        while (snapshots.length > CONFIG.HISTORY_MAX_SNAPSHOTS) snapshots.shift();
+
+        const histories = this.readAll();
+        histories.set(docId, snapshots);
+        const changed = new Set([docId]);
+        let size = 0;
+        let count = 0;
+        histories.forEach(list => list.forEach(snap => {
+            size += snap.content.length;
+            count++;
+        }));
+        // The newest snapshot is kept even when it alone is over the limit
+        while (count > 1 && size > CONFIG.HISTORY_MAX_CHARS) {
+            const dropped = this.dropOldest(histories);
+            size -= dropped.snapshot.content.length;
+            count--;
+            changed.add(dropped.docId);
+        }
+
+        for (;;) {
+            try {
+                changed.forEach(id => this.store(id, histories.get(id)));
+                return;
+            } catch (e) {
+                Logger.warn('Storage full, dropping oldest snapshot');
+                const dropped = this.dropOldest(histories);
+                if (!dropped) return;
+                changed.add(dropped.docId);
+            }
+        }
+    },
+
+    /**
+     * Make room for document content by dropping the oldest snapshot of any document
+     *
+     * @param {Map} histories - From readAll(), reused across repeated calls
+     * @returns {boolean} - False when there is no history left to drop
+     */
+    freeSpace(histories) {
+        const dropped = this.dropOldest(histories);
+        if (!dropped) return false;
+        try {
+            this.store(dropped.docId, histories.get(dropped.docId));
+        } catch (e) {
+            localStorage.removeItem(this.STORAGE_PREFIX + dropped.docId);
+            histories.set(dropped.docId, []);
+        }
+        if (dropped.docId === AppState.currentDocumentId && this.panel && !this.panel.hidden) this.render();
+        return true;
+    },
+
+    /**
+     * Record the active document's current content
+     *
+     * @param {string} reason - Shown in the history list ("Auto-save", "Before clear", ...)
+     */
+    snapshot(reason) {
+        const docId = AppState.currentDocumentId;
+        const content = AppState.editor.value;
+        if (!docId || !content.trim()) return;
+
+        const snapshots = this.read(docId);
+        const last = snapshots[snapshots.length - 1];
+        if (last && last.content === content) {
+            this.lastSnapshotAt[docId] = new Date(last.timestamp).getTime();
+            return;
+        }
+
+        const now = Date.now();
+        snapshots.push({
+            id: `${now.toString(36)}${Math.random().toString(36).substring(2, 6)}`,
+            timestamp: new Date(now).toISOString(),
+            reason,
+            content
+        });
+        this.write(docId, snapshots);
+        this.lastSnapshotAt[docId] = now;
+
+        if (!this.panel.hidden) this.render();
+    },
+
+    /**
+     * Called after each auto-save; snapshots at most once per HISTORY_INTERVAL_MS
+     * Storage is read only the first time per document, to learn when the last
+     * session's newest snapshot was taken; after that the time is kept in memory.
+     */
+    snapshotIfDue() {
+        const docId = AppState.currentDocumentId;
+        if (!docId) return;
+
+        if (!(docId in this.lastSnapshotAt)) {
+            const snapshots = this.read(docId);
+            const last = snapshots[snapshots.length - 1];
+            this.lastSnapshotAt[docId] = last ? new Date(last.timestamp).getTime() : 0;
+        }
+        if (Date.now() - this.lastSnapshotAt[docId] >= CONFIG.HISTORY_INTERVAL_MS) {
+            this.snapshot('Auto-save');
+        }
+    },
+
+    removeAll(docId) {
+        localStorage.removeItem(this.STORAGE_PREFIX + docId);
+        delete this.lastSnapshotAt[docId];
+    },
+
+    restore(snapshotId) {
+        const snap = this.read(AppState.currentDocumentId).find(s => s.id === snapshotId);
+        if (!snap) return;
+
+        // Keep the current text so the restore itself can be reverted
+        this.snapshot('Before restore');
+        Editor.setValue(snap.content);
+        Editor.updatePreview();
+        Editor.saveToLocalStorage();
+        document.getElementById('status-save').textContent = 'Restored';
+        this.render();
+    },
+
+    togglePanel() {
+        const open = this.panel.hidden;
+        this.panel.hidden = !open;
+        document.querySelector('[data-action="history"]').setAttribute('aria-expanded', open);
+        if (open) {
+            this.selectedId = null;
+            this.render();
+            const first = this.list.querySelector('button');
+            if (first) first.focus();
+        }
+    },
+
+    /**
+     * Rebuild the snapshot list, newest first
+     */
+    render() {
+        const snapshots = this.read(AppState.currentDocumentId).reverse();
+        this.list.textContent = '';
+
+        if (snapshots.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'history-empty';
+            empty.textContent = 'No snapshots yet. They are taken as you write, and before clearing or opening a file.';
+            this.list.appendChild(empty);
+        }
+
+        snapshots.forEach(snap => {
+            const item = document.createElement('li');
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'history-item';
+            button.setAttribute('data-snapshot-id', snap.id);
+            if (snap.id === this.selectedId) button.setAttribute('aria-current', 'true');
+
+            const time = document.createElement('span');
+            time.className = 'history-time';
+            time.textContent = new Date(snap.timestamp).toLocaleString();
+
+            const reason = document.createElement('span');
+            reason.className = 'history-reason';
+            reason.textContent = snap.reason;
+
+            button.append(time, reason);
+            item.appendChild(button);
+            this.list.appendChild(item);
+        });
+
+        if (!snapshots.some(snap => snap.id === this.selectedId)) {
+            this.selectedId = null;
+        }
+        this.renderDiff();
+    },
+
+    select(snapshotId) {
+        this.selectedId = snapshotId;
+        this.list.querySelectorAll('.history-item').forEach(button => {
+            if (button.getAttribute('data-snapshot-id') === snapshotId) {
+                button.setAttribute('aria-current', 'true');
+            } else {
+                button.removeAttribute('aria-current');
+            }
+        });
+        this.renderDiff();
+    },
+
+    /**
+     * Show the selected snapshot against the current text
+     * Long unchanged stretches collapse to HISTORY_DIFF_CONTEXT lines around each change
+     */
+    renderDiff() {
+        this.diffView.textContent = '';
+        const snap = this.read(AppState.currentDocumentId).find(s => s.id === this.selectedId);
+        this.restoreButton.disabled = !snap;
+
+        if (!snap) {
+            this.diffView.textContent = 'Select a snapshot to compare it with the current text.';
+            return;
+        }
+
+        const edits = TextDiff.diffLines(snap.content, AppState.editor.value);
+        const changed = edits.map(edit => edit.type !== 'equal');
+        if (!changed.includes(true)) {
+            this.diffView.textContent = 'Identical to the current text.';
+            return;
+        }
+
+        const context = CONFIG.HISTORY_DIFF_CONTEXT;
+        const nearChange = index => changed
+            .slice(Math.max(0, index - context), index + context + 1)
+            .includes(true);
+        const markers = { equal: ' ', insert: '+', delete: '-' };
+        let skipped = 0;
+
+        const flushSkipped = () => {
+            if (skipped === 0) return;
+            const gap = document.createElement('div');
+            gap.className = 'diff-line diff-gap';
+            gap.textContent = `⋯ ${skipped} unchanged line${skipped !== 1 ? 's' : ''}`;
+            this.diffView.appendChild(gap);
+            skipped = 0;
+        };
+
+        edits.forEach((edit, index) => {
+            if (edit.type === 'equal' && !nearChange(index)) {
+                skipped++;
+                return;
+            }
+            flushSkipped();
+            const line = document.createElement('div');
+            line.className = `diff-line diff-${edit.type}`;
+            line.textContent = `${markers[edit.type]} ${edit.line}`;
+            this.diffView.appendChild(line);
+        });
+        flushSkipped();
+    }
+};
+
+// ============================================
+// Document Outline
+// ============================================
+
+const Outline = {
+    panel: null,
+    tree: null,
+    headings: [],   // [{ level, text, id, line }] in document order
+    renderedKey: null,
+
+    init() {
+        this.panel = document.getElementById('outline-panel');
+        this.tree = document.getElementById('outline-tree');
+
+        this.panel.querySelector('.panel-close').addEventListener('click', () => this.togglePanel());
+
+        this.tree.addEventListener('click', (e) => {
+            const entry = e.target.closest('[data-heading-id]');
+            if (entry) this.jumpTo(entry.getAttribute('data-heading-id'));
+        });
+
+        // In-document links target the namespaced heading and footnote ids
+        AppState.preview.addEventListener('click', (e) => {
+            const link = e.target.closest('a[href^="#"]');
+            if (!link) return;
+            e.preventDefault();
+            let id;
+            try {
+                id = decodeURIComponent(link.getAttribute('href').slice(1));
+            } catch (err) {
+                return;
+            }
+            this.followLink(id);
+        });
+    },
+
+    /**
+     * Take the headings of a freshly rendered document
+     * Called on every preview render; the panel only redraws when it is open
+     * and the headings actually changed
+     *
+     * @param {Array<{level: number, text: string, id: string, line: number}>} headings
+     */
+    update(headings) {
+        this.headings = headings;
+        if (this.panel && !this.panel.hidden) this.render();
+    },
+
+    togglePanel() {
+        const open = this.panel.hidden;
+        this.panel.hidden = !open;
+        document.querySelector('[data-action="outline"]').setAttribute('aria-expanded', open);
+        if (open) {
+            this.renderedKey = null;
+            this.render();
+            const first = this.tree.querySelector('button');
+            if (first) first.focus();
+        }
+    },
+
+    /**
+     * Rebuild the heading tree; levels nest under the nearest shallower heading
+     */
+    render() {
+        const key = JSON.stringify(this.headings);
+        if (key === this.renderedKey) return;
+        this.renderedKey = key;
+        this.tree.textContent = '';
+
+        if (this.headings.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'outline-empty';
+            empty.textContent = 'No headings yet. Add "# Title" lines to build an outline.';
+            this.tree.appendChild(empty);
+            return;
+        }
+
+        const stack = [{ level: 0, list: this.tree }];
+        this.headings.forEach(heading => {
+            while (stack.length > 1 && stack[stack.length - 1].level >= heading.level) stack.pop();
+
+            let parent = stack[stack.length - 1];
+            if (parent.item && !parent.sublist) {
+                parent.sublist = document.createElement('ul');
+                parent.item.appendChild(parent.sublist);
+            }
+            const list = parent.item ? parent.sublist : parent.list;
+
+            const item = document.createElement('li');
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'outline-item';
+            button.setAttribute('data-heading-id', heading.id);
+            button.title = `Line ${heading.line + 1}`;
+            button.textContent = heading.text || '(untitled)';
+            item.appendChild(button);
+            list.appendChild(item);
+
+            stack.push({ level: heading.level, item, sublist: null });
+        });
+    },
+
+    /**
+     * Scroll the preview to a heading and put the editor caret on its source line
+     *
+     * @param {string} id - Heading slug (without the render prefix)
+     */
+    jumpTo(id) {
+        const heading = this.headings.find(h => h.id === id);
+        if (!heading) return;
+
+        const element = document.getElementById(HtmlRenderer.ID_PREFIX + id);
+        if (element) ScrollSync.scrollPreviewTo(element);
+        ScrollSync.revealLine(heading.line, true);
+    },
+
+    /**
+     * Follow an in-document "#id" link: headings move both panes, other
+     * targets (footnotes and their back-references) scroll the preview
+     */
+    followLink(id) {
+        if (this.headings.some(h => h.id === id)) {
+            this.jumpTo(id);
+            return;
+        }
+        const element = document.getElementById(HtmlRenderer.ID_PREFIX + id);
+        if (element && AppState.preview.contains(element)) ScrollSync.scrollPreviewTo(element);
+    }
+};
+
+// ============================================
+// Metadata Panel
+// ============================================
+
+/**
+ * Collapsible table of front-matter fields above the preview
+ */
+const MetadataPanel = {
+    element: null,
+    body: null,
+    data: null,
+
+    init() {
+        this.element = document.getElementById('front-matter');
+        this.body = document.getElementById('front-matter-body');
+        this.render();
+    },
+
+    /**
+     * Called on every preview render with the document's front matter
+     *
+     * @param {Object|null} frontMatter - { data, position }, as in a document AST
+     */
+    update(frontMatter) {
+        this.data = frontMatter ? frontMatter.data : null;
+        if (this.element) this.render();
+    },
+
+    render() {
+        const entries = this.data ? Object.entries(this.data) : [];
+        this.element.hidden = entries.length === 0;
+        this.body.textContent = '';
+
+        entries.forEach(([key, value]) => {
+            const row = document.createElement('tr');
+            const name = document.createElement('th');
+            name.scope = 'row';
+            name.textContent = key;
+            const cell = document.createElement('td');
+            cell.textContent = this.formatValue(value);
+            row.append(name, cell);
+            this.body.appendChild(row);
+        });
+    },
+
+    formatValue(value) {
+        if (value === null) return '';
+        if (Array.isArray(value)) return value.map(item => this.formatValue(item)).join(', ');
+        if (typeof value === 'object') {
+            return Object.entries(value).map(([key, item]) => `${key}: ${this.formatValue(item)}`).join('; ');
+        }
+        return String(value);
+    }
+};
+
+// ============================================
+// Markdown Lint
+// ============================================
+
+/**
+ * Checks the source for common mistakes. check() needs no DOM and runs in
+ * the parser worker after each preview update (see ParserWorker); the rest
+ * shows the problems in the Problems panel, as a count in the status bar and
+ * as underlines in the editor.
+ *
+ * Problems and their fixes are ranges in the text that was checked. Until
+ * the next check arrives they move along with edits, and problems an edit
+ * touches are dropped.
+ */
+const MarkdownLint = {
+    STORAGE_KEY: 'nousmd-lint-rules',
+
+    /**
+     * Rules in settings order; all are on unless switched off
+     */
+    RULES: [
+        { id: 'heading-increment', label: 'Heading levels go up one at a time' },
+        { id: 'duplicate-heading', label: 'Headings are unique' },
+        { id: 'empty-link', label: 'Links have text and a destination' },
+        { id: 'image-alt', label: 'Images have alt text' },
+        { id: 'unsafe-url', label: 'Links are not blocked by the preview' },
+        { id: 'trailing-whitespace', label: 'No trailing whitespace' },
+        { id: 'list-marker', label: 'Bullet lists use one marker' },
+        { id: 'unclosed-fence', label: 'Code fences are closed' }
+    ],
+
+    // Inline link or image: text without brackets, destination (optionally in <>, or with
+    // one level of parentheses), optional title
+    LINK: /(!?)\[([^[\]]*)\]\([ \t]*(<[^<>]*>|(?:[^\s()]|\([^\s()]*\))*)(?:[ \t]+(?:"[^"]*"|'[^']*'|\([^()]*\)))?[ \t]*\)/g,
+    CODE_SPAN: /(`+)(?!`)(.*?[^`])\1(?!`)/g,
+    QUOTE_PREFIX: /^(?: {0,3}>[ \t]?)*/,
+    BULLET: /^([ \t]*)([*+-])(?=[ \t]|$)/,
+
+    disabled: new Set(),   // Ids of the rules switched off
+    text: '',              // Text the problems refer to
+    problems: [],          // Sorted by start
+    panel: null,
+    list: null,
+    statusButton: null,
+    fixAllButton: null,
+
+    init() {
+        this.panel = document.getElementById('problems-panel');
+        this.list = document.getElementById('problems-list');
+        this.statusButton = document.getElementById('status-problems');
+        this.fixAllButton = document.getElementById('problems-fix-all');
+
+        this.panel.querySelector('.panel-close').addEventListener('click', () => this.togglePanel());
+        this.statusButton.addEventListener('click', () => this.togglePanel());
+        this.fixAllButton.addEventListener('click', () => this.fixAll());
+
+        this.list.addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-problem-action]');
+            if (!button) return;
+
+            const problem = this.problems[Number(button.closest('[data-problem]').getAttribute('data-problem'))];
+            if (!problem) return;
+            if (button.getAttribute('data-problem-action') === 'fix') {
+                this.fix(problem);
+            } else {
+                this.reveal(problem);
+            }
+        });
+
+        this.renderRules();
+        this.refresh();
+    },
+
+    /**
+     * Read the switched-off rules; called before the first document loads
+     */
+    load() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(this.STORAGE_KEY));
+            this.disabled = new Set(Array.isArray(stored) ? stored : []);
+        } catch (e) {
+            Logger.error('Stored lint settings are corrupt, using defaults:', e);
+            this.disabled = new Set();
+        }
+    },
+
+    save() {
+        try {
+            if (this.disabled.size > 0) {
+                localStorage.setItem(this.STORAGE_KEY, JSON.stringify([...this.disabled]));
+            } else {
+                localStorage.removeItem(this.STORAGE_KEY);
+            }
+        } catch (e) {
+            Logger.error('Failed to save lint settings:', e);
+        }
+    },
+
+    enabledRules() {
+        return this.RULES.map(rule => rule.id).filter(id => !this.disabled.has(id));
+    },
+
+    /**
+     * Find problems in a document
+     * Lines in front matter and fenced code are only checked for an unclosed fence
+     *
+     * @param {string} text - Markdown source
+     * @param {string[]} rules - Ids of the rules to apply
+     * @returns {Array<{rule: string, line: number, start: number, end: number, message: string,
+     *     fix: {start: number, end: number, text: string}|null}>} - Sorted by start; line is 0-based
+     */
+    check(text, rules) {
+        const problems = [];
+        if (rules.length === 0) return problems;
+
+        const enabled = new Set(rules);
+        const report = (rule, line, start, end, message, fix = null) => {
+            if (enabled.has(rule) && problems.length < CONFIG.LINT_MAX_PROBLEMS) {
+                problems.push({ rule, line, start, end, message, fix });
+            }
+        };
+
+        const { heading, setextUnderline, thematicBreak, definition, footnoteDefinition } = MarkdownParser.PATTERNS;
+        const lines = text.split('\n');
+        const frontMatter = FrontMatter.match(lines);
+        const headings = new Map();   // Heading text -> line it was first used on
+        let level = 0;                // Level of the previous heading
+        let bullet = null;            // First bullet marker in the document
+        let fence = null;
+        let openFence = null;         // Opening line of the current fenced block
+        let paragraph = null;         // Previous line, if it could be the text of a setext heading
+
+        const checkHeading = (newLevel, title, line, start, end, markerStart) => {
+            if (level > 0 && newLevel > level + 1) {
+                // Only "#" headings can take any level
+                const fix = markerStart === null ? null :
+                    { start: markerStart, end: markerStart + newLevel, text: '#'.repeat(level + 1) };
+                report('heading-increment', line, start, end, `Heading level jumps from ${level} to ${newLevel}`, fix);
+            }
+            level = newLevel;
+
+            const key = title.trim().replace(/\s+/g, ' ');
+            if (!key) return;
+            if (headings.has(key)) {
+                report('duplicate-heading', line, start, end, `Duplicate heading "${key}" (first on line ${headings.get(key) + 1})`);
+            } else {
+                headings.set(key, line);
+            }
+        };
+
+        for (let i = 0, offset = 0; i < lines.length; offset += lines[i].length + 1, i++) {
+            const line = lines[i];
+            if (frontMatter && i <= frontMatter.end) continue;
+
+            const nextFence = SyntaxHighlighter.fenceAfter(line, fence);
+            if (fence || nextFence) {
+                if (!fence) openFence = { line: i, start: offset, end: offset + line.length, marker: nextFence };
+                fence = nextFence;
+                paragraph = null;
+                continue;
+            }
+
+            const trailing = line.match(/[ \t]+$/);
+            if (trailing) {
+                // Two or more spaces before another line of text are a hard line break
+                const next = lines[i + 1];
+                const hardBreak = trailing.index > 0 && /^ {2,}$/.test(trailing[0]) &&
+                    next !== undefined && next.trim() !== '';
+                const start = offset + trailing.index;
+                const end = offset + line.length;
+                if (!hardBreak) report('trailing-whitespace', i, start, end, 'Trailing whitespace', { start, end, text: '' });
+            }
+
+            if (!line.trim()) {
+                paragraph = null;
+                continue;
+            }
+
+            const atx = line.match(heading);
+            if (atx) {
+                const markerStart = offset + line.indexOf('#');
+                const title = (atx[2] || '').replace(/(?:^|[ \t]+)#+[ \t]*$/, '');
+                checkHeading(atx[1].length, title, i, markerStart, offset + line.trimEnd().length, markerStart);
+                this.checkLinks(line, i, offset, report);
+                paragraph = null;
+                continue;
+            }
+
+            const underline = paragraph && line.match(setextUnderline);
+            if (underline) {
+                checkHeading(underline[1][0] === '=' ? 1 : 2, paragraph.text, paragraph.line, paragraph.start, paragraph.end, null);
+                paragraph = null;
+                continue;
+            }
+
+            if (thematicBreak.test(line)) {
+                paragraph = null;
+                continue;
+            }
+
+            const quote = line.match(this.QUOTE_PREFIX)[0];
+            const content = line.slice(quote.length);
+            const item = !thematicBreak.test(content) && content.match(this.BULLET);
+            if (item) {
+                const start = offset + quote.length + item[1].length;
+                if (!bullet) {
+                    bullet = item[2];
+                } else if (item[2] !== bullet) {
+                    // No fix: a different bullet starts a new list, so changing it could merge
+                    // two lists, or split one, and change what the preview shows
+                    report('list-marker', i, start, start + 1, `Bullet "${item[2]}" differs from the "${bullet}" used first`);
+                }
+            }
+
+            // Like in the parser, a definition can't interrupt a paragraph
+            const reference = !paragraph && !footnoteDefinition.test(content) && content.match(definition);
+            if (reference) {
+                const url = reference[2].replace(/^<|>$/g, '');
+                const start = offset + quote.length + content.indexOf(reference[2], content.indexOf(']:') + 2);
+                if (!SecurityUtils.sanitizeUrl(url, true)) {
+                    report('unsafe-url', i, start, start + reference[2].length, `The preview blocks the link "${url}"`);
+                }
+                continue;
+            }
+
+            this.checkLinks(line, i, offset, report);
+
+            const indent = line.length - line.trimStart().length;
+            paragraph = quote || item ? null : { line: i, start: offset + indent, end: offset + line.trimEnd().length, text: line };
+        }
+
+        if (fence) {
+            const close = (text.endsWith('\n') ? '' : '\n') + openFence.marker;
+            report('unclosed-fence', openFence.line, openFence.start, openFence.end, 'Code fence is never closed',
+                { start: text.length, end: text.length, text: close });
+        }
+
+        return problems.sort((a, b) => a.start - b.start);
+    },
+
+    /**
+     * Check the inline links and images of a line
+     */
+    checkLinks(line, lineNumber, offset, report) {
+        if (!line.includes('](')) return;
+
+        // Blank out code spans, keeping offsets, so their contents aren't taken for links
+        const masked = line.replace(this.CODE_SPAN, span => ' '.repeat(span.length));
+        const pattern = this.LINK;
+        pattern.lastIndex = 0;
+        let match;
+        while ((match = pattern.exec(masked))) {
+            const [source, image, label, destination] = match;
+            if (masked[match.index - 1] === '\\') continue;
+
+            const start = offset + match.index;
+            const end = start + source.length;
+            const url = destination.replace(/^<|>$/g, '');
+
+            if (image) {
+                if (!label.trim()) report('image-alt', lineNumber, start, end, 'Image has no alt text');
+            } else {
+                if (!label.trim()) {
+                    // The destination makes a readable text
+                    const fix = url ? { start: start + 1, end: start + 1 + label.length, text: url } : null;
+                    report('empty-link', lineNumber, start, end, 'Link has no text', fix);
+                }
+                if (!url) report('empty-link', lineNumber, start, end, 'Link has no destination');
+            }
+
+            // Stored images use asset: URLs, which AssetStore resolves
+            if (url && !(image && AssetStore.idFromUrl(url)) && !SecurityUtils.sanitizeUrl(url, true)) {
+                const what = image ? 'image' : 'link';
+                report('unsafe-url', lineNumber, start, end, `The preview blocks the ${what} "${url}"`);
+            }
+        }
+    },
+
+    /**
+     * Take the problems of a freshly checked version of the document
+     *
+     * @param {Array} problems - From check()
+     * @param {string} text - The text that was checked
+     */
+    show(problems, text) {
+        this.problems = problems;
+        this.text = text;
+        this.rebase(AppState.editor.value);
+        this.refresh();
+        Editor.updateSyntaxHighlight(AppState.editor.value);
+    },
+
+    /**
+     * Move the problems along to an edited text: ranges after the edit shift,
+     * problems whose range or fix the edit touches are dropped
+     *
+     * @returns {boolean} - Whether any problems changed
+     */
+    rebase(text) {
+        if (text === this.text) return false;
+        const before = this.problems.length;
+        if (before === 0) {
+            this.text = text;
+            return false;
+        }
+
+        const { start, removed, inserted } = TextDiff.changedRange(this.text, text);
+        const end = start + removed.length;
+        const delta = inserted.length - removed.length;
+        const lineDelta = TextDiff.countNewlines(inserted, 0, inserted.length) -
+            TextDiff.countNewlines(removed, 0, removed.length);
+        const move = (range) => {
+            if (range.end < start) return range;
+            if (range.start > end) return { ...range, start: range.start + delta, end: range.end + delta };
+            return null;
+        };
+
+        this.problems = this.problems.reduce((kept, problem) => {
+            const moved = move(problem);
+            const fix = problem.fix && move(problem.fix);
+            if (moved && (fix || !problem.fix)) {
+                kept.push({ ...moved, line: moved === problem ? problem.line : problem.line + lineDelta, fix });
+            }
+            return kept;
+        }, []);
+        this.text = text;
+        return true;
+    },
+
+    /**
+     * Underlined ranges for EditorHighlight, merged where problems overlap
+     */
+    underlines(text) {
+        if (this.rebase(text)) this.refresh();
+
+        const ranges = [];
+        this.problems.forEach(problem => {
+            const last = ranges[ranges.length - 1];
+            if (last && problem.start <= last.end) {
+                last.end = Math.max(last.end, problem.end);
+            } else {
+                ranges.push({ start: problem.start, end: problem.end, className: 'lint-problem' });
+            }
+        });
+        return ranges;
+    },
+
+    /**
+     * Update the status bar count and, when open, the panel
+     */
+    refresh() {
+        if (!this.panel) return;
+
+        const count = this.problems.length;
+        const capped = count >= CONFIG.LINT_MAX_PROBLEMS ? '+' : '';
+        this.statusButton.textContent = `${count}${capped} problem${count !== 1 ? 's' : ''}`;
+        this.statusButton.hidden = count === 0;
+        this.fixAllButton.disabled = !this.problems.some(problem => problem.fix);
+
+        if (!this.panel.hidden) this.render();
+    },
+
+    togglePanel() {
+        const open = this.panel.hidden;
+        this.panel.hidden = !open;
+        this.statusButton.setAttribute('aria-expanded', open);
+        if (open) {
+            this.render();
+            const first = this.panel.querySelector('.problem-item button, input');
+            if (first) first.focus();
+        }
+    },
+
+    /**
+     * Rebuild the problem list (DOM API only)
+     */
+    render() {
+        this.list.textContent = '';
+
+        if (this.problems.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'problems-empty';
+            empty.textContent = this.enabledRules().length > 0 ? 'No problems found.' : 'All checks are switched off.';
+            this.list.appendChild(empty);
+            return;
+        }
+
+        this.problems.forEach((problem, index) => {
+            const item = document.createElement('li');
+            item.className = 'problem-item';
+            item.setAttribute('data-problem', index);
+
+            const reveal = document.createElement('button');
+            reveal.type = 'button';
+            reveal.className = 'problem-reveal';
+            reveal.setAttribute('data-problem-action', 'reveal');
+            const line = document.createElement('span');
+            line.className = 'problem-line';
+            line.textContent = `Line ${problem.line + 1}`;
+            reveal.append(line, ' ', problem.message);
+            item.appendChild(reveal);
+
+            if (problem.fix) {
+                const fix = document.createElement('button');
+                fix.type = 'button';
+                fix.className = 'problem-fix';
+                fix.setAttribute('data-problem-action', 'fix');
+                fix.setAttribute('aria-label', `Fix: ${problem.message}`);
+                fix.textContent = 'Fix';
+                item.appendChild(fix);
+            }
+            this.list.appendChild(item);
+        });
+    },
+
+    /**
+     * One checkbox per rule; switching a rule re-checks the document
+     */
+    renderRules() {
+        const rules = document.getElementById('problems-rules');
+        rules.textContent = '';
+
+        this.RULES.forEach(rule => {
+            const item = document.createElement('li');
+            const label = document.createElement('label');
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.checked = !this.disabled.has(rule.id);
+            checkbox.addEventListener('change', () => this.setRule(rule.id, checkbox.checked));
+            label.append(checkbox, ' ', rule.label);
+            item.appendChild(label);
+            rules.appendChild(item);
+        });
+    },
+
+    setRule(id, enabled) {
+        if (enabled) {
+            this.disabled.delete(id);
+        } else {
+            this.disabled.add(id);
+            this.problems = this.problems.filter(problem => problem.rule !== id);
+            this.refresh();
+            Editor.updateSyntaxHighlight(AppState.editor.value);
+        }
+        this.save();
+        ParserWorker.render(AppState.editor.value);
+    },
+
+    /**
+     * Select a problem in the editor and scroll it into view
+     */
+    reveal(problem) {
+        const editor = AppState.editor;
+        editor.focus({ preventScroll: true });
+        editor.setSelectionRange(problem.start, problem.end);
+        const top = EditorHighlight.positionTop(problem.start);
+        editor.scrollTop = Math.max(0, top - editor.clientHeight / 3);
+    },
+
+    fix(problem) {
+        const { start, end, text } = problem.fix;
+        Editor.replaceRange(start, end, text);
+        this.reveal({ start: start + text.length, end: start + text.length });
+    },
+
+    /**
+     * Apply every available fix as one undoable edit
+     * Fixes are applied from the end so earlier ranges stay valid
+     */
+    fixAll() {
+        this.rebase(AppState.editor.value);
+        const fixes = this.problems.filter(problem => problem.fix).map(problem => problem.fix)
+            .sort((a, b) => b.start - a.start);
+        if (fixes.length === 0) return;
+
+        let value = AppState.editor.value;
+        let limit = Infinity;   // Start of the last applied fix; overlapping ones are skipped
+        fixes.forEach(({ start, end, text }) => {
+            if (end > limit) return;
+            value = value.substring(0, start) + text + value.substring(end);
+            limit = start;
+        });
+        Editor.setValue(value);
+    }
+};
+
+// ============================================
+// Find & Replace
+// ============================================
+
+const FindReplace = {
+    panel: null,
+    findInput: null,
+    replaceInput: null,
+    status: null,
+
+    options: {
+        caseSensitive: false,
+        wholeWord: false,
+        regex: false
+    },
+
+    matches: [],         // [{ start, end }] in the current editor text
+    current: -1,         // Index of the selected match
+    error: '',           // Invalid regex message
+    searchedText: null,  // Text and query the matches belong to
+    searchedKey: null,
+
+    init() {
+        this.panel = document.getElementById('find-panel');
+        this.findInput = document.getElementById('find-input');
+        this.replaceInput = document.getElementById('replace-input');
+        this.status = document.getElementById('status-matches');
+
+        this.findInput.addEventListener('input', () => {
+            this.current = -1;
+            this.refresh();
+        });
+
+        this.panel.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                e.preventDefault();
+                this.close();
+            } else if (e.key === 'Enter' && e.target === this.findInput) {
+                e.preventDefault();
+                if (e.shiftKey) this.previous(); else this.next();
+            } else if (e.key === 'Enter' && e.target === this.replaceInput) {
+                e.preventDefault();
+                this.replace();
+            }
+        });
+
+        this.panel.addEventListener('click', (e) => {
+            const toggle = e.target.closest('[data-find-option]');
+            if (toggle) {
+                const option = toggle.getAttribute('data-find-option');
+                this.options[option] = !this.options[option];
+                toggle.setAttribute('aria-pressed', this.options[option]);
+                this.current = -1;
+                this.refresh();
+                return;
+            }
+
+            const button = e.target.closest('[data-find-action]');
+            if (!button) return;
+            const action = button.getAttribute('data-find-action');
+            if (action === 'next') this.next();
+            if (action === 'previous') this.previous();
+            if (action === 'replace') this.replace();
+            if (action === 'replace-all') this.replaceAll();
+            if (action === 'close') this.close();
+        });
+    },
+
+    isOpen() {
+        return Boolean(this.panel) && !this.panel.hidden;
+    },
+
+    /**
+     * Show the panel; a single-line selection becomes the search term
+     *
+     * @param {boolean} focusReplace - Focus the replace field (Ctrl+H)
+     */
+    open(focusReplace) {
+        const { selectionStart, selectionEnd, value } = AppState.editor;
+        const selected = value.substring(selectionStart, selectionEnd);
+        if (selected && !selected.includes('\n')) {
+            this.findInput.value = selected;
+        }
+
+        this.panel.hidden = false;
+        this.status.hidden = false;
+        const field = focusReplace ? this.replaceInput : this.findInput;
+        field.focus();
+        field.select();
+
+        this.current = -1;
+        this.refresh();
+    },
+
+    close() {
+        this.panel.hidden = true;
+        this.status.hidden = true;
+        this.matches = [];
+        this.searchedText = null;
+        Editor.updateSyntaxHighlight(AppState.editor.value);
+        AppState.editor.focus();
+    },
+
+    /**
+     * Build the search regex from the query and options
+     *
+     * @returns {RegExp|null} - Global regex, or null for an empty or invalid query
+     */
+    buildRegex() {
+        const query = this.findInput.value;
+        this.error = '';
+        if (!query) return null;
+
+        let source = this.options.regex ? query : query.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        if (this.options.wholeWord) {
+            source = `\\b(?:${source})\\b`;
+        }
+
+        try {
+            return new RegExp(source, this.options.caseSensitive ? 'g' : 'gi');
+        } catch (e) {
+            this.error = 'Invalid pattern';
+            return null;
+        }
+    },
+
+    /**
+     * Find all matches in text (cached per text and query)
+     */
+    search(text) {
+        const key = JSON.stringify([this.findInput.value, this.options]);
+        if (text === this.searchedText && key === this.searchedKey) return;
+
+        this.searchedText = text;
+        this.searchedKey = key;
+        this.matches = [];
+
+        const regex = this.buildRegex();
+        if (regex) {
+            let match;
+            while ((match = regex.exec(text)) && this.matches.length < CONFIG.FIND_MAX_MATCHES) {
+                if (match[0].length === 0) {
+                    // Empty matches (e.g. /^/m) would loop forever and can't be highlighted
+                    regex.lastIndex++;
+                    continue;
+                }
+                this.matches.push({ start: match.index, end: match.index + match[0].length });
+            }
+        }
+
+        if (this.current >= this.matches.length) {
+            this.current = this.matches.length - 1;
+        }
+        this.updateStatus();
+    },
+
+    /**
+     * Ranges for SyntaxHighlighter; empty while the panel is closed
+     */
+    highlightRanges(text) {
+        if (!this.isOpen()) return [];
+        this.search(text);
+        return this.matches.map((match, index) => ({
+            ...match,
+            className: index === this.current ? 'find-match find-current' : 'find-match'
+        }));
+    },
+
+    /**
+     * Re-run the search and redraw highlights; with no selected match,
+     * selects the first one at or after the caret
+     */
+    refresh() {
+        const text = AppState.editor.value;
+        this.searchedText = null;
+        this.search(text);
+
+        if (this.current === -1 && this.matches.length > 0) {
+            const caret = AppState.editor.selectionStart;
+            const index = this.matches.findIndex(match => match.start >= caret);
+            this.current = index === -1 ? 0 : index;
+        }
+
+        this.updateStatus();
+        Editor.updateSyntaxHighlight(text);
+        this.revealCurrent();
+    },
+
+    updateStatus() {
+        if (this.error) {
+            this.status.textContent = this.error;
+        } else if (!this.findInput.value) {
+            this.status.textContent = '';
+        } else if (this.matches.length === 0) {
+            this.status.textContent = 'No matches';
+        } else {
+            const capped = this.matches.length >= CONFIG.FIND_MAX_MATCHES ? '+' : '';
+            const count = `${this.matches.length}${capped} match${this.matches.length !== 1 ? 'es' : ''}`;
+            this.status.textContent = this.current >= 0 ? `${this.current + 1} of ${count}` : count;
+        }
+    },
+
+    /**
+     * Select the current match in the editor and scroll it into view
+     * Focus stays in the panel so typing continues the search
+     */
+    revealCurrent() {
+        const match = this.matches[this.current];
+        if (!match) return;
+
+        AppState.editor.setSelectionRange(match.start, match.end);
+        const top = EditorHighlight.positionTop(match.start);
+        AppState.editor.scrollTop = Math.max(0, top - AppState.editor.clientHeight / 3);
+    },
+
+    move(step) {
+        this.search(AppState.editor.value);
+        if (this.matches.length === 0) return;
+
+        this.current = (this.current + step + this.matches.length) % this.matches.length;
+        this.updateStatus();
+        Editor.updateSyntaxHighlight(AppState.editor.value);
+        this.revealCurrent();
+    },
+
+    next() {
+        this.move(1);
+    },
+
+    previous() {
+        this.move(-1);
+    },
+
+    /**
+     * Replacement text for one match; regex mode expands $1, $<name>, $&
+     */
+    replacementFor(text, match, sticky) {
+        const replacement = this.replaceInput.value;
+        if (!this.options.regex) return replacement;
+
+        // A sticky regex matches only at lastIndex, so exec() finds just this match
+        if (!sticky) {
+            const regex = this.buildRegex();
+            sticky = new RegExp(regex.source, regex.flags.replace('g', '') + 'y');
+        }
+        sticky.lastIndex = match.start;
+        const found = sticky.exec(text);
+        return found ? this.expandReplacement(replacement, found, text) : replacement;
+    },
+
+    /**
+     * Expand the $ patterns String.prototype.replace understands:
+     * $$, $&, $`, $', $1-$99 and $<name>; anything else stays literal
+     *
+     * @param {string} template - Replacement as typed
+     * @param {Array} found - RegExp exec() result
+     * @param {string} text - Searched text
+     */
+    expandReplacement(template, found, text) {
+        const groupCount = found.length - 1;
+        return template.replace(/\$(\$|&|`|'|\d{1,2}|<([^>]*)>)/g, (token, what, name) => {
+            if (what === '$') return '$';
+            if (what === '&') return found[0];
+            if (what === '`') return text.substring(0, found.index);
+            if (what === "'") return text.substring(found.index + found[0].length);
+            if (name !== undefined) return found.groups ? (found.groups[name] || '') : token;
+
+            // Two digits only when they name an existing group, as replace() does
+            if (what.length === 2 && Number(what) >= 1 && Number(what) <= groupCount) {
+                return found[Number(what)] || '';
+            }
+            const group = Number(what[0]);
+            if (group >= 1 && group <= groupCount) return (found[group] || '') + what.substring(1);
+            return token;
+        });
+    },
+
+    replace() {
+        const text = AppState.editor.value;
+        this.search(text);
+        const match = this.matches[this.current];
+        if (!match) return;
+
+        const replacement = this.replacementFor(text, match);
+        Editor.replaceRange(match.start, match.end, replacement);
+
+        // Continue with the next match after the replaced text
+        this.current = -1;
+        this.search(AppState.editor.value);
+        const index = this.matches.findIndex(m => m.start >= match.start + replacement.length);
+        this.current = index === -1 ? (this.matches.length ? 0 : -1) : index;
+        this.updateStatus();
+        Editor.updateSyntaxHighlight(AppState.editor.value);
+        this.revealCurrent();
+    },
+
+    /**
+     * Replace every match as a single undoable step
+     * Built from the found matches, so it replaces exactly what is highlighted
+     * (no empty matches, at most FIND_MAX_MATCHES)
+     */
+    replaceAll() {
+        const text = AppState.editor.value;
+        this.search(text);
+        const regex = this.buildRegex();
+        if (!regex || this.matches.length === 0) return;
+
+        const sticky = new RegExp(regex.source, regex.flags.replace('g', '') + 'y');
+        const count = this.matches.length;
+        const parts = [];
+        let last = 0;
+        this.matches.forEach(match => {
+            parts.push(text.substring(last, match.start), this.replacementFor(text, match, sticky));
+            last = match.end;
+        });
+        parts.push(text.substring(last));
+        const result = parts.join('');
+        if (result === text) return;
+
+        Editor.setValue(result);
+        this.current = -1;
+        this.searchedText = null;
+        this.search(AppState.editor.value);
+        this.status.textContent = `Replaced ${count} match${count !== 1 ? 'es' : ''}`;
+    }
+};
+
+// ============================================
+// Toolbar Actions
+// ============================================
+
+const ToolbarActions = {
+    bold() {
+        Formatting.toggleInline('**', 'bold text');
+    },
+
+    italic() {
+        Formatting.toggleInline('*', 'italic text');
+    },
+
+    h1() {
+        Formatting.toggleHeading(1);
+    },
+
+    h2() {
+        Formatting.toggleHeading(2);
+    },
+
+    h3() {
+        Formatting.toggleHeading(3);
+    },
+
+    h4() {
+        Formatting.toggleHeading(4);
+    },
+
+    h5() {
+        Formatting.toggleHeading(5);
+    },
+
+    h6() {
+        Formatting.toggleHeading(6);
+    },
+
+    strikethrough() {
+        Formatting.toggleInline('~~', 'struck text');
+    },
+
+    /**
+     * Horizontal rule on its own line
+     * A blank line above keeps "---" from turning the text before it into a heading
+     */
+    hr() {
+        const { value, selectionStart, selectionEnd } = AppState.editor;
+        const before = value.substring(0, selectionStart);
+        const after = value.substring(selectionEnd);
+
+        let prefix = '\n\n';
+        if (before === '' || before.endsWith('\n\n')) prefix = '';
+        else if (before.endsWith('\n')) prefix = '\n';
+        const suffix = after === '' || after.startsWith('\n') ? '\n' : '\n\n';
+
+        Editor.replaceRange(selectionStart, selectionEnd, `${prefix}---${suffix}`);
+        AppState.editor.focus();
+    },
+
+    async link() {
+        // Inside an existing link the button unlinks it
+        if (Formatting.removeLink()) return;
+
+        const url = await ModalDialog.prompt(
+            'Insert Link',
+            'Enter the URL for the hyperlink:',
+            'URL',
+            'https://'
+        );
+        if (url) {
+            const sanitizedUrl = SecurityUtils.sanitizeUrl(url);
+            if (sanitizedUrl) {
+                Editor.insertText('[', `](${sanitizedUrl})`, 'link text');
+            } else {
+                alert('Invalid URL. Please use http://, https://, or mailto: protocols.');
+            }
+        }
+    },
+
+    async image() {
+        const url = await ModalDialog.prompt(
+            'Insert Image',
+            'Enter the image URL:',
+            'Image URL',
+            'https://'
+        );
+        if (url) {
+            const sanitizedUrl = SecurityUtils.sanitizeUrl(url);
+            if (sanitizedUrl) {
+                Editor.insertText('![', `](${sanitizedUrl})`, 'alt text');
+            } else {
+                alert('Invalid image URL. Please use http:// or https:// protocols.');
+            }
+        }
+    },
+
+    ul() {
+        Formatting.toggleList(false);
+    },
+
+    ol() {
+        Formatting.toggleList(true);
+    },
+
+    code() {
+        Formatting.toggleCodeBlock();
+    },
+
+    quote() {
+        Formatting.toggleQuote();
+    },
+
+    open() {
+        FileOperations.openFile();
+    },
+
+    save() {
+        FileOperations.saveFile();
+    },
+
+    'save-as': function() {
+        FileOperations.saveFileAs();
+    },
+
+    export() {
+        FileOperations.exportHtml();
+    },
+
+    clear() {
+        FileOperations.clearEditor();
+    },
+
+    find() {
+        FindReplace.open(false);
+    },
+
+    replace() {
+        FindReplace.open(true);
+    },
+
+    documents() {
+        DocumentLibrary.toggleSidebar();
+    },
+
+    history() {
+        VersionHistory.togglePanel();
+    },
+
+    outline() {
+        Outline.togglePanel();
+    },
+
+    shortcuts() {
+        ShortcutSettings.togglePanel();
+    },
+
+    problems() {
+        MarkdownLint.togglePanel();
+    },
+
+    'command-palette': function() {
+        CommandPalette.open();
+    },
+
+    'scroll-sync': function() {
+        ScrollSync.toggle();
+    },
+
+    'dark-mode': function() {
+        ThemeManager.toggle();
+    }
+};
+
+// ============================================
+// Theme Manager
+// ============================================
+
+const ThemeManager = {
+    toggle() {
+        AppState.isDarkMode = !AppState.isDarkMode;
+        document.body.classList.toggle('dark-mode', AppState.isDarkMode);
+        localStorage.setItem('nousmd-dark-mode', AppState.isDarkMode);
+    },
+
+    load() {
+        const savedTheme = localStorage.getItem('nousmd-dark-mode');
+        if (savedTheme === 'true') {
+            AppState.isDarkMode = true;
+            document.body.classList.add('dark-mode');
+        }
+    }
+};
+
+// ============================================
+// Resizable Divider
+// ============================================
+
+const Divider = {
+    init() {
+        const divider = document.querySelector('.divider');
+        const editorPane = document.querySelector('.editor-pane');
+        const previewPane = document.querySelector('.preview-pane');
+
+        let startX = 0;
+        let startEditorWidth = 0;
+
+        const onMouseDown = (e) => {
+            AppState.isResizing = true;
+            startX = e.clientX;
+            startEditorWidth = editorPane.offsetWidth;
+
+            document.addEventListener('mousemove', onMouseMove);
+            document.addEventListener('mouseup', onMouseUp);
+            e.preventDefault();
+        };
+
+        const onMouseMove = (e) => {
+            if (!AppState.isResizing) return;
+
+            const delta = e.clientX - startX;
+            const newEditorWidth = startEditorWidth + delta;
+            const totalWidth = editorPane.offsetWidth + previewPane.offsetWidth;
+            const editorPercent = (newEditorWidth / totalWidth) * 100;
+
+            if (editorPercent > CONFIG.DIVIDER_MIN_PERCENT && editorPercent < CONFIG.DIVIDER_MAX_PERCENT) {
+                editorPane.style.flex = `0 0 ${editorPercent}%`;
+                previewPane.style.flex = `0 0 ${100 - editorPercent}%`;
+            }
+        };
+
+        const onMouseUp = () => {
+            AppState.isResizing = false;
+            document.removeEventListener('mousemove', onMouseMove);
+            document.removeEventListener('mouseup', onMouseUp);
+        };
+
+        divider.addEventListener('mousedown', onMouseDown);
+
+        // Keyboard support for divider
+        divider.addEventListener('keydown', (e) => {
+            if (e.key === 'ArrowLeft') {
+                const editorPercent = (editorPane.offsetWidth / (editorPane.offsetWidth + previewPane.offsetWidth)) * 100 - CONFIG.DIVIDER_KEYBOARD_STEP;
+                if (editorPercent > CONFIG.DIVIDER_MIN_PERCENT) {
+                    editorPane.style.flex = `0 0 ${editorPercent}%`;
+                    previewPane.style.flex = `0 0 ${100 - editorPercent}%`;
+                }
+                e.preventDefault();
+            } else if (e.key === 'ArrowRight') {
+                const editorPercent = (editorPane.offsetWidth / (editorPane.offsetWidth + previewPane.offsetWidth)) * 100 + CONFIG.DIVIDER_KEYBOARD_STEP;
+                if (editorPercent < CONFIG.DIVIDER_MAX_PERCENT) {
+                    editorPane.style.flex = `0 0 ${editorPercent}%`;
+                    previewPane.style.flex = `0 0 ${100 - editorPercent}%`;
+                }
+                e.preventDefault();
+            }
+        });
+    }
+};
+
+// ============================================
+// Scroll Sync
+// ============================================
+
+const ScrollSync = {
+    STORAGE_KEY: 'nousmd-scroll-sync',
+    enabled: true,
+    previewPane: null,
+    mirror: null,
+    anchors: null,     // [{editor, preview}] scroll offsets, increasing in both
+    anchorsKey: '',    // pane widths the anchors were measured at
+    expected: null,    // {pane, top} of our own last programmatic scroll
+
+    init() {
+        this.previewPane = document.querySelector('.preview-pane');
+        this.enabled = localStorage.getItem(this.STORAGE_KEY) !== 'false';
+        this.updateButton();
+
+        AppState.editor.addEventListener('scroll', PerformanceUtils.throttle(() => this.onScroll('editor')));
+        this.previewPane.addEventListener('scroll', PerformanceUtils.throttle(() => this.onScroll('preview')));
+        AppState.preview.addEventListener('click', (e) => this.onPreviewClick(e));
+
+        // Images change block offsets once they load
+        AppState.preview.addEventListener('load', () => this.invalidate(), true);
+    },
+
+    toggle() {
+        this.enabled = !this.enabled;
+        localStorage.setItem(this.STORAGE_KEY, this.enabled);
+        this.updateButton();
+        if (this.enabled) this.syncFrom('editor');
+    },
+
+    updateButton() {
+        const button = document.querySelector('[data-action="scroll-sync"]');
+        if (button) button.setAttribute('aria-pressed', this.enabled);
+    },
+
+    /**
+     * Drop measured offsets; called whenever the preview is re-rendered
+     */
+    invalidate() {
+        this.anchors = null;
+    },
+
+    paneElement(pane) {
+        return pane === 'editor' ? AppState.editor : this.previewPane;
+    },
+
+    onScroll(pane) {
+        if (!this.enabled) return;
+
+        // Ignore the scroll event caused by our own update of this pane
+        const expected = this.expected;
+        if (expected && expected.pane === pane && Math.abs(this.paneElement(pane).scrollTop - expected.top) < 1) {
+            this.expected = null;
+            return;
+        }
+        this.syncFrom(pane);
+    },
+
+    /**
+     * Scroll the other pane to the position matching the source pane
+     *
+     * @param {'editor'|'preview'} source - Pane the user scrolled
+     */
+    syncFrom(source) {
+        if (!this.previewPane) return;
+        const target = source === 'editor' ? 'preview' : 'editor';
+        const anchors = this.getAnchors();
+        const top = this.interpolate(anchors, source, target, this.paneElement(source).scrollTop);
+        this.scrollPane(target, top);
+    },
+
+    scrollPreviewTo(element) {
+        const pane = this.previewPane;
+        this.scrollPane('preview', element.getBoundingClientRect().top - pane.getBoundingClientRect().top + pane.scrollTop);
+    },
+
+    scrollPane(pane, top) {
+        const element = this.paneElement(pane);
+        const clamped = Math.round(Math.max(0, Math.min(top, element.scrollHeight - element.clientHeight)));
+        if (Math.abs(element.scrollTop - clamped) < 1) return;
+        this.expected = { pane, top: clamped };
+        element.scrollTop = clamped;
+    },
+
+    /**
+     * Piecewise-linear mapping between the panes' scroll offsets
+     */
+    interpolate(anchors, from, to, value) {
+        let low = 0;
+        let high = anchors.length - 1;
+        while (low < high) {
+            const mid = (low + high + 1) >> 1;
+            if (anchors[mid][from] <= value) low = mid;
+            else high = mid - 1;
+        }
+
+        const a = anchors[low];
+        const b = anchors[Math.min(low + 1, anchors.length - 1)];
+        if (b[from] === a[from]) return a[to];
+        return a[to] + (value - a[from]) / (b[from] - a[from]) * (b[to] - a[to]);
+    },
+
+    /**
+     * Pair up each rendered block with the editor offset of its source line.
+     * Measured lazily and cached until the next render or pane resize.
+     */
+    getAnchors() {
+        const editor = AppState.editor;
+        const pane = this.previewPane;
+        const key = `${editor.clientWidth}:${pane.clientWidth}`;
+        if (this.anchors && this.anchorsKey === key) return this.anchors;
+
+        // Outermost block per source line, in document order
+        const blocks = [];
+        let lastLine = -1;
+        AppState.preview.querySelectorAll('[data-source-line]').forEach(element => {
+            const line = PreviewRenderer.sourceLine(element);
+            if (line > lastLine) {
+                blocks.push({ line, element });
+                lastLine = line;
+            }
+        });
+
+        const editorTops = this.measureLines(blocks.map(block => block.line));
+        const paneTop = pane.getBoundingClientRect().top - pane.scrollTop;
+        const end = {
+            editor: Math.max(0, editor.scrollHeight - editor.clientHeight),
+            preview: Math.max(0, pane.scrollHeight - pane.clientHeight)
+        };
+
+        // Keep offsets strictly increasing on both sides so the mapping is monotonic
+        const anchors = [{ editor: 0, preview: 0 }];
+        blocks.forEach((block, index) => {
+            const anchor = {
+                editor: editorTops[index],
+                preview: block.element.getBoundingClientRect().top - paneTop
+            };
+            const previous = anchors[anchors.length - 1];
+            if (anchor.editor > previous.editor && anchor.preview > previous.preview &&
+                anchor.editor < end.editor && anchor.preview < end.preview) {
+                anchors.push(anchor);
+            }
+        });
+        anchors.push(end);
+
+        this.anchors = anchors;
+        this.anchorsKey = key;
+        return anchors;
+    },
+
+    /**
+     * Measure the vertical offset of source lines in the editor, accounting
+     * for soft wrapping. The highlight layer already lays the text out at the
+     * editor's width, so its positions are used while it shows the current text;
+     * otherwise the text up to the last line is laid out in a hidden copy of
+     * the layer with a marker at the start of each line.
+     *
+     * @param {number[]} lines - Sorted 0-based line numbers
+     * @returns {number[]} - Offsets from the top of the editor content
+     */
+    measureLines(lines) {
+        const text = AppState.editor.value;
+        if (EditorHighlight.layer && EditorHighlight.text === text) {
+            const { lineStarts } = EditorHighlight;
+            return lines.map(line => EditorHighlight.positionTop(line < lineStarts.length ? lineStarts[line] : text.length));
+        }
+
+        if (!this.mirror) {
+            this.mirror = document.createElement('div');
+            this.mirror.className = 'editor-highlight scroll-sync-mirror';
+            this.mirror.setAttribute('aria-hidden', 'true');
+            AppState.editor.parentNode.appendChild(this.mirror);
+        }
+
+        const offsets = this.lineOffsets(text, lines);
+        const fragment = document.createDocumentFragment();
+        const markers = [];
+        let position = 0;
+        offsets.forEach(offset => {
+            fragment.appendChild(document.createTextNode(text.substring(position, offset)));
+            const marker = document.createElement('span');
+            fragment.appendChild(marker);
+            markers.push(marker);
+            position = offset;
+        });
+        // Text after the last marker can't move it, so it isn't laid out
+
+        this.mirror.style.width = `${AppState.editor.clientWidth}px`;
+        this.mirror.textContent = '';
+        this.mirror.appendChild(fragment);
+        const tops = markers.map(marker => marker.offsetTop);
+        this.mirror.textContent = '';
+        return tops;
+    },
+
+    /**
+     * Character offsets of the starts of the given (sorted) lines
+     */
+    lineOffsets(text, lines) {
+        const offsets = [];
+        let line = 0;
+        let offset = 0;
+        lines.forEach(target => {
+            while (line < target && offset !== -1) {
+                offset = text.indexOf('\n', offset);
+                if (offset !== -1) offset++;
+                line++;
+            }
+            offsets.push(offset === -1 ? text.length : offset);
+        });
+        return offsets;
+    },
+
+    /**
+     * Clicking a rendered block puts the caret at the start of its source
+     */
+    onPreviewClick(e) {
+        if (!this.enabled) return;
+        if (e.target.closest('a, input, button')) return;
+        // Leave text selections in the preview alone
+        if (String(window.getSelection())) return;
+
+        const block = e.target.closest('[data-source-line]');
+        if (!block) return;
+        this.revealLine(PreviewRenderer.sourceLine(block));
+    },
+
+    /**
+     * Put the caret at the start of a source line and scroll it into view
+     *
+     * @param {number} line - 0-based line number
+     * @param {boolean} [toTop] - Scroll the line to the top even when already visible
+     */
+    revealLine(line, toTop = false) {
+        const editor = AppState.editor;
+        const [offset] = this.lineOffsets(editor.value, [line]);
+        editor.focus({ preventScroll: true });
+        editor.setSelectionRange(offset, offset);
+
+        // Bring the line into view without moving the preview under the pointer
+        const [top] = this.measureLines([line]);
+        if (toTop) {
+            this.scrollPane('editor', top);
+        } else if (top < editor.scrollTop || top > editor.scrollTop + editor.clientHeight * 0.8) {
+            this.scrollPane('editor', top - editor.clientHeight / 3);
+        }
+    }
+};
+
+// ============================================
+// Offline Support (Service Worker)
+// ============================================
+
+/**
+ * Registers sw.js, which precaches the app shell, and offers a reload when
+ * a new version has been downloaded - either a new sw.js or changed app
+ * files, which the worker checks for on every load. The new version only
+ * takes over when the user agrees, so a page is never served files from two
+ * different versions.
+ */
+const OfflineSupport = {
+    notice: null,
+    waiting: null,      // Installed worker waiting to take over, if the update includes sw.js
+    reloading: false,
+
+    init() {
+        // Service workers need http(s); opening index.html from disk still works, just uncached
+        if (!('serviceWorker' in navigator) || location.protocol === 'file:') return;
+
+        this.notice = document.getElementById('update-notice');
+        this.notice.addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-update-action]');
+            if (!button) return;
+            if (button.getAttribute('data-update-action') === 'reload') {
+                this.applyUpdate();
+            } else {
+                this.notice.hidden = true;
+            }
+        });
+
+        navigator.serviceWorker.addEventListener('controllerchange', () => {
+            // Only reload for an update the user accepted, not the first install
+            if (this.reloading) this.reload();
+        });
+
+        navigator.serviceWorker.addEventListener('message', (e) => {
+            const type = e.data && e.data.type;
+            if (type === 'update-ready') {
+                this.showNotice(null);
+            } else if (type === 'updated' && this.reloading) {
+                this.reload();
+            }
+        });
+
+        navigator.serviceWorker.register('sw.js').then(registration => {
+            // Changed app files don't change sw.js; the worker compares them itself
+            if (navigator.serviceWorker.controller) {
+                navigator.serviceWorker.controller.postMessage({ type: 'check-for-update' });
+            }
+
+            if (registration.waiting && navigator.serviceWorker.controller) {
+                this.showNotice(registration.waiting);
+            }
+
+            registration.addEventListener('updatefound', () => {
+                const worker = registration.installing;
+                worker.addEventListener('statechange', () => {
+                    // With no controller this is the first install, not an update
+                    if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+                        this.showNotice(worker);
+                    }
+                });
+            });
+        }).catch(e => {
+            Logger.warn('Service worker registration failed, offline cache disabled:', e);
+        });
+    },
+
+    /**
+     * @param {ServiceWorker|null} worker - New worker to activate, or null
+     *     when only the app files changed
+     */
+    showNotice(worker) {
+        if (worker || !this.waiting) this.waiting = worker;
+        this.notice.hidden = false;
+    },
+
+    applyUpdate() {
+        const controller = navigator.serviceWorker.controller;
+        if (!this.waiting && !controller) return;
+        this.reloading = true;
+        this.notice.hidden = true;
+        if (this.waiting) {
+            this.waiting.postMessage({ type: 'skip-waiting' });
+        } else {
+            controller.postMessage({ type: 'use-latest' });
+        }
+    },
+
+    reload() {
+        Editor.saveToLocalStorage();
+        location.reload();
+    }
+};
+
+// ============================================
+// Keyboard Shortcuts
+// ============================================
+
+/**
+ * Chords are written like "Mod+Shift+K": Mod is Ctrl (Cmd on macOS), then Alt
+ * and Shift, then the key - a letter, digit or KeyboardEvent.key name.
+ * Every ToolbarActions command can be rebound; only the user's changes to
+ * the defaults are stored.
+ */
+const KeyboardShortcuts = {
+    STORAGE_KEY: 'nousmd-shortcuts',
+
+    /**
+     * Bindable commands in settings order, with their default chords ('' = none)
+     */
+    COMMANDS: [
+        { id: 'bold', label: 'Bold', keys: 'Mod+B' },
+        { id: 'italic', label: 'Italic', keys: 'Mod+I' },
+        { id: 'h1', label: 'Heading 1', keys: 'Mod+1' },
+        { id: 'h2', label: 'Heading 2', keys: 'Mod+2' },
+        { id: 'h3', label: 'Heading 3', keys: 'Mod+3' },
+        { id: 'h4', label: 'Heading 4', keys: '' },
+        { id: 'h5', label: 'Heading 5', keys: '' },
+        { id: 'h6', label: 'Heading 6', keys: '' },
+        { id: 'strikethrough', label: 'Strikethrough', keys: '' },
+        { id: 'link', label: 'Insert link', keys: 'Mod+K' },
+        { id: 'image', label: 'Insert image', keys: 'Mod+Shift+I' },
+        { id: 'ul', label: 'Unordered list', keys: 'Mod+U' },
+        { id: 'ol', label: 'Ordered list', keys: 'Mod+Shift+O' },
+        { id: 'code', label: 'Code block', keys: 'Mod+Shift+C' },
+        { id: 'quote', label: 'Blockquote', keys: 'Mod+Shift+Q' },
+        { id: 'hr', label: 'Horizontal rule', keys: '' },
+        { id: 'find', label: 'Find', keys: 'Mod+F' },
+        { id: 'replace', label: 'Find and replace', keys: 'Mod+H' },
+        { id: 'documents', label: 'Documents', keys: '' },
+        { id: 'outline', label: 'Outline', keys: '' },
+        { id: 'history', label: 'Version history', keys: '' },
+        { id: 'shortcuts', label: 'Keyboard shortcuts', keys: '' },
+        { id: 'problems', label: 'Problems', keys: '' },
+        { id: 'open', label: 'Open file', keys: 'Mod+O' },
+        { id: 'save', label: 'Save file', keys: 'Mod+S' },
+        { id: 'save-as', label: 'Save as', keys: 'Mod+Shift+S' },
+        { id: 'export', label: 'Export HTML', keys: 'Mod+Shift+E' },
+        { id: 'clear', label: 'Clear editor', keys: 'Mod+Shift+N' },
+        { id: 'scroll-sync', label: 'Sync scrolling', keys: '' },
+        { id: 'dark-mode', label: 'Toggle dark mode', keys: 'Mod+D' },
+        { id: 'command-palette', label: 'Command palette', keys: 'Mod+Shift+P' }
+    ],
+
+    /**
+     * Chords with a meaning outside the command list
+     * blocked: can't be assigned (editing keys, or never delivered to the page)
+     * Otherwise the chord works but overrides the browser, so assigning it asks first
+     */
+    RESERVED: {
+        'Mod+Z': { reason: 'is Undo', blocked: true },
+        'Mod+Y': { reason: 'is Redo', blocked: true },
+        'Mod+Shift+Z': { reason: 'is Redo', blocked: true },
+        'Mod+A': { reason: 'selects all text', blocked: true },
+        'Mod+C': { reason: 'copies', blocked: true },
+        'Mod+X': { reason: 'cuts', blocked: true },
+        'Mod+V': { reason: 'pastes', blocked: true },
+        'Mod+N': { reason: 'opens a new browser window', blocked: true },
+        'Mod+T': { reason: 'opens a new browser tab', blocked: true },
+        'Mod+W': { reason: 'closes the browser tab', blocked: true },
+        'Mod+Q': { reason: 'quits the browser', blocked: true },
+        'Mod+Shift+T': { reason: 'reopens the last closed tab', blocked: true },
+        'Mod+Shift+W': { reason: 'closes the browser window', blocked: true },
+        'Mod+D': { reason: 'bookmarks the page in most browsers' },
+        'Mod+U': { reason: 'shows the page source in some browsers' },
+        'Mod+P': { reason: 'prints the page' },
+        'Mod+R': { reason: 'reloads the page' },
+        'Mod+L': { reason: 'focuses the address bar' },
+        'Mod+J': { reason: 'opens downloads in some browsers' },
+        'Mod+Shift+N': { reason: 'opens a private window in some browsers, which may not pass it on' },
+        'Mod+Shift+P': { reason: 'opens a private window in Firefox, which does not pass it on' }
+    },
+
+    // Undo/redo belong to the editor and can't be rebound
+    EDITOR_CHORDS: {
+        'Mod+Z': () => EditHistory.undo(),
+        'Mod+Y': () => EditHistory.redo(),
+        'Mod+Shift+Z': () => EditHistory.redo()
+    },
+
+    bindings: new Map(),   // command id -> chord ('' = unbound)
+    chords: new Map(),     // chord -> command id
+    isMac: /Mac|iPhone|iPad/.test(navigator.platform || ''),
+
+    init() {
+        this.load();
+        this.updateTitles();
+
+        document.addEventListener('keydown', (e) => {
+            // Plain typing never triggers a command
+            if (!(e.ctrlKey || e.metaKey || e.altKey)) return;
+
+            const chord = this.chordFromEvent(e);
+            if (!chord) return;
+
+            const editorCommand = this.EDITOR_CHORDS[chord];
+            if (editorCommand) {
+                // Other text fields keep their native history
+                const inOtherField = e.target !== AppState.editor && e.target.closest &&
+                    e.target.closest('input, textarea, [contenteditable="true"]');
+                if (inOtherField) return;
+                e.preventDefault();
+                editorCommand();
+                return;
+            }
+
+            const id = this.chords.get(chord);
+            if (!id) return;
+            e.preventDefault();
+            ToolbarActions[id]();
+        });
+    },
+
+    /**
+     * Defaults merged with the stored overrides
+     */
+    load() {
+        let overrides = {};
+        try {
+            const stored = JSON.parse(localStorage.getItem(this.STORAGE_KEY));
+            if (stored && typeof stored === 'object') overrides = stored;
+        } catch (e) {
+            Logger.error('Stored shortcuts are corrupt, using defaults:', e);
+        }
+
+        this.bindings.clear();
+        this.COMMANDS.forEach(command => {
+            const override = Object.prototype.hasOwnProperty.call(overrides, command.id) ? overrides[command.id] : null;
+            this.bindings.set(command.id, typeof override === 'string' ? override : command.keys);
+        });
+        this.indexChords();
+    },
+
+    save() {
+        const overrides = {};
+        this.COMMANDS.forEach(command => {
+            const chord = this.bindings.get(command.id);
+            if (chord !== command.keys) overrides[command.id] = chord;
+        });
+
+        try {
+            if (Object.keys(overrides).length > 0) {
+                localStorage.setItem(this.STORAGE_KEY, JSON.stringify(overrides));
+            } else {
+                localStorage.removeItem(this.STORAGE_KEY);
+            }
+        } catch (e) {
+            Logger.error('Failed to save shortcuts:', e);
+        }
+    },
+
+    /**
+     * Rebuild the chord lookup; if two commands share a chord, the first keeps it
+     */
+    indexChords() {
+        this.chords.clear();
+        this.bindings.forEach((chord, id) => {
+            if (!chord) return;
+            if (this.chords.has(chord)) {
+                this.bindings.set(id, '');
+                return;
+            }
+            this.chords.set(chord, id);
+        });
+    },
+
+    command(id) {
+        return this.COMMANDS.find(command => command.id === id) || null;
+    },
+
+    /**
+     * Bind a command, taking the chord away from any other command
+     *
+     * @param {string} id - Command id
+     * @param {string} chord - New chord, or '' to unbind
+     */
+    setBinding(id, chord) {
+        const previous = chord ? this.chords.get(chord) : null;
+        if (previous && previous !== id) this.bindings.set(previous, '');
+        this.bindings.set(id, chord);
+        this.indexChords();
+        this.save();
+        this.updateTitles();
+    },
 
-        // Reset input
-        event.target.value = '';
+    resetAll() {
+        localStorage.removeItem(this.STORAGE_KEY);
+        this.load();
+        this.updateTitles();
     },
 
     /**
-     * Save file
+     * @returns {string} - Chord for a keydown event, or '' for a lone modifier
      */
-    saveFile() {
-        const content = AppState.editor.value;
-        const blob = new Blob([content], { type: 'text/markdown' });
-        const url = URL.createObjectURL(blob);
-
-        const a = document.createElement('a');
-        a.href = url;
-        a.download = AppState.currentFileName;
-        a.click();
+    chordFromEvent(e) {
+        if (['Control', 'Meta', 'Shift', 'Alt', 'AltGraph', 'CapsLock'].includes(e.key)) return '';
+
+        let key = e.key;
+        if (/^[a-z]$/i.test(key)) {
+            key = key.toUpperCase();
+        } else if (/^(Key[A-Z]|Digit[0-9])$/.test(e.code || '')) {
+            // Shift and Alt change the character ("!" for 1, "å" for A on macOS)
+            key = e.code.slice(-1);
+        } else if (key === ' ') {
+            key = 'Space';
+        } else if (key === '+') {
+            key = 'Plus';
+        }
 
-        URL.revokeObjectURL(url);
+        const parts = [];
+        if (e.ctrlKey || e.metaKey) parts.push('Mod');
+        if (e.altKey) parts.push('Alt');
+        if (e.shiftKey) parts.push('Shift');
+        parts.push(key);
+        return parts.join('+');
     },
 
     /**
-     * Clear editor
+     * Human-readable chord: "Mod+Shift+K" -> "Ctrl+Shift+K" (or "Cmd+Shift+K")
      */
-    clearEditor() {
-        if (AppState.editor.value.trim() === '') return;
+    format(chord) {
+        if (!chord) return '';
+        return chord.split('+').map(part => {
+            if (part === 'Mod') return this.isMac ? 'Cmd' : 'Ctrl';
+            if (part === 'Alt' && this.isMac) return 'Option';
+            return part;
+        }).join('+');
+    },
 
-        if (confirm('Clear all content? This cannot be undone.')) {
-            AppState.editor.value = '';
-            Editor.updatePreview();
-            localStorage.removeItem('nousmd-content');
-        }
+    /**
+     * Keep toolbar tooltips in step with the bindings: "Bold (Ctrl+B)"
+     */
+    updateTitles() {
+        document.querySelectorAll('.toolbar-btn[data-action]').forEach(button => {
+            const base = button.title.replace(/ \([^()]*\)$/, '');
+            const chord = this.bindings.get(button.getAttribute('data-action'));
+            button.title = chord ? `${base} (${this.format(chord)})` : base;
+        });
     }
 };
 
 // ============================================
-// Toolbar Actions
+// Shortcut Settings
 // ============================================
 
-const ToolbarActions = {
-    bold() {
-        Editor.insertText('**', '**', 'bold text');
-    },
+/**
+ * Side panel listing every command with its chord
+ * Selecting a chord records the next key combination in its place
+ */
+const ShortcutSettings = {
+    panel: null,
+    list: null,
+    status: null,
+    recording: null,   // Id of the command being rebound
 
-    italic() {
-        Editor.insertText('*', '*', 'italic text');
-    },
+    init() {
+        this.panel = document.getElementById('shortcuts-panel');
+        this.list = document.getElementById('shortcuts-list');
+        this.status = document.getElementById('shortcuts-status');
+
+        this.panel.querySelector('.panel-close').addEventListener('click', () => this.togglePanel());
+        document.getElementById('shortcuts-reset').addEventListener('click', () => {
+            if (!confirm('Reset all keyboard shortcuts to their defaults?')) return;
+            KeyboardShortcuts.resetAll();
+            this.render();
+            this.status.textContent = 'All shortcuts reset';
+        });
 
-    h1() {
-        Editor.insertLinePrefix('# ');
-    },
+        this.list.addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-shortcut-action]');
+            if (!button) return;
 
-    h2() {
-        Editor.insertLinePrefix('## ');
-    },
+            const id = button.closest('[data-command]').getAttribute('data-command');
+            if (button.getAttribute('data-shortcut-action') === 'record') {
+                this.startRecording(id);
+                return;
+            }
 
-    h3() {
-        Editor.insertLinePrefix('### ');
+            const defaultKeys = KeyboardShortcuts.command(id).keys;
+            if (this.confirmTakeover(defaultKeys, id)) this.assign(id, defaultKeys);
+        });
+
+        // Capture phase, so the chord being recorded never runs a command
+        this.list.addEventListener('keydown', (e) => {
+            if (this.recording) this.onRecordKey(e);
+        }, true);
+
+        this.list.addEventListener('focusout', () => {
+            if (this.recording) this.stopRecording();
+        });
     },
 
-    async link() {
-        const url = await ModalDialog.prompt(
-            'Insert Link',
-            'Enter the URL for the hyperlink:',
-            'URL',
-            'https://'
-        );
-        if (url) {
-            const sanitizedUrl = SecurityUtils.sanitizeUrl(url);
-            if (sanitizedUrl) {
-                Editor.insertText('[', `](${sanitizedUrl})`, 'link text');
-            } else {
-                alert('Invalid URL. Please use http://, https://, or mailto: protocols.');
-            }
+    togglePanel() {
+        const open = this.panel.hidden;
+        this.panel.hidden = !open;
+        document.querySelector('[data-action="shortcuts"]').setAttribute('aria-expanded', open);
+        if (open) {
+            this.status.textContent = '';
+            this.render();
+            const first = this.list.querySelector('button');
+            if (first) first.focus();
+        } else {
+            this.recording = null;
         }
     },
 
-    async image() {
-        const url = await ModalDialog.prompt(
-            'Insert Image',
-            'Enter the image URL:',
-            'Image URL',
-            'https://'
-        );
-        if (url) {
-            const sanitizedUrl = SecurityUtils.sanitizeUrl(url);
-            if (sanitizedUrl) {
-                Editor.insertText('![', `](${sanitizedUrl})`, 'alt text');
-            } else {
-                alert('Invalid image URL. Please use http:// or https:// protocols.');
+    /**
+     * Rebuild the command table (DOM API only)
+     */
+    render() {
+        this.list.textContent = '';
+
+        KeyboardShortcuts.COMMANDS.forEach(command => {
+            const chord = KeyboardShortcuts.bindings.get(command.id);
+            const keys = KeyboardShortcuts.format(chord);
+
+            const row = document.createElement('tr');
+            row.setAttribute('data-command', command.id);
+
+            const label = document.createElement('th');
+            label.scope = 'row';
+            label.className = 'shortcut-label';
+            label.textContent = command.label;
+
+            const cell = document.createElement('td');
+            const record = document.createElement('button');
+            record.type = 'button';
+            record.className = 'shortcut-keys';
+            record.setAttribute('data-shortcut-action', 'record');
+            record.setAttribute('aria-label', `${command.label}: ${keys || 'no shortcut'}. Press to change`);
+            record.textContent = keys || 'None';
+            cell.appendChild(record);
+
+            const reserved = KeyboardShortcuts.RESERVED[chord];
+            if (reserved) {
+                const warning = document.createElement('span');
+                warning.className = 'shortcut-warning';
+                warning.textContent = `Also ${reserved.reason}`;
+                cell.appendChild(warning);
             }
-        }
-    },
 
-    ul() {
-        Editor.insertLinePrefix('- ');
+            const resetCell = document.createElement('td');
+            if (chord !== command.keys) {
+                const reset = document.createElement('button');
+                reset.type = 'button';
+                reset.className = 'sidebar-btn';
+                reset.setAttribute('data-shortcut-action', 'reset');
+                reset.setAttribute('aria-label', `Reset ${command.label} to ${KeyboardShortcuts.format(command.keys) || 'no shortcut'}`);
+                reset.title = 'Reset to default';
+                reset.innerHTML = '<svg width="16" height="16" viewBox="0 0 20 20" fill="none" aria-hidden="true"><path d="M4 10a6 6 0 1 0 1.8-4.3M4 4v3.5h3.5" stroke="currentColor" stroke-width="1.5" stroke-linecap="round" stroke-linejoin="round"/></svg>';
+                resetCell.appendChild(reset);
+            }
+
+            row.append(label, cell, resetCell);
+            this.list.appendChild(row);
+        });
     },
 
-    ol() {
-        Editor.insertLinePrefix('1. ');
+    recordButton(id) {
+        return this.list.querySelector(`[data-command="${id}"] [data-shortcut-action="record"]`);
     },
 
-    code() {
-        Editor.insertText('```\n', '\n```', 'code here');
+    startRecording(id) {
+        this.recording = id;
+        const button = this.recordButton(id);
+        button.textContent = 'Press keys…';
+        button.setAttribute('aria-pressed', 'true');
+        this.status.textContent = 'Press the new shortcut. Backspace removes it, Escape cancels.';
     },
 
-    quote() {
-        Editor.insertLinePrefix('> ');
+    stopRecording() {
+        const id = this.recording;
+        this.recording = null;
+        const button = this.recordButton(id);
+        if (!button) return;
+        button.textContent = KeyboardShortcuts.format(KeyboardShortcuts.bindings.get(id)) || 'None';
+        button.removeAttribute('aria-pressed');
     },
 
-    open() {
-        FileOperations.openFile();
+    onRecordKey(e) {
+        // Tab moves on as usual (and cancels via focusout)
+        if (e.key === 'Tab') return;
+
+        e.preventDefault();
+        e.stopPropagation();
+
+        const id = this.recording;
+        const hasModifier = e.ctrlKey || e.metaKey || e.altKey;
+
+        if (!hasModifier && e.key === 'Escape') {
+            this.stopRecording();
+            this.status.textContent = 'Unchanged';
+            return;
+        }
+        if (!hasModifier && (e.key === 'Backspace' || e.key === 'Delete')) {
+            this.assign(id, '');
+            return;
+        }
+
+        const chord = KeyboardShortcuts.chordFromEvent(e);
+        if (!chord) return;
+
+        const keys = KeyboardShortcuts.format(chord);
+        if (!hasModifier) {
+            this.status.textContent = `Shortcuts need ${KeyboardShortcuts.format('Mod')} or ${KeyboardShortcuts.format('Alt')}.`;
+            return;
+        }
+
+        const reserved = KeyboardShortcuts.RESERVED[chord];
+        if (reserved && reserved.blocked) {
+            this.status.textContent = `${keys} can't be used: it ${reserved.reason}.`;
+            return;
+        }
+
+        // Dialogs take focus; stop recording first so focusout has nothing to cancel
+        this.stopRecording();
+
+        if ((reserved && !confirm(`${keys} ${reserved.reason}. Use it anyway?`)) || !this.confirmTakeover(chord, id)) {
+            this.status.textContent = 'Unchanged';
+            this.focusCommand(id);
+            return;
+        }
+
+        this.assign(id, chord);
     },
 
-    save() {
-        FileOperations.saveFile();
+    /**
+     * Ask before moving a chord that another command already uses
+     *
+     * @returns {boolean} - Whether the chord may be assigned to the command
+     */
+    confirmTakeover(chord, id) {
+        const owner = chord ? KeyboardShortcuts.chords.get(chord) : null;
+        if (!owner || owner === id) return true;
+
+        const ownerLabel = KeyboardShortcuts.command(owner).label;
+        const label = KeyboardShortcuts.command(id).label;
+        return confirm(`${KeyboardShortcuts.format(chord)} is already used by ${ownerLabel}. Use it for ${label} instead?`);
     },
 
-    clear() {
-        FileOperations.clearEditor();
+    assign(id, chord) {
+        this.recording = null;
+        KeyboardShortcuts.setBinding(id, chord);
+        this.render();
+        this.focusCommand(id);
+
+        const label = KeyboardShortcuts.command(id).label;
+        this.status.textContent = chord
+            ? `${label}: ${KeyboardShortcuts.format(chord)}`
+            : `${label} has no shortcut`;
     },
 
-    'dark-mode': function() {
-        ThemeManager.toggle();
+    focusCommand(id) {
+        const button = this.recordButton(id);
+        if (button) button.focus();
     }
 };
 
 // ============================================
-// Theme Manager
+// Command Palette
 // ============================================
 
-const ThemeManager = {
-    toggle() {
-        AppState.isDarkMode = !AppState.isDarkMode;
-        document.body.classList.toggle('dark-mode', AppState.isDarkMode);
-        localStorage.setItem('nousmd-dark-mode', AppState.isDarkMode);
+/**
+ * Fuzzy-searchable list of every command (Ctrl/Cmd+Shift+P by default)
+ * Lists the KeyboardShortcuts commands, then anything added with register().
+ * Focus stays in the search box; the highlighted option is announced through
+ * aria-activedescendant.
+ */
+const CommandPalette = {
+    overlay: null,
+    input: null,
+    list: null,
+    status: null,
+    registered: new Map(),   // id -> { id, label, run, keys }
+    results: [],             // [{ command, indices }] currently shown
+    selected: 0,
+    returnFocus: null,
+
+    init() {
+        this.overlay = document.getElementById('palette-overlay');
+        this.input = document.getElementById('palette-input');
+        this.list = document.getElementById('palette-list');
+        this.status = document.getElementById('palette-status');
+
+        this.input.addEventListener('input', () => this.filter());
+
+        this.overlay.addEventListener('keydown', (e) => {
+            this.onKeyDown(e);
+            // App shortcuts don't reach the editor behind the palette
+            e.stopPropagation();
+        });
+
+        // Keep focus in the search box when an option is clicked
+        this.list.addEventListener('mousedown', (e) => e.preventDefault());
+        this.list.addEventListener('click', (e) => {
+            const option = e.target.closest('[role="option"]');
+            if (option) this.run(Number(option.getAttribute('data-index')));
+        });
+
+        this.overlay.addEventListener('click', (e) => {
+            if (e.target === this.overlay) this.close();
+        });
     },
 
-    load() {
-        const savedTheme = localStorage.getItem('nousmd-dark-mode');
-        if (savedTheme === 'true') {
-            AppState.isDarkMode = true;
-            document.body.classList.add('dark-mode');
+    /**
+     * Add a command to the palette
+     *
+     * @param {Object} command
+     * @param {string} command.id - Unique id
+     * @param {string} command.label - Text shown and searched
+     * @param {Function} command.run - Called when the command is chosen
+     * @param {string} [command.keys] - Chord to display, e.g. "Mod+Z" (not bound by the palette)
+     * @returns {Function} - Removes the command again
+     */
+    register({ id, label, run, keys = '' }) {
+        if (!id || !label || typeof run !== 'function') {
+            Logger.warn('Ignoring invalid palette command:', id);
+            return () => {};
+        }
+        if (KeyboardShortcuts.command(id) || this.registered.has(id)) {
+            Logger.warn('Palette command already exists:', id);
+            return () => {};
         }
-    }
-};
 
-// ============================================
-// Resizable Divider
-// ============================================
+        this.registered.set(id, { id, label, run, keys });
+        return () => this.registered.delete(id);
+    },
 
-const Divider = {
-    init() {
-        const divider = document.querySelector('.divider');
-        const editorPane = document.querySelector('.editor-pane');
-        const previewPane = document.querySelector('.preview-pane');
+    /**
+     * Toolbar commands first (with their current bindings), then registered ones
+     */
+    commands() {
+        const builtIn = KeyboardShortcuts.COMMANDS
+            .filter(command => command.id !== 'command-palette')
+            .map(command => ({
+                id: command.id,
+                label: command.label,
+                run: () => ToolbarActions[command.id](),
+                keys: KeyboardShortcuts.bindings.get(command.id)
+            }));
+        return builtIn.concat(Array.from(this.registered.values()));
+    },
 
-        let startX = 0;
-        let startEditorWidth = 0;
+    isOpen() {
+        return !this.overlay.hidden;
+    },
 
-        const onMouseDown = (e) => {
-            AppState.isResizing = true;
-            startX = e.clientX;
-            startEditorWidth = editorPane.offsetWidth;
+    open() {
+        if (this.isOpen()) {
+            this.close();
+            return;
+        }
 
-            document.addEventListener('mousemove', onMouseMove);
-            document.addEventListener('mouseup', onMouseUp);
-            e.preventDefault();
-        };
+        this.returnFocus = document.activeElement;
+        this.overlay.hidden = false;
+        this.input.value = '';
+        this.filter();
+        this.input.focus();
+    },
 
-        const onMouseMove = (e) => {
-            if (!AppState.isResizing) return;
+    close() {
+        this.overlay.hidden = true;
+        this.input.setAttribute('aria-activedescendant', '');
+        const target = this.returnFocus && this.returnFocus.isConnected ? this.returnFocus : AppState.editor;
+        this.returnFocus = null;
+        target.focus();
+    },
 
-            const delta = e.clientX - startX;
-            const newEditorWidth = startEditorWidth + delta;
-            const totalWidth = editorPane.offsetWidth + previewPane.offsetWidth;
-            const editorPercent = (newEditorWidth / totalWidth) * 100;
+    /**
+     * Subsequence match, case-insensitive; spaces in the query are ignored
+     * Word starts and runs of consecutive letters score higher
+     *
+     * @returns {{ score: number, indices: number[] }|null} - null if not every letter matches
+     */
+    match(query, text) {
+        const needle = query.toLowerCase().replace(/\s+/g, '');
+        const haystack = text.toLowerCase();
+        const indices = [];
+        let score = 0;
+        let position = 0;
+
+        for (const char of needle) {
+            const index = haystack.indexOf(char, position);
+            if (index === -1) return null;
+
+            score += 1;
+            if (index === 0 || /[\s\-]/.test(haystack[index - 1])) score += 3;
+            if (indices.length > 0 && index === indices[indices.length - 1] + 1) score += 2;
+
+            indices.push(index);
+            position = index + 1;
+        }
 
-            if (editorPercent > CONFIG.DIVIDER_MIN_PERCENT && editorPercent < CONFIG.DIVIDER_MAX_PERCENT) {
-                editorPane.style.flex = `0 0 ${editorPercent}%`;
-                previewPane.style.flex = `0 0 ${100 - editorPercent}%`;
-            }
-        };
+        // Among equals, prefer matches that start early
+        return { score: score - (indices.length > 0 ? indices[0] * 0.01 : 0), indices };
+    },
 
-        const onMouseUp = () => {
-            AppState.isResizing = false;
-            document.removeEventListener('mousemove', onMouseMove);
-            document.removeEventListener('mouseup', onMouseUp);
-        };
+    filter() {
+        const query = this.input.value.trim();
+        const commands = this.commands();
 
-        divider.addEventListener('mousedown', onMouseDown);
+        if (!query) {
+            this.results = commands.map(command => ({ command, indices: [] }));
+        } else {
+            this.results = commands
+                .map((command, order) => {
+                    const found = this.match(query, command.label);
+                    return found ? { command, indices: found.indices, score: found.score, order } : null;
+                })
+                .filter(Boolean)
+                .sort((a, b) => b.score - a.score || a.order - b.order);
+        }
 
-        // Keyboard support for divider
-        divider.addEventListener('keydown', (e) => {
-            if (e.key === 'ArrowLeft') {
-                const editorPercent = (editorPane.offsetWidth / (editorPane.offsetWidth + previewPane.offsetWidth)) * 100 - CONFIG.DIVIDER_KEYBOARD_STEP;
-                if (editorPercent > CONFIG.DIVIDER_MIN_PERCENT) {
-                    editorPane.style.flex = `0 0 ${editorPercent}%`;
-                    previewPane.style.flex = `0 0 ${100 - editorPercent}%`;
+        this.selected = 0;
+        this.render();
+        this.status.textContent = this.results.length === 0
+            ? 'No matching commands'
+            : `${this.results.length} command${this.results.length !== 1 ? 's' : ''}`;
+    },
+
+    /**
+     * Rebuild the option list (DOM API only - registered labels are untrusted)
+     */
+    render() {
+        this.list.textContent = '';
+
+        this.results.forEach(({ command, indices }, index) => {
+            const option = document.createElement('li');
+            option.id = `palette-option-${index}`;
+            option.className = 'palette-option';
+            option.setAttribute('role', 'option');
+            option.setAttribute('data-index', index);
+            option.setAttribute('aria-selected', index === this.selected);
+
+            const label = document.createElement('span');
+            label.className = 'palette-label';
+            const marked = new Set(indices);
+            let run = '';
+            let runMarked = false;
+            const flush = () => {
+                if (!run) return;
+                if (runMarked) {
+                    const mark = document.createElement('mark');
+                    mark.textContent = run;
+                    label.appendChild(mark);
+                } else {
+                    label.appendChild(document.createTextNode(run));
                 }
-                e.preventDefault();
-            } else if (e.key === 'ArrowRight') {
-                const editorPercent = (editorPane.offsetWidth / (editorPane.offsetWidth + previewPane.offsetWidth)) * 100 + CONFIG.DIVIDER_KEYBOARD_STEP;
-                if (editorPercent < CONFIG.DIVIDER_MAX_PERCENT) {
-                    editorPane.style.flex = `0 0 ${editorPercent}%`;
-                    previewPane.style.flex = `0 0 ${100 - editorPercent}%`;
+                run = '';
+            };
+            Array.from(command.label).forEach((char, i) => {
+                if (marked.has(i) !== runMarked) {
+                    flush();
+                    runMarked = marked.has(i);
                 }
-                e.preventDefault();
+                run += char;
+            });
+            flush();
+            option.appendChild(label);
+
+            if (command.keys) {
+                const keys = document.createElement('kbd');
+                keys.className = 'palette-keys';
+                keys.textContent = KeyboardShortcuts.format(command.keys);
+                option.appendChild(keys);
             }
+
+            this.list.appendChild(option);
         });
-    }
-};
 
-// ============================================
-// Keyboard Shortcuts
-// ============================================
+        this.updateSelection();
+    },
 
-const KeyboardShortcuts = {
-    init() {
-        document.addEventListener('keydown', (e) => {
-            // Check for Ctrl/Cmd key
-            const isMod = e.ctrlKey || e.metaKey;
-
-            if (!isMod) return;
-
-            const shortcuts = {
-                'b': () => ToolbarActions.bold(),
-                'i': () => ToolbarActions.italic(),
-                'k': () => ToolbarActions.link(),
-                'u': () => ToolbarActions.ul(),
-                's': () => { e.preventDefault(); ToolbarActions.save(); },
-                'o': () => { e.preventDefault(); ToolbarActions.open(); },
-                'd': () => { e.preventDefault(); ToolbarActions['dark-mode'](); },
-                '1': () => ToolbarActions.h1(),
-                '2': () => ToolbarActions.h2(),
-                '3': () => ToolbarActions.h3(),
-            };
+    updateSelection() {
+        this.list.querySelectorAll('[role="option"]').forEach(option => {
+            option.setAttribute('aria-selected', Number(option.getAttribute('data-index')) === this.selected);
+        });
 
-            // Shift + Ctrl/Cmd shortcuts
-            if (e.shiftKey) {
-                const shiftShortcuts = {
-                    'i': () => ToolbarActions.image(),
-                    'o': () => ToolbarActions.ol(),
-                    'c': () => ToolbarActions.code(),
-                    'q': () => ToolbarActions.quote(),
-                    'n': () => ToolbarActions.clear(),
-                };
+        const active = this.results.length > 0 ? document.getElementById(`palette-option-${this.selected}`) : null;
+        this.input.setAttribute('aria-activedescendant', active ? active.id : '');
+        if (active) active.scrollIntoView({ block: 'nearest' });
+    },
 
-                if (shiftShortcuts[e.key.toLowerCase()]) {
-                    e.preventDefault();
-                    shiftShortcuts[e.key.toLowerCase()]();
-                }
-            } else if (shortcuts[e.key.toLowerCase()]) {
+    onKeyDown(e) {
+        const count = this.results.length;
+
+        switch (e.key) {
+            case 'ArrowDown':
+                e.preventDefault();
+                if (count) this.selected = (this.selected + 1) % count;
+                this.updateSelection();
+                break;
+            case 'ArrowUp':
                 e.preventDefault();
-                shortcuts[e.key.toLowerCase()]();
+                if (count) this.selected = (this.selected - 1 + count) % count;
+                this.updateSelection();
+                break;
+            case 'PageDown':
+            case 'PageUp': {
+                e.preventDefault();
+                const step = e.key === 'PageDown' ? 10 : -10;
+                if (count) this.selected = Math.max(0, Math.min(count - 1, this.selected + step));
+                this.updateSelection();
+                break;
             }
-        });
+            case 'Enter':
+                e.preventDefault();
+                this.run(this.selected);
+                break;
+            case 'Escape':
+                e.preventDefault();
+                this.close();
+                break;
+            case 'Tab':
+                // The search box is the only stop inside the dialog
+                e.preventDefault();
+                break;
+            default:
+                // The palette's own chord closes it again
+                if (KeyboardShortcuts.chordFromEvent(e) === KeyboardShortcuts.bindings.get('command-palette')) {
+                    e.preventDefault();
+                    this.close();
+                }
+        }
+    },
+
+    run(index) {
+        const result = this.results[index];
+        if (!result) return;
+
+        // Close first so the command acts on (and may move) the restored focus
+        this.close();
+        try {
+            result.command.run();
+        } catch (e) {
+            Logger.error(`Command "${result.command.id}" failed:`, e);
+        }
     }
 };
 
@@ -1059,18 +8375,17 @@ const KeyboardShortcuts = {
 
 const EventListeners = {
     init() {
-        // Editor input - debounced to reduce parser calls during typing
-        const debouncedUpdate = PerformanceUtils.debounce(() => {
-            Editor.updatePreview();
-        }, CONFIG.EDITOR_DEBOUNCE_MS);
-        AppState.editor.addEventListener('input', debouncedUpdate);
-
-        // Sync scroll between editor and highlight layer - throttled with RAF
-        const throttledScroll = PerformanceUtils.throttle(() => {
-            AppState.highlightDiv.scrollTop = AppState.editor.scrollTop;
-            AppState.highlightDiv.scrollLeft = AppState.editor.scrollLeft;
+        // Editor input - highlighted straight away, rendered once typing pauses
+        AppState.editor.addEventListener('input', () => Editor.scheduleUpdate());
+
+        // Sync scroll between editor and highlight layer straight away, so the
+        // layers never drift apart; re-highlight the visible lines once per frame
+        const throttledHighlight = PerformanceUtils.throttle(() => EditorHighlight.ensureVisible());
+        AppState.editor.addEventListener('scroll', () => {
+            EditorHighlight.syncScroll();
+            throttledHighlight();
         });
-        AppState.editor.addEventListener('scroll', throttledScroll);
+        window.addEventListener('resize', throttledHighlight);
 
         // Toolbar buttons
         document.querySelectorAll('.toolbar-btn').forEach(btn => {
@@ -1082,17 +8397,25 @@ const EventListeners = {
             });
         });
 
+        // Task list checkboxes in the preview write back to the editor
+        AppState.preview.addEventListener('change', (e) => {
+            if (e.target.classList.contains('task-list-item-checkbox')) {
+                Editor.toggleTaskItem(PreviewRenderer.sourceLine(e.target, 'data-line'));
+            }
+        });
+
         // File input
         AppState.fileInput.addEventListener('change', FileOperations.handleFileSelect);
 
-        // Tab key in editor
+        // Markdown-aware Enter and Tab in the editor
         AppState.editor.addEventListener('keydown', (e) => {
+            if (e.isComposing || e.ctrlKey || e.metaKey || e.altKey) return;
+
             if (e.key === 'Tab') {
                 e.preventDefault();
-                const start = AppState.editor.selectionStart;
-                const end = AppState.editor.selectionEnd;
-                AppState.editor.value = AppState.editor.value.substring(0, start) + CONFIG.TAB_SPACES + AppState.editor.value.substring(end);
-                AppState.editor.selectionStart = AppState.editor.selectionEnd = start + CONFIG.TAB_SPACES.length;
+                ListEditing.handleTab(e.shiftKey);
+            } else if (e.key === 'Enter' && !e.shiftKey && ListEditing.handleEnter()) {
+                e.preventDefault();
             }
         });
     }
@@ -1103,23 +8426,42 @@ const EventListeners = {
 // ============================================
 
 function init() {
+    // Pages without the editor (spec/) load this file only for its parser
+    if (!document.getElementById('editor')) return;
+
     // Get DOM elements
     AppState.editor = document.getElementById('editor');
     AppState.preview = document.getElementById('preview');
     AppState.highlightDiv = document.getElementById('editor-highlight');
     AppState.fileInput = document.getElementById('file-input');
 
-    // Load theme
+    // Load theme and lint settings
     ThemeManager.load();
+    MarkdownLint.load();
 
     // Load saved content
     Editor.loadFromLocalStorage();
 
     // Initialize components
     ModalDialog.init();
+    DocumentLibrary.init();
+    VersionHistory.init();
+    Outline.init();
+    MetadataPanel.init();
+    MarkdownLint.init();
+    FileHandles.init();
+    AssetStore.init();
+    CodeHighlighter.init();
+    EditHistory.init();
+    ListEditing.init();
+    FindReplace.init();
     EventListeners.init();
     KeyboardShortcuts.init();
+    ShortcutSettings.init();
+    CommandPalette.init();
     Divider.init();
+    ScrollSync.init();
+    OfflineSupport.init();
 
     // Focus editor
     AppState.editor.focus();
@@ -1127,8 +8469,10 @@ function init() {
     Logger.info('Initialized - Less, but better.');
 }
 
-// Start app when DOM is ready
-if (document.readyState === 'loading') {
+// In the parser worker this file only answers render requests
+if (typeof document === 'undefined') {
+    ParserWorker.serve(self);
+} else if (document.readyState === 'loading') {
     document.addEventListener('DOMContentLoaded', init);
 } else {
     init();
@@ -0,0 +1,124 @@
+/**
+ * CommonMark (and GFM autolink extension) examples for MarkdownParser.
+ * Markdown and expected HTML are taken verbatim from the specs at
+ * https://spec.commonmark.org/ and https://github.github.com/gfm/ -
+ * constructs NousMD does not support (raw HTML, entities, lazy
+ * continuation) are left out. Run them by opening spec/index.html.
+ */
+const SPEC_EXAMPLES = [
+    { section: "Thematic breaks", markdown: "***\n---\n___\n", html: "<hr />\n<hr />\n<hr />\n" },
+    { section: "Thematic breaks", markdown: "+++\n", html: "<p>+++</p>\n" },
+    { section: "Thematic breaks", markdown: "--\n**\n__\n", html: "<p>--\n**\n__</p>\n" },
+    { section: "Thematic breaks", markdown: " ***\n  ***\n   ***\n", html: "<hr />\n<hr />\n<hr />\n" },
+    { section: "Thematic breaks", markdown: "    ***\n", html: "<pre><code>***\n</code></pre>\n" },
+    { section: "Thematic breaks", markdown: " - - -\n", html: "<hr />\n" },
+    { section: "Thematic breaks", markdown: "Foo\n***\nbar\n", html: "<p>Foo</p>\n<hr />\n<p>bar</p>\n" },
+    { section: "Thematic breaks", markdown: "Foo\n---\nbar\n", html: "<h2>Foo</h2>\n<p>bar</p>\n" },
+    { section: "Thematic breaks", markdown: "* Foo\n* * *\n* Bar\n", html: "<ul>\n<li>Foo</li>\n</ul>\n<hr />\n<ul>\n<li>Bar</li>\n</ul>\n" },
+    { section: "ATX headings", markdown: "# foo\n## foo\n### foo\n#### foo\n##### foo\n###### foo\n", html: "<h1>foo</h1>\n<h2>foo</h2>\n<h3>foo</h3>\n<h4>foo</h4>\n<h5>foo</h5>\n<h6>foo</h6>\n" },
+    { section: "ATX headings", markdown: "####### foo\n", html: "<p>####### foo</p>\n" },
+    { section: "ATX headings", markdown: "#5 bolt\n\n#hashtag\n", html: "<p>#5 bolt</p>\n<p>#hashtag</p>\n" },
+    { section: "ATX headings", markdown: "\\## foo\n", html: "<p>## foo</p>\n" },
+    { section: "ATX headings", markdown: "# foo *bar* \\*baz\\*\n", html: "<h1>foo <em>bar</em> *baz*</h1>\n" },
+    { section: "ATX headings", markdown: "    # foo\n", html: "<pre><code># foo\n</code></pre>\n" },
+    { section: "ATX headings", markdown: "foo\n    # bar\n", html: "<p>foo\n# bar</p>\n" },
+    { section: "ATX headings", markdown: "## foo ##\n  ###   bar    ###\n", html: "<h2>foo</h2>\n<h3>bar</h3>\n" },
+    { section: "ATX headings", markdown: "### foo \\###\n", html: "<h3>foo ###</h3>\n" },
+    { section: "ATX headings", markdown: "## \n#\n### ###\n", html: "<h2></h2>\n<h1></h1>\n<h3></h3>\n" },
+    { section: "Setext headings", markdown: "Foo *bar*\n=========\n\nFoo *bar*\n---------\n", html: "<h1>Foo <em>bar</em></h1>\n<h2>Foo <em>bar</em></h2>\n" },
+    { section: "Setext headings", markdown: "Foo *bar\nbaz*\n====\n", html: "<h1>Foo <em>bar\nbaz</em></h1>\n" },
+    { section: "Setext headings", markdown: "Foo\n-------------------------\n\nFoo\n=\n", html: "<h2>Foo</h2>\n<h1>Foo</h1>\n" },
+    { section: "Setext headings", markdown: "   Foo\n---\n\n  Foo\n-----\n\n  Foo\n  ===\n", html: "<h2>Foo</h2>\n<h2>Foo</h2>\n<h1>Foo</h1>\n" },
+    { section: "Setext headings", markdown: "Foo\n   ----      \n", html: "<h2>Foo</h2>\n" },
+    { section: "Setext headings", markdown: "Foo\n    ---\n", html: "<p>Foo\n---</p>\n" },
+    { section: "Setext headings", markdown: "Foo\n= =\n\nFoo\n--- -\n", html: "<p>Foo\n= =</p>\n<p>Foo</p>\n<hr />\n" },
+    { section: "Setext headings", markdown: "> Foo\n---\n", html: "<blockquote>\n<p>Foo</p>\n</blockquote>\n<hr />\n" },
+    { section: "Setext headings", markdown: "---\nFoo\n---\nBar\n---\nBaz\n", html: "<hr />\n<h2>Foo</h2>\n<h2>Bar</h2>\n<p>Baz</p>\n" },
+    { section: "Setext headings", markdown: "\n====\n", html: "<p>====</p>\n" },
+    { section: "Setext headings", markdown: "Foo\nBar\n---\n", html: "<h2>Foo\nBar</h2>\n" },
+    { section: "Setext headings", markdown: "\\> foo\n------\n", html: "<h2>&gt; foo</h2>\n" },
+    { section: "Indented code blocks", markdown: "    a simple\n      indented code block\n", html: "<pre><code>a simple\n  indented code block\n</code></pre>\n" },
+    { section: "Indented code blocks", markdown: "    chunk1\n\n    chunk2\n  \n \n \n    chunk3\n", html: "<pre><code>chunk1\n\nchunk2\n\n\n\nchunk3\n</code></pre>\n" },
+    { section: "Indented code blocks", markdown: "Foo\n    bar\n", html: "<p>Foo\nbar</p>\n" },
+    { section: "Indented code blocks", markdown: "    foo\nbar\n", html: "<pre><code>foo\n</code></pre>\n<p>bar</p>\n" },
+    { section: "Indented code blocks", markdown: "# Heading\n    foo\nHeading\n------\n    foo\n----\n", html: "<h1>Heading</h1>\n<pre><code>foo\n</code></pre>\n<h2>Heading</h2>\n<pre><code>foo\n</code></pre>\n<hr />\n" },
+    { section: "Indented code blocks", markdown: "    <a/>\n    *hi*\n\n    - one\n", html: "<pre><code>&lt;a/&gt;\n*hi*\n\n- one\n</code></pre>\n" },
+    { section: "Indented code blocks", markdown: "\n    \n    foo\n    \n\n", html: "<pre><code>foo\n</code></pre>\n" },
+    { section: "Fenced code blocks", markdown: "```\n<\n >\n```\n", html: "<pre><code>&lt;\n &gt;\n</code></pre>\n" },
+    { section: "Fenced code blocks", markdown: "~~~\n<\n >\n~~~\n", html: "<pre><code>&lt;\n &gt;\n</code></pre>\n" },
+    { section: "Fenced code blocks", markdown: "``\nfoo\n``\n", html: "<p><code>foo</code></p>\n" },
+    { section: "Fenced code blocks", markdown: "```\naaa\n~~~\n```\n", html: "<pre><code>aaa\n~~~\n</code></pre>\n" },
+    { section: "Fenced code blocks", markdown: "~~~\naaa\n```\n~~~\n", html: "<pre><code>aaa\n```\n</code></pre>\n" },
+    { section: "Fenced code blocks", markdown: "````\naaa\n```\n``````\n", html: "<pre><code>aaa\n```\n</code></pre>\n" },
+    { section: "Fenced code blocks", markdown: "```\n", html: "<pre><code></code></pre>\n" },
+    { section: "Fenced code blocks", markdown: "```\n\n  \n```\n", html: "<pre><code>\n  \n</code></pre>\n" },
+    { section: "Fenced code blocks", markdown: " ```\n aaa\naaa\n```\n", html: "<pre><code>aaa\naaa\n</code></pre>\n" },
+    { section: "Fenced code blocks", markdown: "```ruby\ndef foo(x)\n  return 3\nend\n```\n", html: "<pre><code class=\"language-ruby\">def foo(x)\n  return 3\nend\n</code></pre>\n" },
+    { section: "Fenced code blocks", markdown: "~~~~    ruby startline=3 $%@#$\ndef foo(x)\n  return 3\nend\n~~~~~~~\n", html: "<pre><code class=\"language-ruby\">def foo(x)\n  return 3\nend\n</code></pre>\n" },
+    { section: "Fenced code blocks", markdown: "``` aa ```\nfoo\n", html: "<p><code>aa</code>\nfoo</p>\n" },
+    { section: "Fenced code blocks", markdown: "~~~ aa ``` ~~~\nfoo\n~~~\n", html: "<pre><code class=\"language-aa\">foo\n</code></pre>\n" },
+    { section: "Fenced code blocks", markdown: "foo\n```\nbar\n```\nbaz\n", html: "<p>foo</p>\n<pre><code>bar\n</code></pre>\n<p>baz</p>\n" },
+    { section: "Paragraphs", markdown: "aaa\n\nbbb\n", html: "<p>aaa</p>\n<p>bbb</p>\n" },
+    { section: "Paragraphs", markdown: "  aaa\n bbb\n", html: "<p>aaa\nbbb</p>\n" },
+    { section: "Paragraphs", markdown: "aaa\n             bbb\n                                       ccc\n", html: "<p>aaa\nbbb\nccc</p>\n" },
+    { section: "Paragraphs", markdown: "aaa     \nbbb     \n", html: "<p>aaa<br />\nbbb</p>\n" },
+    { section: "Block quotes", markdown: "> # Foo\n> bar\n> baz\n", html: "<blockquote>\n<h1>Foo</h1>\n<p>bar\nbaz</p>\n</blockquote>\n" },
+    { section: "Lists", markdown: "- foo\n- bar\n+ baz\n", html: "<ul>\n<li>foo</li>\n<li>bar</li>\n</ul>\n<ul>\n<li>baz</li>\n</ul>\n" },
+    { section: "Lists", markdown: "1. foo\n2. bar\n3) baz\n", html: "<ol>\n<li>foo</li>\n<li>bar</li>\n</ol>\n<ol start=\"3\">\n<li>baz</li>\n</ol>\n" },
+    { section: "Lists", markdown: "- a\n- b\n\n- c\n", html: "<ul>\n<li>\n<p>a</p>\n</li>\n<li>\n<p>b</p>\n</li>\n<li>\n<p>c</p>\n</li>\n</ul>\n" },
+    { section: "Backslash escapes", markdown: "\\!\\\"\\#\\$\\%\\&\\'\\(\\)\\*\\+\\,\\-\\.\\/\\:\\;\\<\\=\\>\\?\\@\\[\\\\\\]\\^\\_\\`\\{\\|\\}\\~\n", html: "<p>!&quot;#$%&amp;'()*+,-./:;&lt;=&gt;?@[\\]^_`{|}~</p>\n" },
+    { section: "Backslash escapes", markdown: "\\\t\\A\\a\\ \\3\\φ\\«\n", html: "<p>\\\t\\A\\a\\ \\3\\φ\\«</p>\n" },
+    { section: "Backslash escapes", markdown: "\\*not emphasized*\n\\<br/> not a tag\n\\[not a link](/foo)\n\\`not code`\n1\\. not a list\n\\* not a list\n\\# not a heading\n\\[foo]: /url \"not a reference\"\n\\&ouml; not a character entity\n", html: "<p>*not emphasized*\n&lt;br/&gt; not a tag\n[not a link](/foo)\n`not code`\n1. not a list\n* not a list\n# not a heading\n[foo]: /url &quot;not a reference&quot;\n&amp;ouml; not a character entity</p>\n" },
+    { section: "Backslash escapes", markdown: "\\\\*emphasis*\n", html: "<p>\\<em>emphasis</em></p>\n" },
+    { section: "Backslash escapes", markdown: "foo\\\nbar\n", html: "<p>foo<br />\nbar</p>\n" },
+    { section: "Backslash escapes", markdown: "`` \\[\\` ``\n", html: "<p><code>\\[\\`</code></p>\n" },
+    { section: "Backslash escapes", markdown: "    \\[\\]\n", html: "<pre><code>\\[\\]\n</code></pre>\n" },
+    { section: "Backslash escapes", markdown: "~~~\n\\[\\]\n~~~\n", html: "<pre><code>\\[\\]\n</code></pre>\n" },
+    { section: "Backslash escapes", markdown: "[foo](/bar\\* \"ti\\*tle\")\n", html: "<p><a href=\"/bar*\" title=\"ti*tle\">foo</a></p>\n" },
+    { section: "Backslash escapes", markdown: "[foo]\n\n[foo]: /bar\\* \"ti\\*tle\"\n", html: "<p><a href=\"/bar*\" title=\"ti*tle\">foo</a></p>\n" },
+    { section: "Backslash escapes", markdown: "``` foo\\+bar\nfoo\n```\n", html: "<pre><code class=\"language-foo+bar\">foo\n</code></pre>\n" },
+    { section: "Code spans", markdown: "`foo`\n", html: "<p><code>foo</code></p>\n" },
+    { section: "Code spans", markdown: "`` foo ` bar ``\n", html: "<p><code>foo ` bar</code></p>\n" },
+    { section: "Code spans", markdown: "` `` `\n", html: "<p><code>``</code></p>\n" },
+    { section: "Code spans", markdown: "`foo\\`bar`\n", html: "<p><code>foo\\</code>bar`</p>\n" },
+    { section: "Emphasis", markdown: "*foo bar*\n", html: "<p><em>foo bar</em></p>\n" },
+    { section: "Emphasis", markdown: "a * foo bar*\n", html: "<p>a * foo bar*</p>\n" },
+    { section: "Emphasis", markdown: "foo*bar*\n", html: "<p>foo<em>bar</em></p>\n" },
+    { section: "Emphasis", markdown: "_foo_bar\n", html: "<p>_foo_bar</p>\n" },
+    { section: "Emphasis", markdown: "**foo bar**\n", html: "<p><strong>foo bar</strong></p>\n" },
+    { section: "Emphasis", markdown: "*foo**bar**baz*\n", html: "<p><em>foo<strong>bar</strong>baz</em></p>\n" },
+    { section: "Emphasis", markdown: "foo***bar***baz\n", html: "<p>foo<em><strong>bar</strong></em>baz</p>\n" },
+    { section: "Links", markdown: "[link](/uri \"title\")\n", html: "<p><a href=\"/uri\" title=\"title\">link</a></p>\n" },
+    { section: "Links", markdown: "[link](/uri)\n", html: "<p><a href=\"/uri\">link</a></p>\n" },
+    { section: "Links", markdown: "[link](</my uri>)\n", html: "<p><a href=\"/my uri\">link</a></p>\n" },
+    { section: "Links", markdown: "[link](foo(and(bar)))\n", html: "<p><a href=\"foo(and(bar))\">link</a></p>\n" },
+    { section: "Links", markdown: "[foo][bar]\n\n[bar]: /url \"title\"\n", html: "<p><a href=\"/url\" title=\"title\">foo</a></p>\n" },
+    { section: "Links", markdown: "[foo][BaR]\n\n[bar]: /url \"title\"\n", html: "<p><a href=\"/url\" title=\"title\">foo</a></p>\n" },
+    { section: "Links", markdown: "[foo][]\n\n[foo]: /url \"title\"\n", html: "<p><a href=\"/url\" title=\"title\">foo</a></p>\n" },
+    { section: "Links", markdown: "[foo]: /url \"title\"\n\n[foo]\n", html: "<p><a href=\"/url\" title=\"title\">foo</a></p>\n" },
+    { section: "Links", markdown: "[foo][bar][baz]\n\n[baz]: /url\n", html: "<p>[foo]<a href=\"/url\">bar</a></p>\n" },
+    { section: "Autolinks", markdown: "<http://foo.bar.baz>\n", html: "<p><a href=\"http://foo.bar.baz\">http://foo.bar.baz</a></p>\n" },
+    { section: "Autolinks", markdown: "<https://foo.bar.baz/test?q=hello&id=22&boolean>\n", html: "<p><a href=\"https://foo.bar.baz/test?q=hello&amp;id=22&amp;boolean\">https://foo.bar.baz/test?q=hello&amp;id=22&amp;boolean</a></p>\n" },
+    { section: "Autolinks", markdown: "<MAILTO:FOO@BAR.BAZ>\n", html: "<p><a href=\"MAILTO:FOO@BAR.BAZ\">MAILTO:FOO@BAR.BAZ</a></p>\n" },
+    { section: "Autolinks", markdown: "<foo@bar.example.com>\n", html: "<p><a href=\"mailto:foo@bar.example.com\">foo@bar.example.com</a></p>\n" },
+    { section: "Autolinks", markdown: "<>\n", html: "<p>&lt;&gt;</p>\n" },
+    { section: "Autolinks", markdown: "<m:abc>\n", html: "<p>&lt;m:abc&gt;</p>\n" },
+    { section: "Autolinks (extension)", markdown: "www.commonmark.org\n", html: "<p><a href=\"http://www.commonmark.org\">www.commonmark.org</a></p>\n" },
+    { section: "Autolinks (extension)", markdown: "Visit www.commonmark.org/help for more information.\n", html: "<p>Visit <a href=\"http://www.commonmark.org/help\">www.commonmark.org/help</a> for more information.</p>\n" },
+    { section: "Autolinks (extension)", markdown: "Visit www.commonmark.org.\n\nVisit www.commonmark.org/a.b.\n", html: "<p>Visit <a href=\"http://www.commonmark.org\">www.commonmark.org</a>.</p>\n<p>Visit <a href=\"http://www.commonmark.org/a.b\">www.commonmark.org/a.b</a>.</p>\n" },
+    { section: "Autolinks (extension)", markdown: "www.google.com/search?q=Markup+(business)\n\nwww.google.com/search?q=Markup+(business)))\n\n(www.google.com/search?q=Markup+(business))\n\n(www.google.com/search?q=Markup+(business)\n", html: "<p><a href=\"http://www.google.com/search?q=Markup+(business)\">www.google.com/search?q=Markup+(business)</a></p>\n<p><a href=\"http://www.google.com/search?q=Markup+(business)\">www.google.com/search?q=Markup+(business)</a>))</p>\n<p>(<a href=\"http://www.google.com/search?q=Markup+(business)\">www.google.com/search?q=Markup+(business)</a>)</p>\n<p>(<a href=\"http://www.google.com/search?q=Markup+(business)\">www.google.com/search?q=Markup+(business)</a></p>\n" },
+    { section: "Autolinks (extension)", markdown: "https://www.commonmark.org/he<lp\n", html: "<p><a href=\"https://www.commonmark.org/he\">https://www.commonmark.org/he</a>&lt;lp</p>\n" },
+    { section: "Autolinks (extension)", markdown: "http://commonmark.org\n\n(Visit https://encrypted.google.com/search?q=Markup+(business))\n", html: "<p><a href=\"http://commonmark.org\">http://commonmark.org</a></p>\n<p>(Visit <a href=\"https://encrypted.google.com/search?q=Markup+(business)\">https://encrypted.google.com/search?q=Markup+(business)</a>)</p>\n" },
+    { section: "Hard line breaks", markdown: "foo  \nbaz\n", html: "<p>foo<br />\nbaz</p>\n" },
+    { section: "Hard line breaks", markdown: "foo\\\nbaz\n", html: "<p>foo<br />\nbaz</p>\n" },
+    { section: "Hard line breaks", markdown: "foo       \nbaz\n", html: "<p>foo<br />\nbaz</p>\n" },
+    { section: "Hard line breaks", markdown: "foo  \n     bar\n", html: "<p>foo<br />\nbar</p>\n" },
+    { section: "Hard line breaks", markdown: "*foo  \nbar*\n", html: "<p><em>foo<br />\nbar</em></p>\n" },
+    { section: "Hard line breaks", markdown: "`code  \nspan`\n", html: "<p><code>code   span</code></p>\n" },
+    { section: "Hard line breaks", markdown: "foo\\\n", html: "<p>foo\\</p>\n" },
+    { section: "Hard line breaks", markdown: "foo  \n", html: "<p>foo</p>\n" },
+    { section: "Hard line breaks", markdown: "### foo\\\n", html: "<h3>foo\\</h3>\n" },
+    { section: "Hard line breaks", markdown: "### foo  \n", html: "<h3>foo</h3>\n" },
+    { section: "Soft line breaks", markdown: "foo\nbaz\n", html: "<p>foo\nbaz</p>\n" },
+    { section: "Soft line breaks", markdown: "foo \n baz\n", html: "<p>foo\nbaz</p>\n" }
+];
@@ -0,0 +1,25 @@
+/**
+ * Examples for the editor's formatting actions (Formatting.inlineEdit and
+ * Formatting.headingLines). "|" in `before` marks the cursor; `after` is
+ * the whole text once the action has run. Run them by opening spec/index.html.
+ */
+const FORMATTING_EXAMPLES = [
+    { section: "Formatting: inline", action: "italic", before: "*te|xt*", after: "text" },
+    { section: "Formatting: inline", action: "italic", before: "***te|xt***", after: "**text**" },
+    { section: "Formatting: inline", action: "italic", before: "some te|xt", after: "some te*italic text*xt" },
+    { section: "Formatting: inline", action: "bold", before: "**te|xt** and **more**", after: "text and **more**" },
+    { section: "Formatting: inline", action: "strikethrough", before: "~~te|xt~~", after: "text" },
+    { section: "Formatting: inline", action: "italic", before: "* item *te|xt*", after: "* item text" },
+    { section: "Formatting: inline", action: "italic", before: "- item *te|xt*", after: "- item text" },
+    { section: "Formatting: inline", action: "italic", before: "> * item *te|xt*", after: "> * item text" },
+    { section: "Formatting: inline", action: "italic", before: "* ite|m", after: "* ite*italic text*m" },
+    { section: "Formatting: inline", action: "bold", before: "* item **te|xt**", after: "* item text" },
+    { section: "Formatting: headings", action: "heading1", before: "Ti|tle", after: "# Title" },
+    { section: "Formatting: headings", action: "heading1", before: "## Ti|tle", after: "# Title" },
+    { section: "Formatting: headings", action: "heading2", before: "## Ti|tle", after: "Title" },
+    { section: "Formatting: headings", action: "heading2", before: "> quo|te", after: "> ## quote" },
+    { section: "Formatting: headings", action: "heading2", before: "- it|em", after: "- ## item" },
+    { section: "Formatting: headings", action: "heading2", before: "- ## it|em", after: "- item" },
+    { section: "Formatting: headings", action: "heading3", before: "1. st|ep", after: "1. ### step" },
+    { section: "Formatting: headings", action: "heading2", before: "- [ ] ta|sk", after: "- [ ] ## task" }
+];
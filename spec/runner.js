@@ -0,0 +1,136 @@
+/**
+ * Spec runner - renders every SPEC_EXAMPLES entry with MarkdownParser and
+ * compares it with the expected HTML, then runs every FORMATTING_EXAMPLES
+ * action and compares the resulting text exactly.
+ *
+ * Output is normalized before comparing, so that differences in markup
+ * style (not in meaning) don't count as failures:
+ *   - editor-only attributes (data-source-line, heading ids) and code token spans are dropped
+ *   - "<br />" / "<hr />" become "<br>" / "<hr>", and &#039; becomes '
+ *   - line breaks next to block-level tags and before "</code></pre>" are ignored
+ */
+const SpecRunner = {
+    BLOCK_TAGS: /\n*(<\/?(?:p|ul|ol|li|blockquote|pre|h[1-6]|hr|br|table|thead|tbody|tr|th|td|section)\b[^>]*>)\n*/g,
+
+    normalize(html) {
+        return html
+            .replace(/ data-source-line="\d+"/g, '')
+            .replace(/ id="user-content-[^"]*"/g, '')
+            .replace(/<span class="token-[\w-]+">|<\/span>/g, '')
+            .replace(/\s*\/>/g, '>')
+            .replace(/&#039;/g, "'")
+            .replace(/\n<\/code><\/pre>/g, '</code></pre>')
+            .replace(this.BLOCK_TAGS, '$1')
+            .trim();
+    },
+
+    // Marker and placeholder per inline action, as the toolbar passes them
+    INLINE_ACTIONS: {
+        bold: ['**', 'bold text'],
+        italic: ['*', 'italic text'],
+        strikethrough: ['~~', 'struck text']
+    },
+
+    /**
+     * @returns {Array<{example: Object, number: number, input: string, expected: string, actual: string, passed: boolean}>}
+     */
+    run(examples) {
+        return examples.map((example, index) => {
+            const actual = MarkdownParser.parse(example.markdown);
+            return {
+                example,
+                number: index + 1,
+                input: example.markdown,
+                expected: example.html,
+                actual,
+                passed: this.normalize(actual) === this.normalize(example.html)
+            };
+        });
+    },
+
+    /**
+     * @param {number} offset - Numbers continue after the parser examples
+     */
+    runFormatting(examples, offset) {
+        return examples.map((example, index) => {
+            const cursor = example.before.indexOf('|');
+            const value = example.before.replace('|', '');
+            const heading = example.action.match(/^heading(\d)$/);
+            let actual;
+
+            if (heading) {
+                const lines = value.split('\n');
+                const line = value.substring(0, cursor).split('\n').length - 1;
+                Formatting.headingLines(lines, [line], Number(heading[1]));
+                actual = lines.join('\n');
+            } else {
+                const [marker, placeholder] = this.INLINE_ACTIONS[example.action];
+                const edit = Formatting.inlineEdit(value, cursor, cursor, marker, placeholder);
+                actual = value.substring(0, edit.start) + edit.text + value.substring(edit.end);
+            }
+
+            return {
+                example,
+                number: offset + index + 1,
+                input: example.before,
+                expected: example.after,
+                actual,
+                passed: actual === example.after
+            };
+        });
+    },
+
+    /**
+     * Show a summary per section and details for each failing example
+     */
+    report(results) {
+        const failures = results.filter(result => !result.passed);
+        const summary = document.getElementById('summary');
+        summary.textContent = `${results.length - failures.length} of ${results.length} examples pass`;
+        summary.className = failures.length ? 'summary failed' : 'summary passed';
+
+        const sections = new Map();
+        results.forEach(result => {
+            const section = sections.get(result.example.section) || { passed: 0, total: 0 };
+            section.total++;
+            if (result.passed) section.passed++;
+            sections.set(result.example.section, section);
+        });
+
+        const list = document.getElementById('sections');
+        sections.forEach((counts, name) => {
+            const item = document.createElement('li');
+            item.textContent = `${name}: ${counts.passed}/${counts.total}`;
+            if (counts.passed !== counts.total) item.className = 'failed';
+            list.appendChild(item);
+        });
+
+        const details = document.getElementById('failures');
+        failures.forEach(result => {
+            const block = document.createElement('section');
+            block.className = 'failure';
+
+            const title = document.createElement('h2');
+            title.textContent = `Example ${result.number} (${result.example.section})`;
+            block.appendChild(title);
+
+            [['Input', result.input], ['Expected', result.expected], ['Actual', result.actual]]
+                .forEach(([label, text]) => {
+                    const heading = document.createElement('h3');
+                    heading.textContent = label;
+                    const pre = document.createElement('pre');
+                    // Make tabs and trailing spaces visible
+                    pre.textContent = text.replace(/\t/g, '→').replace(/ +$/gm, match => '·'.repeat(match.length));
+                    block.append(heading, pre);
+                });
+            details.appendChild(block);
+        });
+    }
+};
+
+if (typeof document !== 'undefined' && document.getElementById('summary')) {
+    SpecRunner.report([
+        ...SpecRunner.run(SPEC_EXAMPLES),
+        ...SpecRunner.runFormatting(FORMATTING_EXAMPLES, SPEC_EXAMPLES.length)
+    ]);
+}
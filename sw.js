@@ -0,0 +1,172 @@
+/**
+ * NousMD Service Worker
+ * Precaches the app shell so NousMD loads without a network connection.
+ *
+ * Each shell cache is named after a hash of the files it holds, so a new
+ * version is noticed whenever any precached file changes - not only when this
+ * file does. On every page load the page asks for a check: the shell is
+ * fetched again (revalidated against the HTTP cache, so unchanged files cost
+ * a 304) and, if its hash differs, stored as a new cache and the page offers
+ * a reload. The page keeps being served from the active cache until the user
+ * accepts, so it never mixes files from two versions.
+ */
+
+'use strict';
+
+const CACHE_PREFIX = 'nousmd-';
+const META_CACHE = 'nousmd-meta';     // Records which shell cache is active and which is newest
+const ACTIVE_KEY = 'meta/active';
+const LATEST_KEY = 'meta/latest';
+
+const PRECACHE_URLS = [
+    './',
+    'index.html',
+    'styles.css',
+    'script.js',
+    'manifest.webmanifest',
+    'icons/icon.svg'
+];
+
+let activeCacheName = null;     // In-memory copy of ACTIVE_KEY; the worker may be restarted at any time
+let checking = null;            // Pending update check, shared by pages that ask at the same time
+
+function readMeta(key) {
+    return caches.open(META_CACHE)
+        .then(cache => cache.match(key))
+        .then(response => response ? response.text() : null);
+}
+
+function writeMeta(key, value) {
+    return caches.open(META_CACHE).then(cache => cache.put(key, new Response(value)));
+}
+
+function getActiveCacheName() {
+    if (activeCacheName) return Promise.resolve(activeCacheName);
+    return readMeta(ACTIVE_KEY).then(name => {
+        activeCacheName = name;
+        return name;
+    });
+}
+
+/**
+ * Fetch the whole shell from the network and name it by its content
+ *
+ * @returns {Promise<{name: string, responses: Response[]}>}
+ */
+function fetchShell() {
+    return Promise.all(PRECACHE_URLS.map(url => fetch(url, { cache: 'no-cache' }).then(response => {
+        if (!response.ok) throw new Error(`${url}: HTTP ${response.status}`);
+        return response;
+    }))).then(responses => Promise.all(responses.map(response => response.clone().arrayBuffer()))
+        .then(bodies => {
+            const joined = new Uint8Array(bodies.reduce((total, body) => total + body.byteLength, 0));
+            let offset = 0;
+            bodies.forEach(body => {
+                joined.set(new Uint8Array(body), offset);
+                offset += body.byteLength;
+            });
+            return crypto.subtle.digest('SHA-256', joined);
+        })
+        .then(digest => ({
+            name: CACHE_PREFIX + Array.from(new Uint8Array(digest).slice(0, 8))
+                .map(byte => byte.toString(16).padStart(2, '0'))
+                .join(''),
+            responses
+        })));
+}
+
+/**
+ * Fetch the shell and store it as a new cache unless that version is already stored
+ *
+ * @returns {Promise<string>} - Name of the newest shell cache
+ */
+function downloadShell() {
+    return fetchShell().then(({ name, responses }) => caches.has(name).then(exists => {
+        if (exists) return name;
+        return caches.open(name)
+            .then(cache => Promise.all(PRECACHE_URLS.map((url, index) => cache.put(url, responses[index]))))
+            .then(() => name);
+    })).then(name => writeMeta(LATEST_KEY, name).then(() => name));
+}
+
+/**
+ * Serve the newest shell from now on and drop every other version
+ */
+function activateLatest() {
+    return readMeta(LATEST_KEY).then(latest => {
+        if (!latest) return null;
+        activeCacheName = latest;
+        return writeMeta(ACTIVE_KEY, latest)
+            .then(() => caches.keys())
+            .then(names => Promise.all(names
+                .filter(name => name.startsWith(CACHE_PREFIX) && name !== latest && name !== META_CACHE)
+                .map(name => caches.delete(name))))
+            .then(() => latest);
+    });
+}
+
+/**
+ * Look for a changed shell; tells the asking page when a new version is ready
+ */
+function checkForUpdate(client) {
+    if (!checking) {
+        checking = downloadShell()
+            .catch(() => null)     // Offline or server gone - keep the current version
+            .then(latest => {
+                checking = null;
+                return latest;
+            });
+    }
+    return Promise.all([checking, getActiveCacheName()]).then(([latest, active]) => {
+        if (latest && active && latest !== active && client) {
+            client.postMessage({ type: 'update-ready' });
+        }
+    });
+}
+
+self.addEventListener('install', (event) => {
+    // No skipWaiting() here - the page asks for it when the user chooses to reload
+    event.waitUntil(downloadShell());
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(activateLatest().then(() => self.clients.claim()));
+});
+
+self.addEventListener('message', (event) => {
+    const type = event.data && event.data.type;
+    if (type === 'skip-waiting') {
+        self.skipWaiting();
+    } else if (type === 'check-for-update') {
+        event.waitUntil(checkForUpdate(event.source));
+    } else if (type === 'use-latest') {
+        event.waitUntil(activateLatest().then(() => {
+            if (event.source) event.source.postMessage({ type: 'updated' });
+        }));
+    }
+});
+
+/**
+ * Cache first for the app shell; everything else goes to the network.
+ * Navigations fall back to the cached index.html, so the app opens offline
+ * from any URL in scope (including file-handler launches).
+ */
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) return;
+
+    event.respondWith(
+        getActiveCacheName().then(name => {
+            if (!name) return fetch(request);
+            return caches.open(name).then(cache =>
+                cache.match(request, { ignoreSearch: request.mode === 'navigate' }).then(cached => {
+                    if (cached) return cached;
+                    return fetch(request).catch(error => {
+                        if (request.mode === 'navigate') return cache.match('index.html');
+                        throw error;
+                    });
+                })
+            );
+        })
+    );
+});